@@ -4,6 +4,8 @@ const User = require('../src/models/User');
 const Loan = require('../src/models/Loan');
 const EMI = require('../src/models/EMI');
 const Notification = require('../src/models/Notification');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Payment = require('../src/models/Payment');
 
 async function clearAll() {
   try {
@@ -13,11 +15,16 @@ async function clearAll() {
     const emiResult = await EMI.deleteMany({});
     const loanResult = await Loan.deleteMany({});
     const notifResult = await Notification.deleteMany({});
+    // The model refuses deletes (the ledger is append-only), so clear the collection directly
+    const ledgerResult = await LedgerEntry.collection.deleteMany({});
+    const paymentResult = await Payment.deleteMany({});
     const userResult = await User.deleteMany({});
 
     console.log(`Deleted ${emiResult.deletedCount} EMIs`);
     console.log(`Deleted ${loanResult.deletedCount} loans`);
     console.log(`Deleted ${notifResult.deletedCount} notifications`);
+    console.log(`Deleted ${ledgerResult.deletedCount} ledger entries`);
+    console.log(`Deleted ${paymentResult.deletedCount} payments`);
     console.log(`Deleted ${userResult.deletedCount} users`);
     console.log('Done. Database cleared.');
   } catch (err) {
@@ -0,0 +1,36 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const EMI = require('../src/models/EMI');
+
+// EMIs paid before part-payments existed have no paidAmount or component split.
+// Fill them in from the EMI's own amounts so stats and allocations see them as fully paid.
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+
+    const result = await EMI.collection.updateMany(
+      { status: 'paid', $or: [{ paidAmount: { $exists: false } }, { paidAmount: 0 }] },
+      [{
+        $set: {
+          paidAmount: '$totalAmount',
+          principalPaid: '$principalAmount',
+          interestPaid: { $ifNull: ['$interestAmount', 0] },
+          feePaid: { $ifNull: ['$feeAmount', 0] },
+          penaltyPaid: { $ifNull: ['$penaltyAmount', 0] },
+          lastPaymentAt: '$paidAt'
+        }
+      }]
+    );
+    console.log(`Backfilled ${result.modifiedCount} paid EMIs`);
+    console.log('Done.');
+  } catch (err) {
+    console.error('Migration error:', err);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+migrate();
@@ -0,0 +1,49 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Loan = require('../src/models/Loan');
+const EMI = require('../src/models/EMI');
+
+// EMIs used to be keyed by dayNumber and every loan was daily.
+// Renames the field and fills in the installment fields on existing loans. Safe to re-run.
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+
+    const emiResult = await EMI.collection.updateMany(
+      { dayNumber: { $exists: true }, installmentNumber: { $exists: false } },
+      { $rename: { dayNumber: 'installmentNumber' } }
+    );
+    console.log(`Renamed dayNumber on ${emiResult.modifiedCount} EMIs`);
+
+    try {
+      await EMI.collection.dropIndex('loanId_1_dayNumber_1');
+      console.log('Dropped old loanId_1_dayNumber_1 index');
+    } catch (e) {
+      console.log('Index loanId_1_dayNumber_1 already removed or not found');
+    }
+    await EMI.syncIndexes();
+
+    const loanResult = await Loan.collection.updateMany(
+      { repaymentFrequency: { $exists: false } },
+      [{
+        $set: {
+          repaymentFrequency: 'daily',
+          installmentCount: '$totalDays',
+          installmentAmount: '$dailyEMI',
+          installmentInterest: '$dailyInterest'
+        }
+      }]
+    );
+    console.log(`Set daily frequency on ${loanResult.modifiedCount} loans`);
+    console.log('Done.');
+  } catch (err) {
+    console.error('Migration error:', err);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+migrate();
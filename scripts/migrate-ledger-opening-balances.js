@@ -0,0 +1,58 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Loan = require('../src/models/Loan');
+const EMI = require('../src/models/EMI');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const { SCHEDULED_STATUSES } = require('../src/services/loanStatus');
+const { PAYABLE_EMI_STATUSES, getComponentDue } = require('../src/services/paymentAllocation');
+const { postOpeningBalance, postWriteOff } = require('../src/services/ledger');
+
+const MIGRATION_NAME = 'ledger-opening-balances';
+
+// Loans disbursed before the ledger existed have no entries. Bring each one on with an
+// opening entry for what is still owed and what has been paid, so its ledger balances match
+// the loan from here on. Written-off loans are then written off on the ledger too.
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+
+    const migrations = mongoose.connection.db.collection('migrations');
+    if (await migrations.findOne({ name: MIGRATION_NAME })) {
+      console.log(`Migration ${MIGRATION_NAME} already applied - nothing to do.`);
+      return;
+    }
+
+    const loans = await Loan.find({ status: { $in: SCHEDULED_STATUSES } });
+    let count = 0;
+    for (const loan of loans) {
+      if (await LedgerEntry.exists({ loanId: loan._id })) continue;
+
+      const outstanding = { principal: 0, interest: 0, fee: 0, penalty: 0 };
+      if (loan.status !== 'closed') {
+        const unpaid = await EMI.find({ loanId: loan._id, status: { $in: PAYABLE_EMI_STATUSES } });
+        unpaid.forEach(emi => {
+          Object.keys(outstanding).forEach(c => { outstanding[c] += getComponentDue(emi, c); });
+        });
+      }
+
+      await postOpeningBalance(loan, outstanding);
+      if (loan.status === 'written_off') {
+        await postWriteOff(loan);
+      }
+      count++;
+    }
+    console.log(`Posted opening balances for ${count} loans`);
+
+    await migrations.insertOne({ name: MIGRATION_NAME, appliedAt: new Date() });
+    console.log('Done.');
+  } catch (err) {
+    console.error('Migration error:', err);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+migrate();
@@ -0,0 +1,44 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Loan = require('../src/models/Loan');
+
+// Old status -> lifecycle status. Approved loans already had a schedule, so they are active.
+const STATUS_MAP = {
+  pending: 'submitted',
+  approved: 'active',
+  completed: 'closed'
+};
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+
+    for (const [from, to] of Object.entries(STATUS_MAP)) {
+      const result = await Loan.collection.updateMany(
+        { status: from },
+        {
+          $set: { status: to },
+          $push: { statusHistory: { from, to, by: null, reason: 'Migrated to loan lifecycle statuses', at: new Date() } }
+        }
+      );
+      console.log(`${from} -> ${to}: ${result.modifiedCount} loans`);
+    }
+
+    // Completed loans were always fully repaid before foreclosure existed
+    const closed = await Loan.collection.updateMany(
+      { status: 'closed', closureReason: null },
+      { $set: { closureReason: 'repaid' } }
+    );
+    console.log(`Set closure reason on ${closed.modifiedCount} closed loans`);
+    console.log('Done.');
+  } catch (err) {
+    console.error('Migration error:', err);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+migrate();
@@ -0,0 +1,145 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Loan = require('../src/models/Loan');
+const EMI = require('../src/models/EMI');
+const Payment = require('../src/models/Payment');
+const PaymentApplication = require('../src/models/PaymentApplication');
+
+const MIGRATION_NAME = 'payments-v1';
+
+// How each payment application source is recorded in the Payment collection
+const SOURCE_GATEWAYS = {
+  simulated: 'simulated',
+  razorpay: 'razorpay',
+  autopay: 'razorpay',
+  admin: 'manual',
+  wallet: 'wallet'
+};
+
+// Legacy payment ids carry their origin in the prefix
+const gatewayFor = (paymentId) => {
+  if (paymentId.startsWith('sim_')) return 'simulated';
+  if (paymentId.startsWith('admin_')) return 'manual';
+  if (paymentId.startsWith('wallet_')) return 'wallet';
+  return 'razorpay';
+};
+
+// Payments made before the Payment collection existed are only on the EMIs, loans and
+// payment applications. Record one captured Payment for each so payment history and the
+// admin payment search cover them. Failed attempts from that time were never stored.
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+
+    const migrations = mongoose.connection.db.collection('migrations');
+    if (await migrations.findOne({ name: MIGRATION_NAME })) {
+      console.log(`Migration ${MIGRATION_NAME} already applied - nothing to do.`);
+      return;
+    }
+
+    const recorded = new Set((await Payment.distinct('paymentId')).filter(Boolean));
+    let count = 0;
+
+    // Foreclosures
+    const foreclosed = await Loan.find({ 'foreclosure.paymentId': { $ne: null } });
+    for (const loan of foreclosed) {
+      const paymentId = loan.foreclosure.paymentId;
+      if (recorded.has(paymentId)) continue;
+
+      await Payment.create({
+        userId: loan.userId,
+        loanId: loan._id,
+        purpose: 'foreclosure',
+        gateway: gatewayFor(paymentId),
+        status: 'captured',
+        amount: loan.foreclosure.amountPaid,
+        orderId: loan.foreclosure.orderId,
+        gatewayPaymentId: paymentId.startsWith('sim_') ? null : paymentId,
+        paymentId,
+        capturedAt: loan.foreclosure.settledAt,
+        attempts: [{ gatewayPaymentId: paymentId, status: 'captured', at: loan.foreclosure.settledAt }],
+        createdAt: loan.foreclosure.settledAt || new Date()
+      });
+      recorded.add(paymentId);
+      count++;
+    }
+
+    // Payments applied through payment applications
+    const applications = await PaymentApplication.find({});
+    for (const application of applications) {
+      if (recorded.has(application.paymentId)) continue;
+
+      const gateway = SOURCE_GATEWAYS[application.source];
+      const emi = await EMI.findOne({ razorpayPaymentId: application.paymentId }).select('razorpayOrderId');
+      await Payment.create({
+        userId: application.userId,
+        loanId: application.loanId,
+        purpose: application.source === 'autopay' ? 'autopay' : (application.emiIds.length > 1 ? 'multi_emi' : 'emi'),
+        gateway,
+        status: 'captured',
+        amount: application.amount,
+        orderId: emi?.razorpayOrderId || null,
+        gatewayPaymentId: gateway === 'razorpay' ? application.paymentId : null,
+        paymentId: application.paymentId,
+        applicationId: application._id,
+        emiIds: application.emiIds,
+        recordedBy: application.source === 'admin' ? application.appliedBy : null,
+        capturedAt: application.createdAt,
+        attempts: [{ gatewayPaymentId: application.paymentId, status: 'captured', at: application.createdAt }],
+        createdAt: application.createdAt
+      });
+      recorded.add(application.paymentId);
+      count++;
+    }
+
+    // Older payments, known only from the EMIs they paid
+    const emis = await EMI.find({ razorpayPaymentId: { $ne: null } }).sort({ paidAt: 1 });
+    const byPayment = {};
+    emis.forEach(emi => {
+      (byPayment[emi.razorpayPaymentId] = byPayment[emi.razorpayPaymentId] || []).push(emi);
+    });
+
+    for (const [paymentId, paid] of Object.entries(byPayment)) {
+      if (recorded.has(paymentId)) continue;
+
+      const gateway = gatewayFor(paymentId);
+      const loanIds = [...new Set(paid.map(e => e.loanId.toString()))];
+      // Several EMIs paid by one Razorpay payment without an order of ours were autopay charges
+      const orderId = paid.find(e => e.razorpayOrderId)?.razorpayOrderId || null;
+      let purpose = paid.length > 1 ? 'multi_emi' : 'emi';
+      if (gateway === 'razorpay' && paid.length > 1 && !orderId) purpose = 'autopay';
+      const paidAt = paid[0].paidAt || new Date();
+
+      await Payment.create({
+        userId: paid[0].userId,
+        loanId: loanIds.length === 1 ? loanIds[0] : null,
+        purpose,
+        gateway,
+        status: 'captured',
+        amount: paid.reduce((sum, e) => sum + (e.paidAmount || 0), 0),
+        orderId,
+        gatewayPaymentId: gateway === 'razorpay' ? paymentId : null,
+        paymentId,
+        emiIds: paid.map(e => e._id),
+        capturedAt: paidAt,
+        attempts: [{ gatewayPaymentId: paymentId, status: 'captured', at: paidAt }],
+        createdAt: paidAt
+      });
+      recorded.add(paymentId);
+      count++;
+    }
+    console.log(`Recorded ${count} payments`);
+
+    await migrations.insertOne({ name: MIGRATION_NAME, appliedAt: new Date() });
+    console.log('Done.');
+  } catch (err) {
+    console.error('Migration error:', err);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+migrate();
@@ -0,0 +1,83 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Loan = require('../src/models/Loan');
+const LoanProduct = require('../src/models/LoanProduct');
+const { getPeriodDays } = require('../src/services/repaymentSchedule');
+
+const MIGRATION_NAME = 'penalty-policy-v2';
+
+// Old policies charged dailyRate percent of one day's interest per day late. Convert each to
+// the equivalent percentage of the installment so live loans keep the penalty they signed up
+// for; caps stay off until an admin sets them.
+const toPercentOfInstallment = (dailyRate, installmentInterest, installmentAmount, periodDays) => {
+  if (!installmentAmount) return 0;
+  const rate = (dailyRate ?? 100) * installmentInterest / periodDays / installmentAmount;
+  return Math.round(rate * 10000) / 10000;
+};
+
+const newPolicy = (graceDays, rate) => ({
+  graceDays: graceDays || 0,
+  mode: 'percentage',
+  rate,
+  perEmiCap: 0,
+  perLoanCap: 0,
+  compounding: false
+});
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+
+    const migrations = mongoose.connection.db.collection('migrations');
+    if (await migrations.findOne({ name: MIGRATION_NAME })) {
+      console.log(`Migration ${MIGRATION_NAME} already applied - nothing to do.`);
+      return;
+    }
+
+    const loans = await Loan.collection.find({ 'penaltyPolicy.mode': { $exists: false } }).toArray();
+    for (const loan of loans) {
+      const policy = loan.penaltyPolicy || {};
+      const rate = toPercentOfInstallment(
+        policy.dailyRate,
+        loan.installmentInterest ?? loan.dailyInterest ?? 0,
+        loan.installmentAmount ?? loan.dailyEMI ?? 0,
+        getPeriodDays(loan.repaymentFrequency || 'daily')
+      );
+      await Loan.collection.updateOne(
+        { _id: loan._id },
+        { $set: { penaltyPolicy: newPolicy(policy.graceDays, rate) } }
+      );
+    }
+    console.log(`Converted penalty policy on ${loans.length} loans`);
+
+    // Products have no installment yet; on a flat schedule interest is interestRate / (100 + interestRate)
+    // of every installment
+    const products = await LoanProduct.collection.find({ 'penaltyPolicy.mode': { $exists: false } }).toArray();
+    for (const product of products) {
+      const policy = product.penaltyPolicy || {};
+      const rate = toPercentOfInstallment(
+        policy.dailyRate,
+        product.interestRate,
+        100 + product.interestRate,
+        getPeriodDays(product.repaymentFrequency || 'daily')
+      );
+      await LoanProduct.collection.updateOne(
+        { _id: product._id },
+        { $set: { penaltyPolicy: newPolicy(policy.graceDays, rate) } }
+      );
+    }
+    console.log(`Converted penalty policy on ${products.length} loan products`);
+
+    await migrations.insertOne({ name: MIGRATION_NAME, appliedAt: new Date() });
+    console.log('Done.');
+  } catch (err) {
+    console.error('Migration error:', err);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+migrate();
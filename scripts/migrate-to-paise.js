@@ -0,0 +1,116 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Loan = require('../src/models/Loan');
+const EMI = require('../src/models/EMI');
+const LoanProduct = require('../src/models/LoanProduct');
+const { buildInstallments } = require('../src/services/repaymentSchedule');
+
+const MIGRATION_NAME = 'money-to-paise';
+
+const LOAN_FIELDS = [
+  'amount', 'dailyEMI', 'dailyInterest', 'installmentAmount', 'installmentInterest',
+  'totalInterest', 'totalPaid', 'remainingBalance', 'penaltyAmount'
+];
+const EMI_FIELDS = ['principalAmount', 'interestAmount', 'penaltyAmount', 'totalAmount'];
+const PRODUCT_FIELDS = ['minAmount', 'maxAmount'];
+
+// Build an update pipeline stage that converts rupee fields to rounded integer paise
+const toPaiseStage = (fields) => ({
+  $set: Object.fromEntries(fields.map((f) => [f, { $round: [{ $multiply: [{ $ifNull: [`$${f}`, 0] }, 100] }, 0] }]))
+});
+
+// What a loan's whole schedule should charge in interest. Flat interest is a share of the
+// amount; reducing-balance interest depends on the balance left after each installment.
+const getScheduleInterest = (loan, installmentCount) => {
+  if (loan.interestMethod === 'reducing_balance') {
+    return buildInstallments({
+      amount: loan.amount,
+      interestRate: loan.interestRate,
+      installmentCount,
+      interestMethod: 'reducing_balance'
+    }).reduce((sum, i) => sum + i.interest, 0);
+  }
+  return Math.round(loan.amount * (loan.interestRate / 100));
+};
+
+// Old schedules ceiled every installment, so they sum to more than principal + interest.
+// Re-split each loan's unpaid principal/interest so the last unpaid EMI absorbs the difference,
+// then rebuild remainingBalance from the EMIs themselves.
+async function fixSchedule(loan) {
+  const emis = await EMI.find({ loanId: loan._id }).sort({ installmentNumber: 1 });
+  if (emis.length === 0) return false;
+
+  const totalInterest = getScheduleInterest(loan, emis.length);
+  const paid = emis.filter((e) => e.status === 'paid');
+  const unpaid = emis.filter((e) => e.status !== 'paid');
+
+  if (unpaid.length > 0) {
+    const principalLeft = loan.amount - paid.reduce((sum, e) => sum + e.principalAmount, 0);
+    const interestLeft = totalInterest - paid.reduce((sum, e) => sum + e.interestAmount, 0);
+    const principalOthers = unpaid.slice(0, -1).reduce((sum, e) => sum + e.principalAmount, 0);
+    const interestOthers = unpaid.slice(0, -1).reduce((sum, e) => sum + e.interestAmount, 0);
+
+    const last = unpaid[unpaid.length - 1];
+    last.principalAmount = Math.max(0, principalLeft - principalOthers);
+    last.interestAmount = Math.max(0, interestLeft - interestOthers);
+    last.totalAmount = last.principalAmount + last.interestAmount + (last.penaltyAmount || 0);
+    await last.save();
+  }
+
+  const interest = emis.reduce((sum, e) => sum + e.interestAmount, 0);
+  const outstanding = unpaid.reduce((sum, e) => sum + e.principalAmount + e.interestAmount, 0);
+  await Loan.collection.updateOne(
+    { _id: loan._id },
+    { $set: { totalInterest: interest, remainingBalance: outstanding } }
+  );
+  return true;
+}
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+
+    const migrations = mongoose.connection.db.collection('migrations');
+    if (await migrations.findOne({ name: MIGRATION_NAME })) {
+      console.log(`Migration ${MIGRATION_NAME} already applied - nothing to do.`);
+      return;
+    }
+
+    const loanResult = await Loan.collection.updateMany({}, [toPaiseStage(LOAN_FIELDS)]);
+    console.log(`Converted ${loanResult.modifiedCount} loans`);
+
+    const emiResult = await EMI.collection.updateMany({}, [toPaiseStage(EMI_FIELDS)]);
+    console.log(`Converted ${emiResult.modifiedCount} EMIs`);
+
+    const productResult = await LoanProduct.collection.updateMany({}, [toPaiseStage(PRODUCT_FIELDS)]);
+    console.log(`Converted ${productResult.modifiedCount} loan products`);
+
+    // Fixed fees are money; percentage fees stay as percentages
+    const products = await LoanProduct.find({ 'fees.type': 'fixed' });
+    for (const product of products) {
+      product.fees.forEach((fee) => {
+        if (fee.type === 'fixed') fee.value = Math.round(fee.value * 100);
+      });
+      await product.save();
+    }
+
+    let fixed = 0;
+    const loans = await Loan.find({}).select('amount interestRate interestMethod');
+    for (const loan of loans) {
+      if (await fixSchedule(loan)) fixed++;
+    }
+    console.log(`Rebalanced schedules for ${fixed} loans`);
+
+    await migrations.insertOne({ name: MIGRATION_NAME, appliedAt: new Date() });
+    console.log('Done.');
+  } catch (err) {
+    console.error('Migration error:', err);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+migrate();
@@ -0,0 +1,48 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const LoanProduct = require('../src/models/LoanProduct');
+const { DEFAULT_PENALTY_RATE } = require('../src/services/penalty');
+
+// The terms that were hard-coded before loan products existed
+const DEFAULT_PRODUCT = {
+  name: 'Standard 100-day',
+  description: 'Daily repayment over 100 days',
+  interestRate: 20,
+  minTenureDays: 1,
+  maxTenureDays: 365,
+  defaultTenureDays: 100,
+  minAmount: 100000, // ₹1,000 in paise
+  maxAmount: 10000000, // ₹1,00,000 in paise
+  repaymentFrequency: 'daily',
+  penaltyPolicy: { graceDays: 0, mode: 'percentage', rate: DEFAULT_PENALTY_RATE, perEmiCap: 0, perLoanCap: 0, compounding: false },
+  fees: [],
+  isActive: true,
+};
+
+async function seedProducts() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+
+    const product = await LoanProduct.findOneAndUpdate(
+      { name: DEFAULT_PRODUCT.name },
+      { $setOnInsert: DEFAULT_PRODUCT },
+      { upsert: true, new: true }
+    );
+
+    console.log('Loan product created/found:', {
+      id: product._id.toString(),
+      name: product.name,
+      interestRate: product.interestRate,
+      defaultTenureDays: product.defaultTenureDays,
+    });
+  } catch (err) {
+    console.error('Seed error:', err);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+seedProducts();
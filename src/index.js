@@ -5,6 +5,10 @@ const cors = require('cors');
 const cron = require('node-cron');
 const connectDB = require('./config/db');
 const { processOverdueEMIs } = require('./services/emiCalculator');
+const { applyWalletToDueEMIs } = require('./services/paymentApplication');
+const { runReconciliation } = require('./services/reconciliation');
+const { debitDueMandates } = require('./services/mandates');
+const { getActiveProducts } = require('./services/loanProducts');
 const { initSocket } = require('./socket');
 
 // Route imports
@@ -16,6 +20,8 @@ const adminRoutes = require('./routes/admin');
 const paymentRoutes = require('./routes/payment');
 const notificationRoutes = require('./routes/notification');
 const webhookRoutes = require('./routes/webhook');
+const mockGatewayRoutes = require('./routes/mockGateway');
+const collectorRoutes = require('./routes/collector');
 
 const app = express();
 
@@ -32,7 +38,7 @@ app.use(cors({
 }));
 
 // Webhook must use raw body for signature verification
-app.use('/api/webhooks/razorpay', express.raw({ type: 'application/json' }), webhookRoutes);
+app.use('/api/webhooks', express.raw({ type: 'application/json' }), webhookRoutes);
 
 // Increased limit for profile updates with base64 images
 app.use(express.json({ limit: '10mb' }));
@@ -45,6 +51,8 @@ app.use('/api/emi', emiRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/mock-gateway', mockGatewayRoutes);
+app.use('/api/collector', collectorRoutes);
 
 // Root - simple 200 for proxies
 app.get('/', (req, res) => {
@@ -56,14 +64,30 @@ app.get('/api/health', (req, res) => {
   res.status(200).json({ status: 'OK', message: 'Loan App API is running' });
 });
 
-// Config (for frontend - loan duration)
-app.get('/api/config', (req, res) => {
-  res.json({ totalDays: 100 });
+// Config (for frontend - loan products borrowers can apply for)
+app.get('/api/config', async (req, res) => {
+  try {
+    const products = await getActiveProducts();
+    // totalDays kept for older app builds that only know a single loan duration
+    res.json({
+      totalDays: products[0]?.defaultTenureDays || 100,
+      products
+    });
+  } catch (error) {
+    console.error('Config error:', error);
+    res.status(500).json({ message: 'Error fetching config' });
+  }
 });
 
 // Schedule cron job to process overdue EMIs every day at midnight
+// Wallet balances are applied first so EMIs they cover are not marked overdue
 cron.schedule('10 0 * * *', async () => {
   console.log('Running daily overdue EMI processing...');
+  try {
+    await applyWalletToDueEMIs();
+  } catch (error) {
+    console.error('Error applying wallet balances:', error);
+  }
   try {
     await processOverdueEMIs();
   } catch (error) {
@@ -71,6 +95,26 @@ cron.schedule('10 0 * * *', async () => {
   }
 });
 
+// Debit today's EMIs through autopay mandates; a failed debit is retried on the next run
+cron.schedule('0 7 * * *', async () => {
+  console.log('Running daily autopay mandate debits...');
+  try {
+    await debitDueMandates();
+  } catch (error) {
+    console.error('Error debiting autopay mandates:', error);
+  }
+});
+
+// Reconcile yesterday's gateway payments against our records every night
+cron.schedule('30 1 * * *', async () => {
+  console.log('Running daily payment reconciliation...');
+  try {
+    await runReconciliation();
+  } catch (error) {
+    console.error('Error reconciling payments:', error);
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -41,4 +41,13 @@ const adminOnly = (req, res, next) => {
   }
 };
 
-module.exports = { protect, adminOnly };
+// Field collector only middleware
+const collectorOnly = (req, res, next) => {
+  if (req.user && req.user.role === 'collector') {
+    next();
+  } else {
+    return res.status(403).json({ message: 'Access denied. Collectors only.' });
+  }
+};
+
+module.exports = { protect, adminOnly, collectorOnly };
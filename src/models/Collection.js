@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Money a field collector took from a borrower, with the receipt they issued and where and
+// when it was taken. It is applied to the loan straight away (PaymentApplication under
+// collection_<receiptNumber>); the collector then hands it in through a Settlement.
+// Amounts are integer paise.
+const collectionSchema = new mongoose.Schema({
+  collectorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // cash: handed to the collector; upi: paid to the lender's UPI id in front of the collector
+  method: {
+    type: String,
+    enum: ['cash', 'upi'],
+    required: true
+  },
+  // Number on the receipt given to the borrower - unique, so a retried request is not counted twice
+  receiptNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // UPI transaction reference (UTR) for upi collections
+  upiReference: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  // Where the collector's device was, and its clock, when the money was taken
+  location: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    accuracy: { type: Number, default: null }
+  },
+  collectedAt: {
+    type: Date,
+    required: true
+  },
+  paymentId: {
+    type: String,
+    required: true
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentApplication',
+    required: true
+  },
+  // EMIs the money was applied to, and any part of it that went to the borrower's wallet
+  emiIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EMI'
+  }],
+  excess: {
+    type: Number,
+    default: 0
+  },
+  remarks: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // collected: with the collector; submitted: in a settlement waiting for an admin; settled:
+  // the admin matched it; disputed: the admin could not (see the settlement's review note)
+  status: {
+    type: String,
+    enum: ['collected', 'submitted', 'settled', 'disputed'],
+    default: 'collected'
+  },
+  settlementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Settlement',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+collectionSchema.index({ receiptNumber: 1 }, { unique: true });
+collectionSchema.index({ collectorId: 1, status: 1, collectedAt: -1 });
+collectionSchema.index({ loanId: 1, collectedAt: -1 });
+collectionSchema.index({ settlementId: 1 });
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One attempt to pay out a loan. Amounts are integer paise.
+const disbursementSchema = new mongoose.Schema({
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Sanctioned loan amount
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Fees taken out before the money is sent
+  deductions: [{
+    _id: false,
+    name: String,
+    amount: Number
+  }],
+  // What actually reaches the borrower (amount - deductions)
+  netAmount: {
+    type: Number,
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['bank_transfer', 'imps', 'neft', 'rtgs', 'upi', 'cash', 'cheque'],
+    required: true
+  },
+  beneficiary: {
+    name: { type: String, default: '' },
+    accountNumber: { type: String, default: '' },
+    ifsc: { type: String, default: '' },
+    vpa: { type: String, default: '' }
+  },
+  // 'manual' when the admin sent the money outside the app and only records it
+  provider: {
+    type: String,
+    required: true
+  },
+  providerPayoutId: {
+    type: String,
+    default: null
+  },
+  // UTR / cheque number / bank reference
+  reference: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['initiated', 'processed', 'failed'],
+    default: 'initiated'
+  },
+  failureReason: {
+    type: String,
+    default: ''
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  disbursedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+disbursementSchema.index({ loanId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Disbursement', disbursementSchema);
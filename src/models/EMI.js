@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 
+// All money fields are integer paise
 const emiSchema = new mongoose.Schema({
   loanId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,7 +12,8 @@ const emiSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  dayNumber: {
+  // 1-based position in the loan's schedule (a day, week, fortnight or month depending on frequency)
+  installmentNumber: {
     type: Number,
     required: true
   },
@@ -21,25 +23,79 @@ const emiSchema = new mongoose.Schema({
   },
   interestAmount: {
     type: Number,
-    default: 20
+    default: 0
   },
+  // Loan charges collected with this installment (scheduled fees plus any late-payment fee, tax included)
+  feeAmount: {
+    type: Number,
+    default: 0
+  },
+  // Penalty still payable (penaltyAccrued - penaltyWaived)
   penaltyAmount: {
     type: Number,
     default: 0
   },
+  // Everything the penalty policy has charged, and how much of it admins have waived
+  penaltyAccrued: {
+    type: Number,
+    default: 0
+  },
+  penaltyWaived: {
+    type: Number,
+    default: 0
+  },
+  lateFeeChargedAt: {
+    type: Date,
+    default: null
+  },
   totalAmount: {
     type: Number,
     required: true
   },
+  // Money received so far and how it was allocated (see services/paymentAllocation)
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  principalPaid: {
+    type: Number,
+    default: 0
+  },
+  interestPaid: {
+    type: Number,
+    default: 0
+  },
+  feePaid: {
+    type: Number,
+    default: 0
+  },
+  penaltyPaid: {
+    type: Number,
+    default: 0
+  },
   dueDate: {
     type: Date,
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'paid', 'overdue'],
+    // closed: settled as part of a loan foreclosure rather than paid individually
+    // superseded: replaced by a newer schedule version when the loan was restructured
+    // partially_paid: some money received, the rest still owed (stays partially_paid once late)
+    enum: ['pending', 'paid', 'overdue', 'partially_paid', 'closed', 'superseded'],
     default: 'pending'
   },
+  // Schedule the EMI belongs to - bumped each time the loan is restructured
+  scheduleVersion: {
+    type: Number,
+    default: 1
+  },
+  supersededAt: {
+    type: Date,
+    default: null
+  },
+  // Legacy: set on EMIs paid before the Payment collection existed; payments are now
+  // recorded there (Payment.emiIds) instead of on the EMI
   razorpayOrderId: {
     type: String,
     default: null
@@ -48,19 +104,36 @@ const emiSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // When the EMI was paid in full
   paidAt: {
     type: Date,
     default: null
   },
+  lastPaymentAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
+}, {
+  // updatedAt tells a foreclosure quote whether the EMIs it was worked out from have changed
+  timestamps: { createdAt: false, updatedAt: true },
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Same value as installmentNumber - kept for older app builds, which read dayNumber
+emiSchema.virtual('dayNumber').get(function() {
+  return this.installmentNumber;
 });
 
 // Compound index for efficient queries
-emiSchema.index({ loanId: 1, dayNumber: 1 });
+emiSchema.index({ loanId: 1, installmentNumber: 1 });
 emiSchema.index({ userId: 1, status: 1 });
 emiSchema.index({ dueDate: 1, status: 1 });
+emiSchema.index({ loanId: 1, scheduleVersion: 1 });
 
 module.exports = mongoose.model('EMI', emiSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// One balanced journal entry for a loan (amounts in integer paise). Entries are append-only:
+// a mistake is corrected with a new entry, never by editing or deleting an old one.
+// Accounts, from the lender's side:
+//   loan_principal, interest_receivable, fee_receivable, penalty_receivable - owed by the borrower
+//   cash - money paid out to or received from the borrower
+//   borrower_wallet - money held for the borrower (see services/wallet)
+//   interest_income, fee_income, penalty_income, tax_payable - earned or collected for tax
+//   concessions - amounts forgiven (penalty waivers, interest waived on foreclosure)
+//   write_off_expense - balances written off as unrecoverable
+//   opening_balance - counterpart for balances brought in from before the ledger existed
+const LEDGER_ACCOUNTS = [
+  'loan_principal', 'interest_receivable', 'fee_receivable', 'penalty_receivable',
+  'cash', 'borrower_wallet',
+  'interest_income', 'fee_income', 'penalty_income', 'tax_payable',
+  'concessions', 'write_off_expense', 'opening_balance'
+];
+
+const postingSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'disbursement', 'interest_accrual', 'fee', 'penalty', 'payment',
+      'waiver', 'refund', 'write_off', 'adjustment', 'opening_balance'
+    ],
+    required: true
+  },
+  postings: {
+    type: [postingSchema],
+    required: true
+  },
+  // Payment, disbursement or waiver id the entry came from
+  reference: {
+    type: String,
+    default: null
+  },
+  emiId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EMI',
+    default: null
+  },
+  memo: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ledgerEntrySchema.index({ loanId: 1, createdAt: 1 });
+ledgerEntrySchema.index({ reference: 1 });
+
+// Every entry must balance, and every posting moves money one way only
+ledgerEntrySchema.pre('validate', function (next) {
+  if (!this.postings.length) {
+    return next(new Error('A ledger entry needs at least one posting'));
+  }
+  const oneSided = this.postings.every(p =>
+    Number.isInteger(p.debit) && Number.isInteger(p.credit) && (p.debit > 0) !== (p.credit > 0)
+  );
+  if (!oneSided) {
+    return next(new Error('Each posting must be a whole-paise debit or credit, not both'));
+  }
+  const debits = this.postings.reduce((sum, p) => sum + p.debit, 0);
+  const credits = this.postings.reduce((sum, p) => sum + p.credit, 0);
+  if (debits !== credits) {
+    return next(new Error(`Ledger entry does not balance: debits ${debits}, credits ${credits}`));
+  }
+  next();
+});
+
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be changed'));
+  }
+  next();
+});
+
+const rejectChange = function (next) {
+  next(new Error('Ledger entries cannot be changed or deleted'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+  ledgerEntrySchema.pre(op, rejectChange);
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -1,24 +1,172 @@
 const mongoose = require('mongoose');
+const { FREQUENCIES, INTEREST_METHODS, getInstallmentCount, buildInstallments } = require('../services/repaymentSchedule');
+const { LOAN_STATUSES } = require('../services/loanStatus');
+const { PENALTY_MODES, DEFAULT_PENALTY_RATE } = require('../services/penalty');
+const { CHARGE_TYPES, CHARGE_COLLECT_AT, CHARGE_TRIGGERS, priceLoanCharges } = require('../services/charges');
 
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  // Null when the system made the change (e.g. last EMI paid)
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const restructureSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['extend_tenure', 'payment_holiday', 'respread'],
+    required: true
+  },
+  // Request options (days, additionalInstallments, installmentCount, frequency)
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  outstandingPrincipal: Number,
+  outstandingInterest: Number,
+  carriedPenalty: Number,
+  carriedFees: Number,
+  supersededEMIs: Number,
+  newEMIs: Number,
+  previousEndDate: Date,
+  newEndDate: Date,
+  restructuredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  restructuredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A product fee as it applies to this loan. amount/taxAmount/total are priced against the
+// loan amount for disbursement charges; late-payment charges are priced per overdue EMI.
+const chargeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: CHARGE_TYPES,
+    default: 'fixed'
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  collectAt: {
+    type: String,
+    enum: CHARGE_COLLECT_AT,
+    default: 'upfront'
+  },
+  trigger: {
+    type: String,
+    enum: CHARGE_TRIGGERS,
+    default: 'disbursement'
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// All money fields are integer paise
 const loanSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoanProduct',
+    default: null
+  },
   amount: {
     type: Number,
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'completed'],
-    default: 'pending'
+    enum: LOAN_STATUSES,
+    default: 'submitted'
+  },
+  statusHistory: [statusChangeSchema],
+  rejectionReason: {
+    type: String,
+    default: ''
+  },
+  closureReason: {
+    type: String,
+    enum: ['repaid', 'foreclosed', null],
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
   },
   totalDays: {
     type: Number,
     default: 100
   },
+  repaymentFrequency: {
+    type: String,
+    enum: FREQUENCIES,
+    default: 'daily'
+  },
+  installmentCount: {
+    type: Number,
+    default: 0
+  },
+  installmentAmount: {
+    type: Number,
+    default: 0
+  },
+  installmentInterest: {
+    type: Number,
+    default: 0
+  },
+  // Same values as installmentAmount/installmentInterest - kept for older app builds
   dailyEMI: {
     type: Number,
     default: 0
@@ -31,6 +179,43 @@ const loanSchema = new mongoose.Schema({
     type: Number,
     default: 20
   },
+  interestMethod: {
+    type: String,
+    enum: INTEREST_METHODS,
+    default: 'flat'
+  },
+  totalInterest: {
+    type: Number,
+    default: 0
+  },
+  // Copied from the product at application time so later product edits don't change live loans
+  penaltyPolicy: {
+    graceDays: {
+      type: Number,
+      default: 0
+    },
+    mode: {
+      type: String,
+      enum: PENALTY_MODES,
+      default: 'percentage'
+    },
+    rate: {
+      type: Number,
+      default: DEFAULT_PENALTY_RATE
+    },
+    perEmiCap: {
+      type: Number,
+      default: 0
+    },
+    perLoanCap: {
+      type: Number,
+      default: 0
+    },
+    compounding: {
+      type: Boolean,
+      default: false
+    }
+  },
   totalPaid: {
     type: Number,
     default: 0
@@ -39,10 +224,21 @@ const loanSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Penalties outstanding or paid, after waivers
   penaltyAmount: {
     type: Number,
     default: 0
   },
+  penaltyWaived: {
+    type: Number,
+    default: 0
+  },
+  charges: [chargeSchema],
+  // Late-payment fees charged so far (tax included)
+  lateFeeAmount: {
+    type: Number,
+    default: 0
+  },
   // Application details
   applicantName: {
     type: String,
@@ -68,6 +264,22 @@ const loanSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Set when the money reaches the borrower; the EMI schedule counts from this date
+  disbursedAt: {
+    type: Date,
+    default: null
+  },
+  // The disbursement paying the loan out - set when it starts, cleared again if its payout fails
+  disbursementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Disbursement',
+    default: null
+  },
+  // Loan amount less upfront fees, in paise
+  netDisbursedAmount: {
+    type: Number,
+    default: null
+  },
   startDate: {
     type: Date,
     default: null
@@ -76,11 +288,71 @@ const loanSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
-  // Autopay/Subscription fields
+  foreclosurePolicy: {
+    waiveUnaccruedInterest: {
+      type: Boolean,
+      default: true
+    },
+    feeType: {
+      type: String,
+      enum: ['fixed', 'percentage'],
+      default: 'percentage'
+    },
+    feeValue: {
+      type: Number,
+      default: 0
+    },
+    includePenalties: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Quote the borrower is paying (set when the foreclosure order is created)
+  foreclosure: {
+    quote: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    orderId: {
+      type: String,
+      default: null
+    },
+    // Every order issued for a foreclosure of this loan; paying an earlier one still settles
+    // it as long as the payment covers the current quote
+    orderIds: {
+      type: [String],
+      default: []
+    },
+    paymentId: {
+      type: String,
+      default: null
+    },
+    amountPaid: {
+      type: Number,
+      default: 0
+    },
+    settledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Current EMI schedule version; older versions stay in the EMI collection as superseded
+  scheduleVersion: {
+    type: Number,
+    default: 1
+  },
+  restructures: [restructureSchema],
+  // Autopay fields. New autopay is a Mandate debited by our own scheduler; loans set up
+  // before that keep their gateway subscription (razorpaySubscriptionId) until it is cancelled
   autopayEnabled: {
     type: Boolean,
     default: false
   },
+  autopayMandateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mandate',
+    default: null
+  },
   razorpaySubscriptionId: {
     type: String,
     default: null
@@ -89,28 +361,53 @@ const loanSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Gateway the autopay mandate or subscription was created with (see services/gateways)
+  autopayGateway: {
+    type: String,
+    default: 'razorpay'
+  },
   autopayStatus: {
     type: String,
-    enum: ['none', 'pending', 'active', 'paused', 'cancelled'],
+    enum: ['none', 'pending', 'active', 'paused', 'halted', 'cancelled'],
     default: 'none'
   },
+  // Field collector assigned to collect this loan's EMIs in person
+  collectorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
-// Calculate daily EMI before saving
-// 20% of total amount as total interest, spread over totalDays
+// Calculate installment amounts before saving
+// Uses the same schedule the EMI generator builds, so remainingBalance matches the EMIs exactly
+// Restructures bump scheduleVersion and set their own figures from the new schedule
 loanSchema.pre('save', function(next) {
-  if (this.isNew || this.isModified('amount') || this.isModified('totalDays')) {
-    const totalInterest = this.amount * (this.interestRate / 100);
-    const dailyPrincipal = this.amount / this.totalDays;
-    this.dailyInterest = Math.ceil(totalInterest / this.totalDays);
-    this.dailyEMI = Math.ceil(dailyPrincipal + this.dailyInterest);
-    this.remainingBalance = this.amount + totalInterest;
+  if (this.isModified('scheduleVersion')) return next();
+  if (this.isNew || this.isModified('amount') || this.isModified('totalDays') || this.isModified('interestRate') ||
+    this.isModified('interestMethod') || this.isModified('repaymentFrequency')) {
+    this.installmentCount = getInstallmentCount(this.totalDays, this.repaymentFrequency);
+    const installments = buildInstallments({
+      amount: this.amount,
+      interestRate: this.interestRate,
+      installmentCount: this.installmentCount,
+      interestMethod: this.interestMethod
+    });
+    this.installmentInterest = installments[0].interest;
+    this.installmentAmount = installments[0].total;
+    this.dailyInterest = this.installmentInterest;
+    this.dailyEMI = this.installmentAmount;
+    this.totalInterest = installments.reduce((sum, i) => sum + i.interest, 0);
+    priceLoanCharges(this);
+    this.remainingBalance = installments.reduce((sum, i) => sum + i.total, 0);
   }
   next();
 });
 
+loanSchema.index({ collectorId: 1, status: 1 });
+
 module.exports = mongoose.model('Loan', loanSchema);
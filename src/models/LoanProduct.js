@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const { FREQUENCIES, INTEREST_METHODS } = require('../services/repaymentSchedule');
+const { CHARGE_TYPES, CHARGE_COLLECT_AT, CHARGE_TRIGGERS } = require('../services/charges');
+const { PENALTY_MODES, DEFAULT_PENALTY_RATE } = require('../services/penalty');
+
+const feeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: CHARGE_TYPES,
+    default: 'fixed'
+  },
+  // Paise for fixed fees; percent of the loan amount (or of the overdue installment for
+  // late-payment fees) for percentage fees
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Deducted from the disbursed amount, or added to the EMIs
+  collectAt: {
+    type: String,
+    enum: CHARGE_COLLECT_AT,
+    default: 'upfront'
+  },
+  trigger: {
+    type: String,
+    enum: CHARGE_TRIGGERS,
+    default: 'disbursement'
+  },
+  // Tax on the fee as a percent, e.g. 18 for GST
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const loanProductSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Interest for the whole tenure, as a percent of the principal
+  interestRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // flat: interestRate on the full principal; reducing_balance: amortized on outstanding principal
+  interestMethod: {
+    type: String,
+    enum: INTEREST_METHODS,
+    default: 'flat'
+  },
+  minTenureDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  maxTenureDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  defaultTenureDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Amount bounds in paise
+  minAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  maxAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  repaymentFrequency: {
+    type: String,
+    enum: FREQUENCIES,
+    default: 'daily'
+  },
+  penaltyPolicy: {
+    graceDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    mode: {
+      type: String,
+      enum: PENALTY_MODES,
+      default: 'percentage'
+    },
+    // Paise per day late (flat) or percent of the installment per day late (percentage)
+    rate: {
+      type: Number,
+      default: DEFAULT_PENALTY_RATE,
+      min: 0
+    },
+    // Maximum penalty on one EMI / across the whole loan, in paise (0 = no cap)
+    perEmiCap: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    perLoanCap: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Percentage penalties only: charge each day's rate on the penalty accrued so far too
+    compounding: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Early closure terms used by the foreclosure quote
+  foreclosurePolicy: {
+    // Skip interest on installments not yet due
+    waiveUnaccruedInterest: {
+      type: Boolean,
+      default: true
+    },
+    feeType: {
+      type: String,
+      enum: ['fixed', 'percentage'],
+      default: 'percentage'
+    },
+    // Paise for fixed fees, percent of outstanding principal for percentage fees
+    feeValue: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    includePenalties: {
+      type: Boolean,
+      default: true
+    }
+  },
+  fees: [feeSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loanProductSchema.pre('validate', function(next) {
+  if (this.minTenureDays > this.maxTenureDays) {
+    this.invalidate('minTenureDays', 'Minimum tenure cannot exceed maximum tenure');
+  }
+  if (this.defaultTenureDays < this.minTenureDays || this.defaultTenureDays > this.maxTenureDays) {
+    this.invalidate('defaultTenureDays', 'Default tenure must be within the tenure bounds');
+  }
+  if (this.minAmount > this.maxAmount) {
+    this.invalidate('minAmount', 'Minimum amount cannot exceed maximum amount');
+  }
+  next();
+});
+
+module.exports = mongoose.model('LoanProduct', loanProductSchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// A borrower's recurring payment mandate (UPI AutoPay or e-mandate) for one loan. The borrower
+// authorizes it once in checkout; after that the daily autopay job debits each EMI's exact
+// amount on its due date through the stored token. Amounts are integer paise.
+const mandateSchema = new mongoose.Schema({
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['upi', 'emandate'],
+    required: true
+  },
+  customerId: {
+    type: String,
+    required: true
+  },
+  // Authorization order the borrower pays in checkout to register the mandate
+  authOrderId: {
+    type: String,
+    required: true
+  },
+  authPaymentId: {
+    type: String,
+    default: null
+  },
+  // Gateway token debits are made against, once authorized
+  token: {
+    type: String,
+    default: null
+  },
+  // Largest single debit the borrower agreed to, and when the mandate lapses
+  maxAmount: {
+    type: Number,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // created: waiting for the borrower to authorize; pending: authorized, the bank has not
+  // confirmed it yet (e-mandates take a few days); active: being debited; paused: skipped by
+  // the daily debits until resumed; halted: stopped after too many failed debits in a row;
+  // rejected: the bank refused it
+  status: {
+    type: String,
+    enum: ['created', 'pending', 'active', 'paused', 'halted', 'rejected', 'cancelled'],
+    default: 'created'
+  },
+  // Who paused it: the borrower or an admin in the app, or the borrower at their bank / UPI app
+  // (only resumed once the bank reports the mandate confirmed again)
+  pauseSource: {
+    type: String,
+    enum: ['borrower', 'admin', 'bank', null],
+    default: null
+  },
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  // The mandate or pre-mandate subscription this one takes over from once it is active. Until
+  // then the loan keeps debiting through the old one.
+  replacesMandateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mandate',
+    default: null
+  },
+  replacesSubscriptionId: {
+    type: String,
+    default: null
+  },
+  // When a debit was first cut down to maxAmount (the borrower is asked once to update autopay)
+  limitExceededAt: {
+    type: Date,
+    default: null
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  lastDebitAt: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  lastFailureReason: {
+    type: String,
+    default: null
+  },
+  activatedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+mandateSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+mandateSchema.index({ loanId: 1, createdAt: -1 });
+mandateSchema.index({ status: 1 });
+mandateSchema.index({ authOrderId: 1 });
+mandateSchema.index({ token: 1 });
+
+module.exports = mongoose.model('Mandate', mandateSchema);
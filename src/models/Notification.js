@@ -3,7 +3,12 @@ const mongoose = require('mongoose');
 const notificationSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['loan_request', 'loan_approved', 'loan_rejected', 'emi_paid', 'emi_pending_today', 'emi_overdue'],
+    enum: [
+      'loan_request', 'loan_approved', 'loan_rejected', 'emi_paid', 'emi_pending_today', 'emi_overdue',
+      'loan_foreclosed', 'loan_restructured', 'documents_requested', 'loan_cancelled', 'loan_updated', 'loan_withdrawn',
+      'loan_disbursed', 'penalty_waived', 'payment_refunded', 'autopay_updated', 'reconciliation_discrepancies',
+      'settlement_submitted', 'settlement_reviewed'
+    ],
     required: true,
   },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
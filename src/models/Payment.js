@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+// One payment from a borrower: a gateway order and every attempt made against it, or money
+// recorded without a gateway (simulated, admin-recorded, wallet). Amounts are integer paise.
+const attemptSchema = new mongoose.Schema({
+  gatewayPaymentId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['captured', 'failed'],
+    required: true
+  },
+  method: {
+    type: String,
+    default: null
+  },
+  errorCode: {
+    type: String,
+    default: null
+  },
+  errorDescription: {
+    type: String,
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  gatewayRefundId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    default: 'processed'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null only for payments from before multi-EMI orders were limited to one loan
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    default: null
+  },
+  // autopay: a mandate debit or subscription charge; mandate: the order that authorizes a mandate
+  purpose: {
+    type: String,
+    enum: ['emi', 'multi_emi', 'foreclosure', 'autopay', 'mandate'],
+    required: true
+  },
+  // Mandate a mandate debit or authorization belongs to
+  mandateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mandate',
+    default: null
+  },
+  // A payment gateway (see services/gateways), or manual: recorded by an admin, wallet: the
+  // borrower's wallet. simulated: /payment/simulate before it ran on the mock gateway
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'mock', 'simulated', 'manual', 'wallet'],
+    required: true
+  },
+  // created: order made, nothing paid yet; failed: the latest attempt failed
+  status: {
+    type: String,
+    enum: ['created', 'captured', 'failed'],
+    default: 'created'
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Gateway order id (Razorpay order_…)
+  orderId: {
+    type: String,
+    default: null
+  },
+  // Gateway payment id of the successful attempt (Razorpay pay_…), or of a mandate debit
+  // still waiting for its outcome
+  gatewayPaymentId: {
+    type: String,
+    default: null
+  },
+  // Id the money was applied under (see PaymentApplication) - the gateway payment id, or a
+  // generated one for payments without a gateway
+  paymentId: {
+    type: String,
+    default: null
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentApplication',
+    default: null
+  },
+  // upi, card, netbanking, cash, wallet...
+  method: {
+    type: String,
+    default: null
+  },
+  // EMIs the order was for, then the EMIs the money was applied to
+  emiIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EMI'
+  }],
+  attempts: [attemptSchema],
+  // Refunds made by the gateway against the captured payment
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Refund being made from this payment - one at a time, so two admins cannot reverse the same
+  // EMIs twice. Held while the refund is pending and cleared once it is processed or fails.
+  refundingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  // Last payload from the gateway about this payment
+  gatewayResponse: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  capturedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+paymentSchema.index({ orderId: 1 });
+paymentSchema.index({ gatewayPaymentId: 1 });
+paymentSchema.index({ paymentId: 1 });
+paymentSchema.index({ userId: 1, createdAt: -1 });
+paymentSchema.index({ loanId: 1, createdAt: -1 });
+paymentSchema.index({ mandateId: 1, status: 1 });
+
+paymentSchema.pre('save', function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// A payment that has been applied to a loan, one per payment id. The unique paymentId is what
+// makes applying a payment idempotent: a retried request, or the client's /verify racing the
+// webhook, finds this record and gets the same result back instead of counting the money twice.
+const paymentApplicationSchema = new mongoose.Schema({
+  paymentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // simulated: /payment/simulate, checkout: a gateway checkout (razorpay: the same, before
+  // gateways were pluggable), autopay: subscription charges, admin: recorded by hand,
+  // wallet: the borrower's wallet balance, collector: cash or UPI taken by a field collector
+  source: {
+    type: String,
+    enum: ['simulated', 'checkout', 'razorpay', 'autopay', 'admin', 'wallet', 'collector'],
+    required: true
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Paise received, how much went to EMIs and how much to the wallet
+  amount: {
+    type: Number,
+    required: true
+  },
+  applied: {
+    type: Number,
+    default: 0
+  },
+  excess: {
+    type: Number,
+    default: 0
+  },
+  allocation: {
+    penalty: { type: Number, default: 0 },
+    fee: { type: Number, default: 0 },
+    interest: { type: Number, default: 0 },
+    principal: { type: Number, default: 0 }
+  },
+  emiIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EMI'
+  }],
+  // Paise applied to each EMI, so a refund reverses only what this payment paid
+  emiAmounts: [{
+    _id: false,
+    emiId: { type: mongoose.Schema.Types.ObjectId, ref: 'EMI' },
+    amount: Number
+  }],
+  loanClosed: {
+    type: Boolean,
+    default: false
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+paymentApplicationSchema.index({ loanId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentApplication', paymentApplicationSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// An admin's request to waive EMI penalties, kept as the audit trail. Waivers above the
+// approval limit wait for a second admin; smaller ones are applied straight away.
+const penaltyWaiverSchema = new mongoose.Schema({
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'emi' for a single EMI, 'loan' for a bulk waiver across the loan's unpaid EMIs
+  scope: {
+    type: String,
+    enum: ['emi', 'loan'],
+    required: true
+  },
+  // Amounts in paise; appliedAmount can be lower if an EMI was paid before approval
+  items: [{
+    _id: false,
+    emiId: { type: mongoose.Schema.Types.ObjectId, ref: 'EMI', required: true },
+    amount: { type: Number, required: true },
+    appliedAmount: { type: Number, default: 0 }
+  }],
+  amount: {
+    type: Number,
+    required: true
+  },
+  full: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending_approval', 'applied', 'rejected'],
+    default: 'pending_approval'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: ''
+  },
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+penaltyWaiverSchema.index({ loanId: 1, createdAt: -1 });
+penaltyWaiverSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PenaltyWaiver', penaltyWaiverSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// A mismatch between what the gateway collected and what the app recorded
+//   pending_locally: collected by the gateway, but no captured Payment here
+//   missing_at_gateway: captured here, but the gateway has no collected payment for it
+//   amount_mismatch: both sides have it, for different amounts
+const discrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['pending_locally', 'missing_at_gateway', 'amount_mismatch'],
+    required: true
+  },
+  gatewayPaymentId: {
+    type: String,
+    default: null
+  },
+  orderId: {
+    type: String,
+    default: null
+  },
+  paymentRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    default: null
+  },
+  emiIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EMI'
+  }],
+  // Paise on each side (null where that side has no record)
+  gatewayAmount: {
+    type: Number,
+    default: null
+  },
+  localAmount: {
+    type: Number,
+    default: null
+  },
+  gatewayStatus: {
+    type: String,
+    default: null
+  },
+  localStatus: {
+    type: String,
+    default: null
+  },
+  // Whether an auto-fix can settle it (a collected payment for a checkout order we know about)
+  fixable: {
+    type: Boolean,
+    default: false
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolution: {
+    type: String,
+    default: ''
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// One reconciliation run: the gateway's payments for [from, to) against the Payment collection
+const reconciliationReportSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: Date,
+    required: true
+  },
+  to: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  summary: {
+    gatewayPayments: { type: Number, default: 0 },
+    localPayments: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    discrepancies: { type: Number, default: 0 },
+    unresolved: { type: Number, default: 0 }
+  },
+  discrepancies: [discrepancySchema],
+  error: {
+    type: String,
+    default: null
+  },
+  // null when run by the daily job
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reconciliationReportSchema.index({ createdAt: -1 });
+reconciliationReportSchema.index({ gateway: 1, from: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
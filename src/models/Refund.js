@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// An admin's refund or reversal of a payment, kept as the audit trail. Gateway payments are
+// refunded through the gateway; manual ones (admin-recorded, wallet, simulated) are only
+// reversed on the loan. Amounts are integer paise.
+const refundSchema = new mongoose.Schema({
+  paymentRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  // The payment id the money was applied under (PaymentApplication.paymentId)
+  paymentId: {
+    type: String,
+    required: true
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentApplication',
+    required: true
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // gateway: money sent back through the gateway; wallet: a wallet payment put back in the
+  // wallet; manual: reversed on the loan only - any cash is returned outside the app
+  method: {
+    type: String,
+    enum: ['gateway', 'wallet', 'manual'],
+    required: true
+  },
+  gateway: {
+    type: String,
+    default: null
+  },
+  gatewayRefundId: {
+    type: String,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Split fixed when the refund is requested: excess comes out of the wallet first, the rest
+  // is taken back off the EMIs, latest first
+  excessAmount: {
+    type: Number,
+    default: 0
+  },
+  reversedAmount: {
+    type: Number,
+    default: 0
+  },
+  reversal: {
+    penalty: { type: Number, default: 0 },
+    fee: { type: Number, default: 0 },
+    interest: { type: Number, default: 0 },
+    principal: { type: Number, default: 0 }
+  },
+  emiIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EMI'
+  }],
+  // Paise reversed off each EMI
+  emiAmounts: [{
+    _id: false,
+    emiId: { type: mongoose.Schema.Types.ObjectId, ref: 'EMI' },
+    amount: Number
+  }],
+  loanReopened: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // pending: requested (and sent to the gateway, if gatewayRefundId is set) but not yet
+  // reversed on the loan; failed: the gateway refused it
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+refundSchema.index({ paymentRecordId: 1, createdAt: -1 });
+refundSchema.index({ loanId: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ gatewayRefundId: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A field collector's end-of-day hand-in: every collection they had not yet settled, the
+// cash they say they are handing over, and the admin's count of what actually arrived.
+// Amounts are integer paise.
+const settlementSchema = new mongoose.Schema({
+  collectorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  collectionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  }],
+  // Totals of the collections, by method
+  expected: {
+    cash: { type: Number, default: 0 },
+    upi: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
+  },
+  // Cash the collector declares they are handing over
+  declaredCash: {
+    type: Number,
+    required: true
+  },
+  notes: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // submitted: waiting for an admin; reconciled: cash and collections all matched;
+  // discrepancy: cash short (or over) or collections disputed - it can be reconciled again
+  status: {
+    type: String,
+    enum: ['submitted', 'reconciled', 'discrepancy'],
+    default: 'submitted'
+  },
+  // Cash the admin counted, expected.cash - receivedCash, and the collections they disputed
+  receivedCash: {
+    type: Number,
+    default: null
+  },
+  cashShortfall: {
+    type: Number,
+    default: 0
+  },
+  disputedCollectionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  }],
+  disputedAmount: {
+    type: Number,
+    default: 0
+  },
+  reviewNote: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+settlementSchema.index({ collectorId: 1, createdAt: -1 });
+settlementSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Settlement', settlementSchema);
@@ -49,7 +49,8 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    // collector: a field agent who collects EMIs from the borrowers assigned to them
+    enum: ['user', 'admin', 'collector'],
     default: 'user'
   },
   otp: {
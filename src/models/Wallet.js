@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A borrower's credit balance (integer paise) - money paid ahead of or above what was due.
+// Only changed through services/wallet so every change has a WalletTransaction.
+const walletSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One entry in a borrower's wallet ledger. Amounts are integer paise and always positive;
+// type says which way the money moved.
+const walletTransactionSchema = new mongoose.Schema({
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // overpayment: money received above what was owed
+  // auto_apply: balance used for EMIs by the daily job
+  // refund: an overpayment refunded, or a wallet payment reversed back into the wallet
+  source: {
+    type: String,
+    enum: ['overpayment', 'auto_apply', 'adjustment', 'refund'],
+    required: true
+  },
+  // Gateway payment that brought the money in, or the id recorded on the EMIs it paid
+  paymentId: {
+    type: String,
+    default: null
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    default: null
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
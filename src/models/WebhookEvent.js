@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Every webhook delivery we accept, stored before it is processed. The unique eventId makes a
+// redelivered event a no-op, and a failed event keeps its payload so an admin can replay it.
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: 'razorpay'
+  },
+  // The provider's event id (x-razorpay-event-id), or a hash of the body if it sent none
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // ignored: an event we have no handler for
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed', 'ignored'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  // Admin who last replayed the event
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
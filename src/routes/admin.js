@@ -1,12 +1,39 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Loan = require('../models/Loan');
 const EMI = require('../models/EMI');
 const Notification = require('../models/Notification');
+const LoanProduct = require('../models/LoanProduct');
+const Disbursement = require('../models/Disbursement');
+const PenaltyWaiver = require('../models/PenaltyWaiver');
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const Refund = require('../models/Refund');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const Collection = require('../models/Collection');
+const Settlement = require('../models/Settlement');
 const { getIO } = require('../socket');
 const { protect, adminOnly } = require('../middleware/auth');
-const { generateEMISchedule, getLoanStats, processOverdueEMIs } = require('../services/emiCalculator');
+const { getLoanStats, processOverdueEMIs } = require('../services/emiCalculator');
+const { validateLoanTerms } = require('../services/loanProducts');
+const { validateRestructure, restructureLoan } = require('../services/restructure');
+const { DISBURSEMENT_MODES, disburseLoan, refreshDisbursement } = require('../services/disbursement');
+const { getChargeSummary } = require('../services/charges');
+const { validatePenaltyPolicy, getDaysOverdue, calculateLoanPenalties } = require('../services/penalty');
+const { getApprovalLimit, validateWaiver, requestWaiver, decideWaiver } = require('../services/penaltyWaiver');
+const { postWriteOff, getLoanLedger, verifyLoanLedger } = require('../services/ledger');
+const { PAYABLE_EMI_STATUSES, getOutstanding, validatePaymentAmount } = require('../services/paymentAllocation');
+const { applyPayment, findPaymentApplication, applyWalletToDueEMIs } = require('../services/paymentApplication');
+const { buildPaymentQuery } = require('../services/paymentRecords');
+const { validateRefund, refundPayment, completeRefund } = require('../services/refunds');
+const { validateReconciliationRequest, runReconciliation, fixDiscrepancies, resolveDiscrepancy } = require('../services/reconciliation');
+const { validateReplay, replayWebhookEvent, replayFailedWebhookEvents } = require('../services/webhookEvents');
+const { validateReconciliation, reconcileSettlement } = require('../services/collections');
+const { getLoanMandate, validateAutopayPause, validateAutopayResume, pauseAutopay, resumeAutopay } = require('../services/autopay');
+const { OPEN_APPLICATION_STATUSES, SCHEDULED_STATUSES, canTransition, transitionLoan } = require('../services/loanStatus');
 const { sendPushNotification } = require('../utils/pushNotifications');
+const { formatINR } = require('../utils/money');
 
 const router = express.Router();
 
@@ -14,8 +41,10 @@ const router = express.Router();
 router.use(protect);
 router.use(adminOnly);
 
+const ROLE_LABELS = { user: 'User', admin: 'Admin', collector: 'Collector' };
+
 // @route   POST /api/admin/users
-// @desc    Create a new user or admin
+// @desc    Create a new user, admin or field collector (role)
 // @access  Admin
 router.post('/users', async (req, res) => {
   try {
@@ -31,7 +60,7 @@ router.post('/users', async (req, res) => {
       return res.status(400).json({ message: 'Please enter a valid email address' });
     }
 
-    const validRole = role === 'admin' ? 'admin' : 'user';
+    const validRole = ['admin', 'collector'].includes(role) ? role : 'user';
     const nameStr = String(name || '').trim();
     const mobileStr = String(mobile || '').trim().replace(/\D/g, '').slice(0, 10);
 
@@ -53,7 +82,7 @@ router.post('/users', async (req, res) => {
     delete userObj.otpExpiry;
 
     res.status(201).json({
-      message: `${validRole === 'admin' ? 'Admin' : 'User'} created successfully`,
+      message: `${ROLE_LABELS[validRole]} created successfully`,
       user: userObj,
     });
   } catch (error) {
@@ -74,7 +103,7 @@ router.get('/users', async (req, res) => {
     // Get loan count for each user
     const usersWithLoans = await Promise.all(users.map(async (user) => {
       const loanCount = await Loan.countDocuments({ userId: user._id });
-      const activeLoans = await Loan.countDocuments({ userId: user._id, status: 'approved' });
+      const activeLoans = await Loan.countDocuments({ userId: user._id, status: 'active' });
       return {
         ...user.toObject(),
         loanCount,
@@ -109,6 +138,35 @@ router.get('/admins', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/collectors
+// @desc    Get all field collectors with their assigned loans and the money they hold
+// @access  Admin
+router.get('/collectors', async (req, res) => {
+  try {
+    const collectors = await User.find({ role: 'collector' })
+      .select('-otp -otpExpiry')
+      .sort({ createdAt: -1 });
+
+    const collectorsList = await Promise.all(collectors.map(async (collector) => {
+      const assignedLoans = await Loan.countDocuments({ collectorId: collector._id, status: 'active' });
+      const unsettled = await Collection.find({ collectorId: collector._id, status: 'collected' }).select('amount method');
+      const pendingSettlements = await Settlement.countDocuments({ collectorId: collector._id, status: { $ne: 'reconciled' } });
+      return {
+        ...collector.toObject(),
+        assignedLoans,
+        unsettledCash: unsettled.filter(c => c.method === 'cash').reduce((sum, c) => sum + c.amount, 0),
+        unsettledCount: unsettled.length,
+        pendingSettlements
+      };
+    }));
+
+    res.json(collectorsList);
+  } catch (error) {
+    console.error('Get collectors error:', error);
+    res.status(500).json({ message: 'Error fetching collectors' });
+  }
+});
+
 // @route   GET /api/admin/users/:id
 // @desc    Get user details with loans
 // @access  Admin
@@ -124,7 +182,7 @@ router.get('/users/:id', async (req, res) => {
 
     // Get stats for each loan
     const loansWithStats = await Promise.all(loans.map(async (loan) => {
-      if (loan.status === 'approved' || loan.status === 'completed') {
+      if (SCHEDULED_STATUSES.includes(loan.status)) {
         const stats = await getLoanStats(loan._id);
         return { ...loan.toObject(), stats };
       }
@@ -138,12 +196,106 @@ router.get('/users/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/products
+// @desc    Get all loan products (active and inactive)
+// @access  Admin
+router.get('/products', async (req, res) => {
+  try {
+    const products = await LoanProduct.find().sort({ isActive: -1, defaultTenureDays: 1 });
+    res.json(products);
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({ message: 'Error fetching loan products' });
+  }
+});
+
+const PRODUCT_FIELDS = [
+  'name', 'description', 'interestRate', 'interestMethod', 'minTenureDays', 'maxTenureDays', 'defaultTenureDays',
+  'minAmount', 'maxAmount', 'repaymentFrequency', 'penaltyPolicy', 'foreclosurePolicy', 'fees', 'isActive'
+];
+
+const pickProductFields = (body) => {
+  const fields = {};
+  PRODUCT_FIELDS.forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+};
+
+// @route   POST /api/admin/products
+// @desc    Create a loan product
+// @access  Admin
+router.post('/products', async (req, res) => {
+  try {
+    const product = new LoanProduct(pickProductFields(req.body));
+    await product.save();
+
+    res.status(201).json({
+      message: 'Loan product created successfully',
+      product
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({ message: error.code === 11000 ? 'A product with this name already exists' : error.message });
+    }
+    console.error('Create product error:', error);
+    res.status(500).json({ message: 'Error creating loan product' });
+  }
+});
+
+// @route   PUT /api/admin/products/:id
+// @desc    Update a loan product (existing loans keep the terms they were created with)
+// @access  Admin
+router.put('/products/:id', async (req, res) => {
+  try {
+    const product = await LoanProduct.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Loan product not found' });
+
+    product.set(pickProductFields(req.body));
+    await product.save();
+
+    res.json({
+      message: 'Loan product updated successfully',
+      product
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({ message: error.code === 11000 ? 'A product with this name already exists' : error.message });
+    }
+    console.error('Update product error:', error);
+    res.status(500).json({ message: 'Error updating loan product' });
+  }
+});
+
+// @route   DELETE /api/admin/products/:id
+// @desc    Delete a loan product, or deactivate it if loans were created from it
+// @access  Admin
+router.delete('/products/:id', async (req, res) => {
+  try {
+    const product = await LoanProduct.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Loan product not found' });
+
+    const loanCount = await Loan.countDocuments({ productId: product._id });
+    if (loanCount > 0) {
+      product.isActive = false;
+      await product.save();
+      return res.json({ message: 'Loan product has existing loans and was deactivated', product });
+    }
+
+    await LoanProduct.findByIdAndDelete(product._id);
+    res.json({ message: 'Loan product deleted successfully' });
+  } catch (error) {
+    console.error('Delete product error:', error);
+    res.status(500).json({ message: 'Error deleting loan product' });
+  }
+});
+
 // @route   GET /api/admin/loans/pending
-// @desc    Get all pending loan applications
+// @desc    Get all loan applications awaiting a decision (submitted, under review, documents requested)
 // @access  Admin
 router.get('/loans/pending', async (req, res) => {
   try {
-    const pendingLoans = await Loan.find({ status: 'pending' })
+    const pendingLoans = await Loan.find({ status: { $in: OPEN_APPLICATION_STATUSES } })
       .populate('userId', 'email mobile name')
       .sort({ createdAt: -1 });
 
@@ -154,45 +306,106 @@ router.get('/loans/pending', async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/loans/:id/status
+// @desc    Move a loan application along its lifecycle (under_review, documents_requested, written_off)
+//          Approve, reject and disburse have their own routes because they do more than change status
+// @access  Admin
+router.put('/loans/:id/status', async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const allowed = ['under_review', 'documents_requested', 'written_off'];
+
+    if (!allowed.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${allowed.join(', ')}` });
+    }
+
+    if (['documents_requested', 'written_off'].includes(status) && (!reason || !String(reason).trim())) {
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    if (!canTransition(loan.status, status)) {
+      return res.status(400).json({ message: `Cannot move loan from ${loan.status} to ${status}` });
+    }
+
+    transitionLoan(loan, status, { by: req.user, reason });
+    await loan.save();
+
+    if (status === 'written_off') {
+      await postWriteOff(loan, req.user);
+    }
+
+    if (status === 'documents_requested') {
+      const notif = await Notification.create({
+        type: 'documents_requested',
+        forAdmin: false,
+        userId: loan.userId,
+        loanId: loan._id,
+        title: 'Documents Required',
+        body: `We need more information for your loan application: ${String(reason).trim()}`,
+      });
+
+      const { emitNotification } = require('../socket');
+      await emitNotification(notif);
+    }
+
+    res.json({
+      message: `Loan moved to ${status}`,
+      loan
+    });
+  } catch (error) {
+    console.error('Update loan status error:', error);
+    res.status(500).json({ message: 'Error updating loan status' });
+  }
+});
+
 // @route   PUT /api/admin/loans/:id/approve
 // @desc    Approve a loan application (admin can change amount and totalDays)
 // @access  Admin
 router.put('/loans/:id/approve', async (req, res) => {
   try {
-    const { amount, totalDays } = req.body;
+    const { amount, totalDays, reason } = req.body;
     const loan = await Loan.findById(req.params.id);
 
     if (!loan) {
       return res.status(404).json({ message: 'Loan not found' });
     }
 
-    if (loan.status !== 'pending') {
-      return res.status(400).json({ message: 'Loan is not in pending status' });
+    if (!canTransition(loan.status, 'approved')) {
+      return res.status(400).json({ message: `Loan cannot be approved from ${loan.status} status` });
     }
 
-    // Admin can change amount (1000 - 100000)
-    if (amount != null) {
-      const amt = parseInt(amount);
-      if (isNaN(amt) || amt < 1000 || amt > 100000) {
+    // Admin can change amount and total days within the product's bounds
+    const amt = amount != null ? parseInt(amount) : null;
+    const days = totalDays != null ? parseInt(totalDays) : null;
+    const product = loan.productId ? await LoanProduct.findById(loan.productId) : null;
+
+    if (product) {
+      const termsError = validateLoanTerms(product, { amount: amt, totalDays: days });
+      if (termsError) {
+        return res.status(400).json({ message: termsError });
+      }
+    } else {
+      // Loans created before products existed keep the original limits (₹1,000 - ₹1,00,000)
+      if (amt != null && (isNaN(amt) || amt < 100000 || amt > 10000000)) {
         return res.status(400).json({ message: 'Amount must be between ₹1,000 and ₹1,00,000' });
       }
-      loan.amount = amt;
-    }
-
-    // Admin can change total days (1 - 365)
-    if (totalDays != null) {
-      const days = parseInt(totalDays);
-      if (isNaN(days) || days < 1 || days > 365) {
+      if (days != null && (isNaN(days) || days < 1 || days > 365)) {
         return res.status(400).json({ message: 'Total days must be between 1 and 365' });
       }
-      loan.totalDays = days;
     }
 
-    loan.status = 'approved';
-    loan.interestRate = 20; // Fixed 20% interest
+    if (amt != null) loan.amount = amt;
+    if (days != null) loan.totalDays = days;
 
-    // Generate EMI schedule (starts next day)
-    await generateEMISchedule(loan);
+    transitionLoan(loan, 'approved', { by: req.user, reason });
+    loan.approvedAt = new Date();
+    await loan.save();
 
     const notif = await Notification.create({
       type: 'loan_approved',
@@ -200,7 +413,7 @@ router.put('/loans/:id/approve', async (req, res) => {
       userId: loan.userId,
       loanId: loan._id,
       title: 'Loan Approved',
-      body: `Your loan of ₹${loan.amount.toLocaleString('en-IN')} has been approved.`,
+      body: `Your loan of ${formatINR(loan.amount)} has been approved.`,
     });
 
     // Use centralized notification emitter
@@ -217,6 +430,103 @@ router.put('/loans/:id/approve', async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/loans/:id/disburse
+// @desc    Send (or record) the loan money; the EMI schedule starts from the disbursement date
+// @access  Admin
+router.put('/loans/:id/disburse', async (req, res) => {
+  try {
+    const { mode, reference, beneficiary, disbursedAt } = req.body;
+
+    if (!DISBURSEMENT_MODES.includes(mode)) {
+      return res.status(400).json({ message: `Mode must be one of: ${DISBURSEMENT_MODES.join(', ')}` });
+    }
+    if (disbursedAt && (isNaN(new Date(disbursedAt)) || new Date(disbursedAt) > new Date())) {
+      return res.status(400).json({ message: 'Disbursement date must be a valid date, not in the future' });
+    }
+
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    if (!canTransition(loan.status, 'disbursed')) {
+      return res.status(400).json({ message: `Loan cannot be disbursed from ${loan.status} status` });
+    }
+
+    const inFlight = await Disbursement.findOne({ loanId: loan._id, status: 'initiated' });
+    if (inFlight) {
+      return res.status(400).json({ message: 'A payout for this loan is still processing', disbursement: inFlight });
+    }
+
+    const disbursement = await disburseLoan(loan, {
+      mode,
+      reference: reference ? String(reference).trim() : '',
+      beneficiary,
+      disbursedAt
+    }, req.user);
+
+    if (!disbursement) {
+      return res.status(409).json({ message: 'This loan is already being disbursed' });
+    }
+
+    if (disbursement.status === 'failed') {
+      return res.status(400).json({
+        message: `Payout failed: ${disbursement.failureReason}`,
+        disbursement
+      });
+    }
+
+    res.json({
+      message: disbursement.status === 'processed'
+        ? 'Loan disbursed successfully'
+        : 'Payout initiated; the loan will activate once it is processed',
+      loan: await Loan.findById(loan._id),
+      disbursement
+    });
+  } catch (error) {
+    console.error('Disburse loan error:', error);
+    res.status(500).json({ message: 'Error disbursing loan' });
+  }
+});
+
+// @route   GET /api/admin/loans/:id/disbursements
+// @desc    Get every disbursement attempt for a loan
+// @access  Admin
+router.get('/loans/:id/disbursements', async (req, res) => {
+  try {
+    const disbursements = await Disbursement.find({ loanId: req.params.id })
+      .populate('initiatedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ disbursements });
+  } catch (error) {
+    console.error('Get disbursements error:', error);
+    res.status(500).json({ message: 'Error fetching disbursements' });
+  }
+});
+
+// @route   POST /api/admin/disbursements/:id/refresh
+// @desc    Check a processing payout with the provider and activate the loan if it went through
+// @access  Admin
+router.post('/disbursements/:id/refresh', async (req, res) => {
+  try {
+    const disbursement = await Disbursement.findById(req.params.id);
+
+    if (!disbursement) {
+      return res.status(404).json({ message: 'Disbursement not found' });
+    }
+
+    const loan = await Loan.findById(disbursement.loanId);
+    await refreshDisbursement(disbursement, loan, req.user);
+
+    res.json({ disbursement, loan: await Loan.findById(loan._id) });
+  } catch (error) {
+    console.error('Refresh disbursement error:', error);
+    res.status(500).json({ message: 'Error refreshing disbursement' });
+  }
+});
+
 // @route   PUT /api/admin/loans/:id/reject
 // @desc    Reject a loan application
 // @access  Admin
@@ -224,19 +534,36 @@ router.put('/loans/:id/reject', async (req, res) => {
   try {
     const { reason } = req.body;
 
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A rejection reason is required' });
+    }
+
     const loan = await Loan.findById(req.params.id);
 
     if (!loan) {
       return res.status(404).json({ message: 'Loan not found' });
     }
 
-    if (loan.status !== 'pending') {
-      return res.status(400).json({ message: 'Loan is not in pending status' });
+    if (!canTransition(loan.status, 'rejected')) {
+      return res.status(400).json({ message: `Loan cannot be rejected from ${loan.status} status` });
     }
 
-    loan.status = 'rejected';
+    transitionLoan(loan, 'rejected', { by: req.user, reason });
+    loan.rejectionReason = String(reason).trim();
     await loan.save();
 
+    const notif = await Notification.create({
+      type: 'loan_rejected',
+      forAdmin: false,
+      userId: loan.userId,
+      loanId: loan._id,
+      title: 'Loan Application Rejected',
+      body: `Your loan application of ${formatINR(loan.amount)} was not approved. Reason: ${loan.rejectionReason}`,
+    });
+
+    const { emitNotification } = require('../socket');
+    await emitNotification(notif);
+
     res.json({
       message: 'Loan rejected',
       loan
@@ -247,11 +574,184 @@ router.put('/loans/:id/reject', async (req, res) => {
   }
 });
 
+// @route   POST /api/admin/loans/:id/restructure
+// @desc    Restructure an active loan (extend tenure, payment holiday or re-spread the balance)
+// @access  Admin
+router.post('/loans/:id/restructure', async (req, res) => {
+  try {
+    const { type, reason, days, additionalInstallments, installmentCount, frequency } = req.body;
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    if (loan.status !== 'active') {
+      return res.status(400).json({ message: 'Only active loans can be restructured' });
+    }
+
+    const options = { type, reason, days, additionalInstallments, installmentCount, frequency };
+    const validationError = validateRestructure(options);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const unpaidCount = await EMI.countDocuments({ loanId: loan._id, status: { $in: PAYABLE_EMI_STATUSES } });
+    if (unpaidCount === 0) {
+      return res.status(400).json({ message: 'Loan has no unpaid EMIs to restructure' });
+    }
+
+    const { emis } = await restructureLoan(loan, options, req.user);
+
+    res.json({
+      message: 'Loan restructured successfully',
+      loan,
+      emis
+    });
+  } catch (error) {
+    console.error('Restructure loan error:', error);
+    res.status(500).json({ message: 'Error restructuring loan' });
+  }
+});
+
+// @route   GET /api/admin/loans/:id/schedules
+// @desc    Get every schedule version of a loan (current and superseded) for audit
+// @access  Admin
+router.get('/loans/:id/schedules', async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id)
+      .populate('restructures.restructuredBy', 'name email');
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    const emis = await EMI.find({ loanId: loan._id }).sort({ scheduleVersion: 1, installmentNumber: 1 });
+
+    const versions = [];
+    for (let v = 1; v <= (loan.scheduleVersion || 1); v++) {
+      versions.push({
+        version: v,
+        restructure: loan.restructures.find(r => r.version === v) || null,
+        emis: emis.filter(e => (e.scheduleVersion || 1) === v)
+      });
+    }
+
+    res.json({
+      currentVersion: loan.scheduleVersion || 1,
+      versions
+    });
+  } catch (error) {
+    console.error('Loan schedules error:', error);
+    res.status(500).json({ message: 'Error fetching loan schedules' });
+  }
+});
+
+// @route   GET /api/admin/loans/:id/ledger
+// @desc    Get a loan's full ledger and check that it balances and matches the loan's balances
+// @access  Admin
+router.get('/loans/:id/ledger', async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    const entries = await getLoanLedger(loan._id).populate('createdBy', 'name email');
+    const unpaidEmis = await EMI.find({ loanId: loan._id, status: { $in: PAYABLE_EMI_STATUSES } });
+
+    res.json({
+      loanId: loan._id,
+      entries,
+      verification: verifyLoanLedger(loan, entries, unpaidEmis)
+    });
+  } catch (error) {
+    console.error('Loan ledger error:', error);
+    res.status(500).json({ message: 'Error fetching loan ledger' });
+  }
+});
+
+// @route   GET /api/admin/loans/:id/penalties
+// @desc    Preview the penalty on each unpaid EMI under the loan's policy (optionally as of ?asOf=date)
+// @access  Admin
+router.get('/loans/:id/penalties', async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf)) {
+      return res.status(400).json({ message: 'asOf must be a valid date' });
+    }
+
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    const unpaid = await EMI.find({ loanId: loan._id, status: { $in: PAYABLE_EMI_STATUSES } });
+    const emis = calculateLoanPenalties(loan, unpaid, asOf).map(({ emi, accrued, penalty, delta }) => ({
+      emiId: emi._id,
+      installmentNumber: emi.installmentNumber,
+      dueDate: emi.dueDate,
+      daysOverdue: getDaysOverdue(emi.dueDate, asOf),
+      currentPenalty: emi.penaltyAmount || 0,
+      accrued,
+      waived: emi.penaltyWaived || 0,
+      penalty,
+      increase: delta
+    }));
+
+    res.json({
+      policy: loan.penaltyPolicy,
+      asOf,
+      loanPenaltyToDate: loan.penaltyAmount,
+      emis,
+      totalPenalty: emis.reduce((sum, e) => sum + e.penalty, 0)
+    });
+  } catch (error) {
+    console.error('Penalty preview error:', error);
+    res.status(500).json({ message: 'Error calculating penalties' });
+  }
+});
+
+// @route   PUT /api/admin/loans/:id/penalty-policy
+// @desc    Change the penalty terms of one loan (penalties already charged are kept)
+// @access  Admin
+router.put('/loans/:id/penalty-policy', async (req, res) => {
+  try {
+    const policyError = validatePenaltyPolicy(req.body);
+    if (policyError) {
+      return res.status(400).json({ message: policyError });
+    }
+
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    const { graceDays, mode, rate, perEmiCap, perLoanCap, compounding } = req.body;
+    loan.penaltyPolicy = {
+      graceDays: Number(graceDays) || 0,
+      mode,
+      rate: Number(rate) || 0,
+      perEmiCap: Number(perEmiCap) || 0,
+      perLoanCap: Number(perLoanCap) || 0,
+      compounding: Boolean(compounding)
+    };
+    await loan.save();
+
+    res.json({ message: 'Penalty policy updated', loan });
+  } catch (error) {
+    console.error('Update penalty policy error:', error);
+    res.status(500).json({ message: 'Error updating penalty policy' });
+  }
+});
+
 // @route   POST /api/admin/process-overdues
-// @desc    Admin manually processes overdue EMIs (marks overdue + applies penalty)
+// @desc    Admin manually processes overdue EMIs (applies wallet balances, then marks overdue + applies penalty)
 // @access  Admin
 router.post('/process-overdues', async (req, res) => {
   try {
+    await applyWalletToDueEMIs();
     const count = await processOverdueEMIs();
     res.json({ message: `Processed ${count} overdue EMI(s)`, count });
   } catch (error) {
@@ -271,7 +771,8 @@ router.get('/emis/today', async (req, res) => {
     tomorrow.setDate(tomorrow.getDate() + 1);
 
     const todayEMIs = await EMI.find({
-      dueDate: { $gte: today, $lt: tomorrow }
+      dueDate: { $gte: today, $lt: tomorrow },
+      status: { $ne: 'superseded' }
     })
       .populate('userId', 'email mobile name')
       .populate('loanId', 'amount applicantName')
@@ -284,7 +785,8 @@ router.get('/emis/today', async (req, res) => {
       pending: todayEMIs.filter(e => e.status === 'pending').length,
       overdue: todayEMIs.filter(e => e.status === 'overdue').length,
       totalAmount: todayEMIs.reduce((sum, e) => sum + e.totalAmount, 0),
-      collectedAmount: todayEMIs.filter(e => e.status === 'paid').reduce((sum, e) => sum + e.totalAmount, 0)
+      partiallyPaid: todayEMIs.filter(e => e.status === 'partially_paid').length,
+      collectedAmount: todayEMIs.reduce((sum, e) => sum + (e.paidAmount || 0), 0)
     };
 
     res.json({ emis: todayEMIs, summary });
@@ -299,7 +801,7 @@ router.get('/emis/today', async (req, res) => {
 // @access  Admin
 router.get('/emis/total', async (req, res) => {
   try {
-    const allEMIs = await EMI.find();
+    const allEMIs = await EMI.find({ status: { $ne: 'superseded' } });
 
     const stats = {
       totalEMIs: allEMIs.length,
@@ -307,18 +809,23 @@ router.get('/emis/total', async (req, res) => {
       pendingEMIs: allEMIs.filter(e => e.status === 'pending').length,
       overdueEMIs: allEMIs.filter(e => e.status === 'overdue').length,
       totalAmount: allEMIs.reduce((sum, e) => sum + e.totalAmount, 0),
-      collectedAmount: allEMIs.filter(e => e.status === 'paid').reduce((sum, e) => sum + e.totalAmount, 0),
-      pendingAmount: allEMIs.filter(e => e.status !== 'paid').reduce((sum, e) => sum + e.totalAmount, 0),
-      totalPenalty: allEMIs.reduce((sum, e) => sum + (e.penaltyAmount || 0), 0)
+      partiallyPaidEMIs: allEMIs.filter(e => e.status === 'partially_paid').length,
+      collectedAmount: allEMIs.reduce((sum, e) => sum + (e.paidAmount || 0), 0),
+      pendingAmount: allEMIs.filter(e => PAYABLE_EMI_STATUSES.includes(e.status)).reduce((sum, e) => sum + getOutstanding(e), 0),
+      totalPenalty: allEMIs.reduce((sum, e) => sum + (e.penaltyAmount || 0), 0),
+      totalFees: allEMIs.reduce((sum, e) => sum + (e.feeAmount || 0), 0)
     };
 
     // Get loan stats
     const loans = await Loan.find();
     stats.totalLoans = loans.length;
-    stats.approvedLoans = loans.filter(l => l.status === 'approved').length;
-    stats.pendingLoans = loans.filter(l => l.status === 'pending').length;
-    stats.totalDisbursed = loans.filter(l => l.status === 'approved' || l.status === 'completed')
+    stats.approvedLoans = loans.filter(l => l.status === 'active').length;
+    stats.pendingLoans = loans.filter(l => OPEN_APPLICATION_STATUSES.includes(l.status)).length;
+    stats.totalDisbursed = loans.filter(l => SCHEDULED_STATUSES.includes(l.status))
       .reduce((sum, l) => sum + l.amount, 0);
+    // What actually reached borrowers after upfront charges
+    stats.netDisbursed = loans.filter(l => SCHEDULED_STATUSES.includes(l.status))
+      .reduce((sum, l) => sum + (l.netDisbursedAmount ?? l.amount), 0);
 
     res.json(stats);
   } catch (error) {
@@ -328,63 +835,339 @@ router.get('/emis/total', async (req, res) => {
 });
 
 // @route   PUT /api/admin/emis/:id/mark-paid
-// @desc    Admin marks EMI as paid
+// @desc    Admin marks EMI as paid (amount in paise is optional; anything above what is due goes to the wallet)
+//          A reference (e.g. the receipt number) is required and applied only once per loan, so
+//          retries are safe. method is how the money came in (cash, cheque, bank_transfer...), default cash
 // @access  Admin
 router.put('/emis/:id/mark-paid', async (req, res) => {
   try {
+    const { amount, reference, method = 'cash' } = req.body;
+    if (!reference || !String(reference).trim()) {
+      return res.status(400).json({ message: 'A reference (e.g. the receipt number) is required' });
+    }
+
     const emi = await EMI.findById(req.params.id);
     if (!emi) return res.status(404).json({ message: 'EMI not found' });
-    if (emi.status === 'paid') return res.status(400).json({ message: 'EMI already paid' });
-
-    emi.status = 'paid';
-    emi.paidAt = new Date();
-    emi.razorpayPaymentId = `admin_${req.user._id}_${Date.now()}`;
-    await emi.save();
 
-    const loan = await Loan.findById(emi.loanId);
-    if (loan) {
-      loan.totalPaid += emi.totalAmount;
-      loan.remainingBalance -= (emi.principalAmount + emi.interestAmount);
-      const pendingCount = await EMI.countDocuments({ loanId: loan._id, status: { $ne: 'paid' } });
-      if (pendingCount === 0) loan.status = 'completed';
-      await loan.save();
+    const paymentId = `admin_${emi.loanId}_${String(reference).trim()}`;
+    const previous = await findPaymentApplication(paymentId);
+    if (previous) {
+      // The same reference recorded against another EMI of the loan is a different payment
+      if (!previous.emiIds.some(id => id.equals(emi._id))) {
+        return res.status(409).json({ message: 'This reference has already been used for another EMI' });
+      }
+      return res.json({
+        message: 'Payment already recorded',
+        emi,
+        allocation: previous.allocation,
+        walletCredit: previous.excess,
+        replayed: true
+      });
     }
 
-    const notif = await Notification.create({
-      type: 'emi_paid',
-      forAdmin: true,
-      userId: emi.userId,
+    if (!PAYABLE_EMI_STATUSES.includes(emi.status)) return res.status(400).json({ message: 'EMI already paid' });
+
+    const outstanding = getOutstanding(emi);
+    const amountError = validatePaymentAmount(amount, outstanding);
+    if (amountError) return res.status(400).json({ message: amountError });
+    const payAmount = amount != null ? parseInt(amount) : outstanding;
+
+    const { application, replayed } = await applyPayment({
+      paymentId,
+      source: 'admin',
       loanId: emi.loanId,
-      emiId: emi._id,
-      title: 'EMI Paid (Admin Manual)',
-      body: `Day ${emi.dayNumber} EMI - ₹${emi.totalAmount} marked paid by Admin for ${loan?.applicantName || 'User'}`,
+      amount: payAmount,
+      emiIds: [emi._id],
+      by: req.user,
+      record: { method }
     });
+    if (replayed && !application.emiIds.some(id => id.equals(emi._id))) {
+      return res.status(409).json({ message: 'This reference has already been used for another EMI' });
+    }
 
-    const { emitNotification } = require('../socket');
-    await emitNotification(notif);
-    res.json({ message: 'EMI marked as paid', emi });
+    const updated = await EMI.findById(emi._id);
+    res.json({
+      message: updated.status === 'paid' ? 'EMI marked as paid' : 'Part-payment recorded',
+      emi: updated,
+      allocation: application.allocation,
+      walletCredit: application.excess,
+      replayed
+    });
   } catch (error) {
     console.error('Mark paid error:', error);
     res.status(500).json({ message: 'Error marking EMI as paid' });
   }
 });
 
-// @route   DELETE /api/admin/loans/:id
-// @desc    Delete a loan (with confirmation - caller must confirm)
+// @route   POST /api/admin/emis/:id/waive-penalty
+// @desc    Waive all or part of one EMI's penalty (amount in paise; omit for a full waiver)
 // @access  Admin
-router.delete('/loans/:id', async (req, res) => {
+router.post('/emis/:id/waive-penalty', async (req, res) => {
   try {
-    const loan = await Loan.findById(req.params.id);
-    if (!loan) return res.status(404).json({ message: 'Loan not found' });
+    const { amount, reason } = req.body;
+    const emi = await EMI.findById(req.params.id);
 
-    await EMI.deleteMany({ loanId: loan._id });
-    await Loan.findByIdAndDelete(loan._id);
+    if (!emi) {
+      return res.status(404).json({ message: 'EMI not found' });
+    }
+    if (!PAYABLE_EMI_STATUSES.includes(emi.status)) {
+      return res.status(400).json({ message: `Cannot waive the penalty on a ${emi.status} EMI` });
+    }
 
-    res.json({ message: 'Loan deleted successfully' });
-  } catch (error) {
-    console.error('Delete loan error:', error);
-    res.status(500).json({ message: 'Error deleting loan' });
-  }
+    const validationError = validateWaiver({ amount, reason }, [emi]);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const loan = await Loan.findById(emi.loanId);
+    const waiver = await requestWaiver(loan, [emi], { scope: 'emi', amount, reason }, req.user);
+
+    res.json({
+      message: waiver.status === 'applied'
+        ? 'Penalty waived'
+        : `Waivers above ${formatINR(getApprovalLimit())} need another admin's approval`,
+      waiver
+    });
+  } catch (error) {
+    console.error('Waive penalty error:', error);
+    res.status(500).json({ message: 'Error waiving penalty' });
+  }
+});
+
+// @route   POST /api/admin/loans/:id/waive-penalties
+// @desc    Waive penalties across a loan's unpaid EMIs, oldest first (amount in paise; omit for all)
+// @access  Admin
+router.post('/loans/:id/waive-penalties', async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    const emis = await EMI.find({
+      loanId: loan._id,
+      status: { $in: PAYABLE_EMI_STATUSES },
+      penaltyAmount: { $gt: 0 }
+    });
+
+    const validationError = validateWaiver({ amount, reason }, emis);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const waiver = await requestWaiver(loan, emis, { scope: 'loan', amount, reason }, req.user);
+
+    res.json({
+      message: waiver.status === 'applied'
+        ? `Penalties waived on ${waiver.items.length} EMI(s)`
+        : `Waivers above ${formatINR(getApprovalLimit())} need another admin's approval`,
+      waiver
+    });
+  } catch (error) {
+    console.error('Bulk waive penalty error:', error);
+    res.status(500).json({ message: 'Error waiving penalties' });
+  }
+});
+
+// @route   PUT /api/admin/loans/:id/collector
+// @desc    Assign a loan to a field collector (collectorId: null to unassign)
+// @access  Admin
+router.put('/loans/:id/collector', async (req, res) => {
+  try {
+    const { collectorId } = req.body;
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+    if (collectorId === undefined) {
+      return res.status(400).json({ message: 'collectorId is required (null to unassign)' });
+    }
+
+    let collector = null;
+    if (collectorId) {
+      if (loan.status !== 'active') {
+        return res.status(400).json({ message: 'Only active loans can be assigned to a collector' });
+      }
+      collector = mongoose.Types.ObjectId.isValid(collectorId)
+        ? await User.findOne({ _id: collectorId, role: 'collector' }).select('name email mobile')
+        : null;
+      if (!collector) {
+        return res.status(400).json({ message: 'Collector not found' });
+      }
+    }
+
+    loan.collectorId = collector ? collector._id : null;
+    await loan.save();
+
+    res.json({
+      message: collector ? `Loan assigned to ${collector.name || collector.email}` : 'Loan unassigned',
+      loanId: loan._id,
+      collector
+    });
+  } catch (error) {
+    console.error('Assign collector error:', error);
+    res.status(500).json({ message: 'Error assigning collector' });
+  }
+});
+
+// @route   POST /api/admin/loans/:id/autopay/pause
+// @desc    Pause a loan's autopay (e.g. during a dispute); only an admin can resume it
+// @access  Admin
+router.post('/loans/:id/autopay/pause', async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    const mandate = await getLoanMandate(loan);
+    const validationError = validateAutopayPause(loan, mandate);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    await pauseAutopay(loan, mandate, req.user);
+
+    res.json({ message: 'Autopay paused', autopayStatus: loan.autopayStatus, loanId: loan._id });
+  } catch (error) {
+    console.error('Admin pause autopay error:', error);
+    res.status(500).json({ message: error.error?.description || 'Error pausing autopay' });
+  }
+});
+
+// @route   POST /api/admin/loans/:id/autopay/resume
+// @desc    Resume a loan's paused autopay, or a mandate halted after failed debits
+// @access  Admin
+router.post('/loans/:id/autopay/resume', async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    const mandate = await getLoanMandate(loan);
+    const validationError = validateAutopayResume(loan, mandate, req.user);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const { resumed, message } = await resumeAutopay(loan, mandate, req.user);
+    if (!resumed) {
+      return res.status(409).json({ message, mandateStatus: mandate.status });
+    }
+
+    res.json({ message: 'Autopay resumed', autopayStatus: loan.autopayStatus, loanId: loan._id });
+  } catch (error) {
+    console.error('Admin resume autopay error:', error);
+    res.status(500).json({ message: error.error?.description || 'Error resuming autopay' });
+  }
+});
+
+// @route   GET /api/admin/penalty-waivers
+// @desc    List penalty waivers (filter by ?status= and ?loanId=)
+// @access  Admin
+router.get('/penalty-waivers', async (req, res) => {
+  try {
+    const { status, loanId } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (loanId) query.loanId = loanId;
+
+    const waivers = await PenaltyWaiver.find(query)
+      .populate('loanId', 'amount applicantName')
+      .populate('requestedBy', 'name email')
+      .populate('decidedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ waivers, approvalLimit: getApprovalLimit() });
+  } catch (error) {
+    console.error('Get penalty waivers error:', error);
+    res.status(500).json({ message: 'Error fetching penalty waivers' });
+  }
+});
+
+// @route   PUT /api/admin/penalty-waivers/:id/approve
+// @desc    Approve a waiver another admin requested and apply it
+// @access  Admin
+router.put('/penalty-waivers/:id/approve', async (req, res) => {
+  try {
+    const waiver = await PenaltyWaiver.findById(req.params.id);
+
+    if (!waiver) {
+      return res.status(404).json({ message: 'Waiver not found' });
+    }
+    if (waiver.status !== 'pending_approval') {
+      return res.status(400).json({ message: `Waiver is already ${waiver.status}` });
+    }
+    if (waiver.requestedBy.toString() === req.user._id.toString()) {
+      return res.status(403).json({ message: 'A waiver must be approved by a different admin' });
+    }
+
+    const approved = await decideWaiver(waiver, true, req.user);
+    if (!approved) {
+      return res.status(409).json({ message: 'Waiver has already been decided' });
+    }
+
+    res.json({ message: 'Waiver approved and applied', waiver: approved });
+  } catch (error) {
+    console.error('Approve waiver error:', error);
+    res.status(500).json({ message: 'Error approving waiver' });
+  }
+});
+
+// @route   PUT /api/admin/penalty-waivers/:id/reject
+// @desc    Reject a pending waiver
+// @access  Admin
+router.put('/penalty-waivers/:id/reject', async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A rejection reason is required' });
+    }
+
+    const waiver = await PenaltyWaiver.findById(req.params.id);
+
+    if (!waiver) {
+      return res.status(404).json({ message: 'Waiver not found' });
+    }
+    if (waiver.status !== 'pending_approval') {
+      return res.status(400).json({ message: `Waiver is already ${waiver.status}` });
+    }
+
+    const rejected = await decideWaiver(waiver, false, req.user, reason);
+    if (!rejected) {
+      return res.status(409).json({ message: 'Waiver has already been decided' });
+    }
+
+    res.json({ message: 'Waiver rejected', waiver: rejected });
+  } catch (error) {
+    console.error('Reject waiver error:', error);
+    res.status(500).json({ message: 'Error rejecting waiver' });
+  }
+});
+
+// @route   DELETE /api/admin/loans/:id
+// @desc    Delete a loan (with confirmation - caller must confirm)
+// @access  Admin
+router.delete('/loans/:id', async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ message: 'Loan not found' });
+
+    await EMI.deleteMany({ loanId: loan._id });
+    await Loan.findByIdAndDelete(loan._id);
+
+    res.json({ message: 'Loan deleted successfully' });
+  } catch (error) {
+    console.error('Delete loan error:', error);
+    res.status(500).json({ message: 'Error deleting loan' });
+  }
 });
 
 // @route   GET /api/admin/dashboard
@@ -399,27 +1182,46 @@ router.get('/dashboard', async (req, res) => {
 
     // Count stats
     const totalUsers = await User.countDocuments({ role: 'user' });
-    const pendingLoans = await Loan.countDocuments({ status: 'pending' });
-    const activeLoans = await Loan.countDocuments({ status: 'approved' });
+    const pendingLoans = await Loan.countDocuments({ status: { $in: OPEN_APPLICATION_STATUSES } });
+    const activeLoans = await Loan.countDocuments({ status: 'active' });
 
     const todayEMIs = await EMI.countDocuments({
-      dueDate: { $gte: today, $lt: tomorrow }
+      dueDate: { $gte: today, $lt: tomorrow },
+      status: { $ne: 'superseded' }
     });
 
     const todayPendingEMIs = await EMI.countDocuments({
       dueDate: { $gte: today, $lt: tomorrow },
-      status: { $in: ['pending', 'overdue'] }
+      status: { $in: PAYABLE_EMI_STATUSES }
     });
 
     const overdueEMIs = await EMI.countDocuments({ status: 'overdue' });
 
+    // Fees and tax charged on loans that have been paid out
+    const [chargeTotals] = await Loan.aggregate([
+      { $match: { status: { $in: SCHEDULED_STATUSES } } },
+      { $unwind: '$charges' },
+      { $match: { 'charges.trigger': 'disbursement' } },
+      { $group: { _id: null, fees: { $sum: '$charges.amount' }, tax: { $sum: '$charges.taxAmount' } } }
+    ]);
+    const [lateFeeTotals] = await Loan.aggregate([
+      { $match: { status: { $in: SCHEDULED_STATUSES } } },
+      { $group: { _id: null, lateFees: { $sum: '$lateFeeAmount' } } }
+    ]);
+
     // Get pending applications
-    const pendingApplications = await Loan.find({ status: 'pending' })
+    const pendingApplications = await Loan.find({ status: { $in: OPEN_APPLICATION_STATUSES } })
       .populate('userId', 'email mobile name')
       .sort({ createdAt: -1 });
 
+    // Get approved loans waiting for the money to go out
+    const awaitingDisbursement = (await Loan.find({ status: 'approved' })
+      .populate('userId', 'email mobile name')
+      .sort({ approvedAt: 1 }))
+      .map(loan => ({ ...loan.toObject(), chargeSummary: getChargeSummary(loan) }));
+
     // Get active loans
-    const activeLoanList = await Loan.find({ status: 'approved' })
+    const activeLoanList = await Loan.find({ status: 'active' })
       .populate('userId', 'email mobile name')
       .sort({ updatedAt: -1 });
 
@@ -435,9 +1237,13 @@ router.get('/dashboard', async (req, res) => {
         activeLoans,
         todayEMIs,
         todayPendingEMIs,
-        overdueEMIs
+        overdueEMIs,
+        feesCharged: chargeTotals?.fees || 0,
+        taxCharged: chargeTotals?.tax || 0,
+        lateFeesCharged: lateFeeTotals?.lateFees || 0
       },
       pendingApplications,
+      awaitingDisbursement,
       activeLoans: activeLoanList,
       rejectedApplications
     });
@@ -456,13 +1262,15 @@ router.get('/emis', async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
     let query = {};
 
-    // Filter by status (multi-select or single)
+    // Filter by status (multi-select or single); superseded EMIs only when asked for
     if (status) {
       if (Array.isArray(status)) {
         query.status = { $in: status };
       } else {
         query.status = status;
       }
+    } else {
+      query.status = { $ne: 'superseded' };
     }
 
     // Filter by date range
@@ -499,7 +1307,7 @@ router.get('/emis', async (req, res) => {
     // Calculate summary for the filtered data (total amounts, not just this page)
     // For summary we might need another aggregation or just use the current emis if limit is large
     // But usually summary is for the WHOLE filtered set.
-    const fullSet = await EMI.find(query).select('status totalAmount');
+    const fullSet = await EMI.find(query).select('status totalAmount paidAmount');
 
     const summary = {
       total: fullSet.length,
@@ -507,7 +1315,8 @@ router.get('/emis', async (req, res) => {
       pending: fullSet.filter(e => e.status === 'pending').length,
       overdue: fullSet.filter(e => e.status === 'overdue').length,
       totalAmount: fullSet.reduce((sum, e) => sum + e.totalAmount, 0),
-      collectedAmount: fullSet.filter(e => e.status === 'paid').reduce((sum, e) => sum + e.totalAmount, 0)
+      partiallyPaid: fullSet.filter(e => e.status === 'partially_paid').length,
+      collectedAmount: fullSet.reduce((sum, e) => sum + (e.paidAmount || 0), 0)
     };
 
     res.json({
@@ -526,4 +1335,531 @@ router.get('/emis', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/payments
+// @desc    Search payments and payment attempts (search: order/payment id or borrower name, email, mobile;
+//          filters: status, gateway, purpose, loanId, userId, startDate, endDate)
+// @access  Admin
+router.get('/payments', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const query = await buildPaymentQuery(req.query);
+
+    const total = await Payment.countDocuments(query);
+    const payments = await Payment.find(query)
+      .populate('userId', 'email mobile name')
+      .populate('loanId', 'amount applicantName')
+      .populate('recordedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Summary covers the whole filtered set, not just this page
+    const fullSet = await Payment.find(query).select('status amount');
+    const summary = {
+      total: fullSet.length,
+      captured: fullSet.filter(p => p.status === 'captured').length,
+      failed: fullSet.filter(p => p.status === 'failed').length,
+      capturedAmount: fullSet.filter(p => p.status === 'captured').reduce((sum, p) => sum + p.amount, 0)
+    };
+
+    res.json({
+      payments,
+      summary,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Fetch payments error:', error);
+    res.status(500).json({ message: 'Error fetching payments' });
+  }
+});
+
+// @route   POST /api/admin/payments/:id/refund
+// @desc    Refund all or part of a payment (amount in paise; omit to refund everything left).
+//          Gateway payments are refunded through the gateway; admin-recorded, wallet and simulated
+//          ones are reversed on the loan. The EMIs it paid become due again.
+// @access  Admin
+router.post('/payments/:id/refund', async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const payment = mongoose.isValidObjectId(req.params.id)
+      ? await Payment.findById(req.params.id)
+      : await Payment.findOne({ paymentId: req.params.id });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const validationError = await validateRefund(payment, { amount, reason });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const refund = await refundPayment(payment, { amount, reason }, req.user);
+    if (!refund) {
+      return res.status(409).json({ message: 'Another refund of this payment is in progress - try again once it has finished' });
+    }
+    if (refund.status === 'failed') {
+      return res.status(502).json({ message: `Gateway refused the refund: ${refund.failureReason}`, refund });
+    }
+
+    res.json({
+      message: refund.loanReopened
+        ? `${formatINR(refund.amount)} refunded and the loan re-opened`
+        : `${formatINR(refund.amount)} refunded`,
+      refund
+    });
+  } catch (error) {
+    // A gateway refund whose reversal failed is left pending - see /refunds?status=pending
+    console.error('Refund payment error:', error);
+    res.status(500).json({ message: 'Error refunding payment' });
+  }
+});
+
+// @route   GET /api/admin/refunds
+// @desc    List refunds (filters: status, loanId)
+// @access  Admin
+router.get('/refunds', async (req, res) => {
+  try {
+    const { status, loanId, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (status) query.status = status;
+    if (loanId) query.loanId = loanId;
+
+    const total = await Refund.countDocuments(query);
+    const refunds = await Refund.find(query)
+      .populate('loanId', 'amount applicantName')
+      .populate('refundedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      refunds,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Fetch refunds error:', error);
+    res.status(500).json({ message: 'Error fetching refunds' });
+  }
+});
+
+// @route   POST /api/admin/refunds/:id/retry
+// @desc    Finish a refund left pending - the gateway refunded the money but reversing it on the loan failed
+// @access  Admin
+router.post('/refunds/:id/retry', async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id);
+
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+    if (refund.status !== 'pending') {
+      return res.status(400).json({ message: `Refund is already ${refund.status}` });
+    }
+    if (refund.method === 'gateway' && !refund.gatewayRefundId) {
+      return res.status(400).json({ message: 'Refund was never sent to the gateway - request a new one' });
+    }
+
+    const completed = await completeRefund(refund, req.user);
+    res.json({ message: 'Refund processed', refund: completed });
+  } catch (error) {
+    console.error('Retry refund error:', error);
+    res.status(500).json({ message: error.message || 'Error processing refund' });
+  }
+});
+
+// @route   POST /api/admin/reconciliation/run
+// @desc    Reconcile gateway payments against our records now (from/to: date range, default
+//          yesterday; gateway: default the configured one)
+// @access  Admin
+router.post('/reconciliation/run', async (req, res) => {
+  try {
+    const { from, to, gateway } = req.body;
+
+    const validationError = validateReconciliationRequest({ from, to, gateway });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const report = await runReconciliation({ gateway, from, to, by: req.user });
+    if (report.status === 'failed') {
+      return res.status(502).json({ message: `Reconciliation failed: ${report.error}`, report });
+    }
+
+    res.json({
+      message: `${report.summary.matched} payments matched, ${report.summary.discrepancies} discrepancies`,
+      report
+    });
+  } catch (error) {
+    console.error('Run reconciliation error:', error);
+    res.status(500).json({ message: 'Error running reconciliation' });
+  }
+});
+
+// @route   GET /api/admin/reconciliation/reports
+// @desc    List reconciliation reports, newest first (filters: gateway, status)
+// @access  Admin
+router.get('/reconciliation/reports', async (req, res) => {
+  try {
+    const { gateway, status, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (gateway) query.gateway = gateway;
+    if (status) query.status = status;
+
+    const total = await ReconciliationReport.countDocuments(query);
+    const reports = await ReconciliationReport.find(query)
+      .select('-discrepancies')
+      .populate('triggeredBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      reports,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Fetch reconciliation reports error:', error);
+    res.status(500).json({ message: 'Error fetching reconciliation reports' });
+  }
+});
+
+// @route   GET /api/admin/reconciliation/reports/:id
+// @desc    Get a reconciliation report and its discrepancies (filters: type, unresolved=true)
+// @access  Admin
+router.get('/reconciliation/reports/:id', async (req, res) => {
+  try {
+    const { type, unresolved } = req.query;
+
+    const report = await ReconciliationReport.findById(req.params.id)
+      .populate('triggeredBy', 'name email')
+      .populate('discrepancies.loanId', 'amount applicantName')
+      .populate('discrepancies.resolvedBy', 'name email');
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const discrepancies = report.discrepancies.filter(d =>
+      (!type || d.type === type) && (unresolved !== 'true' || !d.resolved));
+
+    res.json({ report: { ...report.toObject(), discrepancies } });
+  } catch (error) {
+    console.error('Fetch reconciliation report error:', error);
+    res.status(500).json({ message: 'Error fetching reconciliation report' });
+  }
+});
+
+// @route   POST /api/admin/reconciliation/reports/:id/fix
+// @desc    Auto-fix a report's fixable discrepancies (payments collected for our orders but never
+//          applied); discrepancyIds limits it to some of them
+// @access  Admin
+router.post('/reconciliation/reports/:id/fix', async (req, res) => {
+  try {
+    const { discrepancyIds } = req.body;
+
+    const report = await ReconciliationReport.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (report.status !== 'completed') {
+      return res.status(400).json({ message: `Report is ${report.status}` });
+    }
+    if (discrepancyIds != null && !Array.isArray(discrepancyIds)) {
+      return res.status(400).json({ message: 'discrepancyIds must be an array' });
+    }
+
+    const { fixed, failed } = await fixDiscrepancies(report, req.user, discrepancyIds);
+
+    res.json({
+      message: `${fixed} discrepancies fixed, ${failed} failed`,
+      fixed,
+      failed,
+      report
+    });
+  } catch (error) {
+    console.error('Fix reconciliation error:', error);
+    res.status(500).json({ message: 'Error fixing discrepancies' });
+  }
+});
+
+// @route   PUT /api/admin/reconciliation/reports/:id/discrepancies/:discrepancyId/resolve
+// @desc    Mark a discrepancy handled by hand, with a note of what was done
+// @access  Admin
+router.put('/reconciliation/reports/:id/discrepancies/:discrepancyId/resolve', async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (!note || !String(note).trim()) {
+      return res.status(400).json({ message: 'A note is required' });
+    }
+
+    const report = await ReconciliationReport.findById(req.params.id);
+    const discrepancy = report?.discrepancies.id(req.params.discrepancyId);
+
+    if (!discrepancy) {
+      return res.status(404).json({ message: 'Discrepancy not found' });
+    }
+    if (discrepancy.resolved) {
+      return res.status(400).json({ message: 'Discrepancy is already resolved' });
+    }
+
+    await resolveDiscrepancy(report, discrepancy, note, req.user);
+
+    res.json({ message: 'Discrepancy resolved', discrepancy });
+  } catch (error) {
+    console.error('Resolve discrepancy error:', error);
+    res.status(500).json({ message: 'Error resolving discrepancy' });
+  }
+});
+
+// @route   GET /api/admin/collections
+// @desc    List field collections (filter by ?collectorId=, ?loanId=, ?status=, ?method=, ?startDate=, ?endDate=)
+// @access  Admin
+router.get('/collections', async (req, res) => {
+  try {
+    const { collectorId, loanId, status, method, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (collectorId) query.collectorId = collectorId;
+    if (loanId) query.loanId = loanId;
+    if (status) query.status = status;
+    if (method) query.method = method;
+    if (startDate || endDate) {
+      query.collectedAt = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        query.collectedAt.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.collectedAt.$lte = end;
+      }
+    }
+
+    const total = await Collection.countDocuments(query);
+    const collections = await Collection.find(query)
+      .populate('collectorId', 'name email mobile')
+      .populate('loanId', 'amount applicantName')
+      .sort({ collectedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      collections,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Fetch collections error:', error);
+    res.status(500).json({ message: 'Error fetching collections' });
+  }
+});
+
+// @route   GET /api/admin/settlements
+// @desc    List collector settlements (filter by ?status= and ?collectorId=)
+// @access  Admin
+router.get('/settlements', async (req, res) => {
+  try {
+    const { status, collectorId, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (status) query.status = status;
+    if (collectorId) query.collectorId = collectorId;
+
+    const total = await Settlement.countDocuments(query);
+    const settlements = await Settlement.find(query)
+      .populate('collectorId', 'name email mobile')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      settlements,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Fetch settlements error:', error);
+    res.status(500).json({ message: 'Error fetching settlements' });
+  }
+});
+
+// @route   GET /api/admin/settlements/:id
+// @desc    Get a settlement with its collections
+// @access  Admin
+router.get('/settlements/:id', async (req, res) => {
+  try {
+    const settlement = await Settlement.findById(req.params.id)
+      .populate('collectorId', 'name email mobile')
+      .populate('reviewedBy', 'name email');
+
+    if (!settlement) {
+      return res.status(404).json({ message: 'Settlement not found' });
+    }
+
+    const collections = await Collection.find({ settlementId: settlement._id })
+      .populate('loanId', 'amount applicantName applicantMobile')
+      .sort({ collectedAt: 1 });
+
+    res.json({ settlement, collections });
+  } catch (error) {
+    console.error('Fetch settlement error:', error);
+    res.status(500).json({ message: 'Error fetching settlement' });
+  }
+});
+
+// @route   POST /api/admin/settlements/:id/reconcile
+// @desc    Reconcile a settlement: receivedCash (paise counted), disputedCollectionIds (collections
+//          that could not be matched, e.g. a UPI reference missing from the bank statement) and a
+//          note, required unless everything matches. Can be repeated while there is a discrepancy
+// @access  Admin
+router.post('/settlements/:id/reconcile', async (req, res) => {
+  try {
+    const { receivedCash, disputedCollectionIds = [], note } = req.body;
+    const settlement = await Settlement.findById(req.params.id);
+
+    if (!settlement) {
+      return res.status(404).json({ message: 'Settlement not found' });
+    }
+
+    const validationError = validateReconciliation(settlement, { receivedCash, disputedCollectionIds, note });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    await reconcileSettlement(settlement, { receivedCash, disputedCollectionIds, note }, req.user);
+
+    res.json({
+      message: settlement.status === 'reconciled' ? 'Settlement reconciled' : 'Settlement recorded with a discrepancy',
+      settlement
+    });
+  } catch (error) {
+    console.error('Reconcile settlement error:', error);
+    res.status(500).json({ message: 'Error reconciling settlement' });
+  }
+});
+
+// @route   GET /api/admin/webhook-events
+// @desc    List stored webhook events (filters: status, event)
+// @access  Admin
+router.get('/webhook-events', async (req, res) => {
+  try {
+    const { status, event, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const total = await WebhookEvent.countDocuments(query);
+    const events = await WebhookEvent.find(query)
+      .select('-payload')
+      .populate('replayedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      events,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Fetch webhook events error:', error);
+    res.status(500).json({ message: 'Error fetching webhook events' });
+  }
+});
+
+// @route   POST /api/admin/webhook-events/replay-failed
+// @desc    Replay every failed webhook event (and any cut off mid-processing), oldest first
+// @access  Admin
+router.post('/webhook-events/replay-failed', async (req, res) => {
+  try {
+    const summary = await replayFailedWebhookEvents(req.user);
+    res.json({
+      message: `Replayed ${summary.replayed} events: ${summary.processed} processed, ${summary.failed} failed`,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Replay webhook events error:', error);
+    res.status(500).json({ message: 'Error replaying webhook events' });
+  }
+});
+
+// @route   GET /api/admin/webhook-events/:id
+// @desc    Get a stored webhook event with its payload
+// @access  Admin
+router.get('/webhook-events/:id', async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id).populate('replayedBy', 'name email');
+    if (!event) return res.status(404).json({ message: 'Webhook event not found' });
+    res.json(event);
+  } catch (error) {
+    console.error('Fetch webhook event error:', error);
+    res.status(500).json({ message: 'Error fetching webhook event' });
+  }
+});
+
+// @route   POST /api/admin/webhook-events/:id/replay
+// @desc    Process a stored webhook event again (handlers are safe to repeat)
+// @access  Admin
+router.post('/webhook-events/:id/replay', async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: 'Webhook event not found' });
+
+    const replayError = validateReplay(event);
+    if (replayError) return res.status(400).json({ message: replayError });
+
+    const result = await replayWebhookEvent(event, req.user);
+    res.json({
+      message: result.status === 'failed' ? `Replay failed: ${result.lastError}` : `Event ${result.status}`,
+      event: result
+    });
+  } catch (error) {
+    console.error('Replay webhook event error:', error);
+    res.status(500).json({ message: 'Error replaying webhook event' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,265 @@
+const express = require('express');
+const Loan = require('../models/Loan');
+const Collection = require('../models/Collection');
+const Settlement = require('../models/Settlement');
+const { protect, collectorOnly } = require('../middleware/auth');
+const {
+  getLoanDues,
+  validateCollection,
+  recordCollection,
+  validateSettlement,
+  submitSettlement
+} = require('../services/collections');
+
+const router = express.Router();
+
+// All routes require a field collector
+router.use(protect);
+router.use(collectorOnly);
+
+// A loan assigned to the requesting collector, or null
+const findAssignedLoan = (req, loanId) => Loan.findOne({ _id: loanId, collectorId: req.user._id });
+
+// @route   GET /api/collector/borrowers
+// @desc    Active loans assigned to the collector with what is due today, most overdue first
+// @access  Collector
+router.get('/borrowers', async (req, res) => {
+  try {
+    const loans = await Loan.find({ collectorId: req.user._id, status: 'active' })
+      .select('userId amount applicantName applicantMobile applicantAddress repaymentFrequency remainingBalance');
+
+    const borrowers = await Promise.all(loans.map(async (loan) => {
+      const { dueAmount, overdueCount, nextEMI } = await getLoanDues(loan);
+      return {
+        ...loan.toObject(),
+        dueAmount,
+        overdueCount,
+        nextDueDate: nextEMI ? nextEMI.dueDate : null
+      };
+    }));
+    borrowers.sort((a, b) => b.overdueCount - a.overdueCount || b.dueAmount - a.dueAmount);
+
+    res.json({
+      borrowers,
+      totalDue: borrowers.reduce((sum, b) => sum + b.dueAmount, 0)
+    });
+  } catch (error) {
+    console.error('Collector borrowers error:', error);
+    res.status(500).json({ message: 'Error fetching borrowers' });
+  }
+});
+
+// @route   GET /api/collector/loans/:id
+// @desc    An assigned loan's dues (EMIs due today or earlier) and its recent collections
+// @access  Collector
+router.get('/loans/:id', async (req, res) => {
+  try {
+    const loan = await findAssignedLoan(req, req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    const dues = await getLoanDues(loan);
+    const collections = await Collection.find({ loanId: loan._id })
+      .sort({ collectedAt: -1 })
+      .limit(10);
+
+    res.json({
+      loan: {
+        _id: loan._id,
+        applicantName: loan.applicantName,
+        applicantMobile: loan.applicantMobile,
+        applicantAddress: loan.applicantAddress,
+        amount: loan.amount,
+        status: loan.status,
+        repaymentFrequency: loan.repaymentFrequency,
+        remainingBalance: loan.remainingBalance
+      },
+      ...dues,
+      collections
+    });
+  } catch (error) {
+    console.error('Collector loan error:', error);
+    res.status(500).json({ message: 'Error fetching loan' });
+  }
+});
+
+// @route   POST /api/collector/collections
+// @desc    Record cash or UPI taken from a borrower (amount in paise, receiptNumber, latitude,
+//          longitude, collectedAt from the device; upiReference for UPI). Applied to the oldest
+//          unpaid EMIs straight away; resending the same receipt number returns the first result
+// @access  Collector
+router.post('/collections', async (req, res) => {
+  try {
+    const { loanId, receiptNumber } = req.body;
+
+    if (!loanId) {
+      return res.status(400).json({ message: 'Loan ID is required' });
+    }
+
+    const loan = await findAssignedLoan(req, loanId);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    // A receipt already recorded is only a retry if it was for the same collector and loan
+    const previous = receiptNumber ? await Collection.findOne({ receiptNumber: String(receiptNumber).trim() }) : null;
+    if (previous) {
+      if (String(previous.collectorId) !== String(req.user._id) || String(previous.loanId) !== String(loan._id)) {
+        return res.status(409).json({ message: 'This receipt number has already been used' });
+      }
+      return res.json({ message: 'Collection already recorded', collection: previous, replayed: true });
+    }
+
+    if (loan.status !== 'active') {
+      return res.status(400).json({ message: 'Collections can only be recorded on an active loan' });
+    }
+
+    const { outstanding } = await getLoanDues(loan);
+    const validationError = validateCollection(req.body, outstanding);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const recorded = await recordCollection(loan, req.body, req.user);
+    if (!recorded) {
+      return res.status(409).json({ message: 'This receipt number has already been used' });
+    }
+
+    const { collection, application, replayed } = recorded;
+    console.log(`Collector ${req.user._id} recorded ${collection.method} collection ${collection.receiptNumber} on loan ${loan._id}`);
+
+    res.status(replayed ? 200 : 201).json({
+      message: replayed ? 'Collection already recorded' : 'Collection recorded',
+      collection,
+      allocation: application ? application.allocation : null,
+      walletCredit: collection.excess,
+      replayed
+    });
+  } catch (error) {
+    console.error('Record collection error:', error);
+    res.status(500).json({ message: 'Error recording collection' });
+  }
+});
+
+// @route   GET /api/collector/collections
+// @desc    The collector's collections (filter by ?status=, ?loanId=, ?date=YYYY-MM-DD)
+// @access  Collector
+router.get('/collections', async (req, res) => {
+  try {
+    const { status, loanId, date, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { collectorId: req.user._id };
+    if (status) query.status = status;
+    if (loanId) query.loanId = loanId;
+    if (date) {
+      const start = new Date(date);
+      start.setHours(0, 0, 0, 0);
+      const end = new Date(start);
+      end.setDate(end.getDate() + 1);
+      query.collectedAt = { $gte: start, $lt: end };
+    }
+
+    const total = await Collection.countDocuments(query);
+    const collections = await Collection.find(query)
+      .populate('loanId', 'applicantName applicantMobile')
+      .sort({ collectedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      collections,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Fetch collections error:', error);
+    res.status(500).json({ message: 'Error fetching collections' });
+  }
+});
+
+// @route   GET /api/collector/summary
+// @desc    What the collector is holding: collections not yet in a settlement, by method
+// @access  Collector
+router.get('/summary', async (req, res) => {
+  try {
+    const collections = await Collection.find({ collectorId: req.user._id, status: 'collected' });
+    const sum = (method) => collections.filter(c => c.method === method).reduce((total, c) => total + c.amount, 0);
+
+    res.json({
+      count: collections.length,
+      cash: sum('cash'),
+      upi: sum('upi'),
+      total: sum('cash') + sum('upi')
+    });
+  } catch (error) {
+    console.error('Collector summary error:', error);
+    res.status(500).json({ message: 'Error fetching summary' });
+  }
+});
+
+// @route   POST /api/collector/settlements
+// @desc    Submit the end-of-day settlement: every collection not yet settled, with the cash
+//          being handed over (declaredCash in paise) for an admin to reconcile
+// @access  Collector
+router.post('/settlements', async (req, res) => {
+  try {
+    const { declaredCash, notes } = req.body;
+
+    const validationError = validateSettlement({ declaredCash });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const settlement = await submitSettlement(req.user, { declaredCash, notes: notes ? String(notes).trim() : '' });
+    if (!settlement) {
+      return res.status(400).json({ message: 'No collections to settle' });
+    }
+
+    res.status(201).json({ message: 'Settlement submitted', settlement });
+  } catch (error) {
+    console.error('Submit settlement error:', error);
+    res.status(500).json({ message: 'Error submitting settlement' });
+  }
+});
+
+// @route   GET /api/collector/settlements
+// @desc    The collector's settlements (filter by ?status=)
+// @access  Collector
+router.get('/settlements', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { collectorId: req.user._id };
+    if (status) query.status = status;
+
+    const total = await Settlement.countDocuments(query);
+    const settlements = await Settlement.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      settlements,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Fetch settlements error:', error);
+    res.status(500).json({ message: 'Error fetching settlements' });
+  }
+});
+
+module.exports = router;
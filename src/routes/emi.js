@@ -2,6 +2,7 @@ const express = require('express');
 const EMI = require('../models/EMI');
 const Loan = require('../models/Loan');
 const { protect } = require('../middleware/auth');
+const { PAYABLE_EMI_STATUSES } = require('../services/paymentAllocation');
 
 const router = express.Router();
 
@@ -12,7 +13,7 @@ router.get('/pending', protect, async (req, res) => {
   try {
     const pendingEMIs = await EMI.find({
       userId: req.user._id,
-      status: { $in: ['pending', 'overdue'] }
+      status: { $in: PAYABLE_EMI_STATUSES }
     })
       .populate('loanId', 'amount applicantName')
       .sort({ dueDate: 1 });
@@ -51,7 +52,7 @@ router.get('/today', protect, async (req, res) => {
 // @access  Private
 router.get('/loan/:loanId', protect, async (req, res) => {
   try {
-    const { page = 1, limit = 20, status } = req.query;
+    const { page = 1, limit = 20, status, version } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const loanId = req.params.loanId;
@@ -66,11 +67,17 @@ router.get('/loan/:loanId', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Superseded EMIs are hidden unless asked for by status or by schedule version (?version=N)
     let query = { loanId };
-    if (status) query.status = status;
+    if (version) query.scheduleVersion = parseInt(version);
+    if (status) {
+      query.status = status;
+    } else if (!version) {
+      query.status = { $ne: 'superseded' };
+    }
 
     const emis = await EMI.find(query)
-      .sort({ dayNumber: 1 })
+      .sort({ installmentNumber: 1 })
       .skip(skip)
       .limit(parseInt(limit));
 
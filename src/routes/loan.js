@@ -3,38 +3,59 @@ const Loan = require('../models/Loan');
 const EMI = require('../models/EMI');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const LoanProduct = require('../models/LoanProduct');
+const Disbursement = require('../models/Disbursement');
 const { getIO } = require('../socket');
 const { protect } = require('../middleware/auth');
 const { getLoanStats } = require('../services/emiCalculator');
+const { validateLoanTerms } = require('../services/loanProducts');
+const { getForeclosureQuote } = require('../services/foreclosure');
+const { snapshotCharges, getChargeSummary } = require('../services/charges');
+const { OPEN_APPLICATION_STATUSES, SCHEDULED_STATUSES, canTransition, transitionLoan } = require('../services/loanStatus');
 const { sendPushNotification } = require('../utils/pushNotifications');
+const { formatINR } = require('../utils/money');
 
 const router = express.Router();
 
+// Loan amounts are sent in paise as amountPaise. Older app builds send amount in rupees, from
+// before money moved to paise; it is still accepted and converted.
+const readLoanAmount = ({ amountPaise, amount }) => {
+  if (amountPaise != null) return parseInt(amountPaise);
+  if (amount != null) return Math.round(Number(amount) * 100);
+  return null;
+};
+
 // @route   POST /api/loan/apply
 // @desc    Apply for a new loan
 // @access  Private
 router.post('/apply', protect, async (req, res) => {
   try {
-    const { amount, name, mobile, address, aadhaarNumber, panNumber, addressIndex } = req.body;
+    const { productId, totalDays, name, mobile, address, aadhaarNumber, panNumber, addressIndex } = req.body;
+    const amountNum = readLoanAmount(req.body);
 
     // Validation
-    if (!amount || !name || !mobile || !address || !aadhaarNumber || !panNumber) {
+    if (!productId || !amountNum || !name || !mobile || !address || !aadhaarNumber || !panNumber) {
       return res.status(400).json({
-        message: 'All fields are required: amount, name, mobile, address, aadhaarNumber, panNumber'
+        message: 'All fields are required: productId, amountPaise, name, mobile, address, aadhaarNumber, panNumber'
       });
     }
 
-    const amountNum = parseInt(amount);
-    if (isNaN(amountNum) || amountNum < 1000 || amountNum > 100000) {
-      return res.status(400).json({
-        message: 'Loan amount must be between ₹1,000 and ₹1,00,000'
-      });
+    const product = await LoanProduct.findOne({ _id: productId, isActive: true }).catch(() => null);
+    if (!product) {
+      return res.status(400).json({ message: 'Selected loan product is not available' });
     }
 
-    // Check if user has a pending loan application
+    // Tenure is optional - defaults to the product's default tenure
+    const days = totalDays != null ? parseInt(totalDays) : product.defaultTenureDays;
+    const termsError = validateLoanTerms(product, { amount: amountNum, totalDays: days });
+    if (termsError) {
+      return res.status(400).json({ message: termsError });
+    }
+
+    // Check if user has a loan application still awaiting a decision
     const existingPending = await Loan.findOne({
       userId: req.user._id,
-      status: 'pending'
+      status: { $in: OPEN_APPLICATION_STATUSES }
     });
 
     if (existingPending) {
@@ -43,18 +64,24 @@ router.post('/apply', protect, async (req, res) => {
       });
     }
 
-    // Create loan application - default 100 days, admin can edit when approving
-    const totalDays = 100;
-
+    // Create loan application on the product's terms - admin can edit amount/days when approving
     const loan = new Loan({
       userId: req.user._id,
+      productId: product._id,
       amount: amountNum,
-      totalDays,
+      totalDays: days,
+      repaymentFrequency: product.repaymentFrequency,
+      interestRate: product.interestRate,
+      interestMethod: product.interestMethod,
+      penaltyPolicy: product.toObject().penaltyPolicy,
+      foreclosurePolicy: product.toObject().foreclosurePolicy,
+      charges: snapshotCharges(product),
       applicantName: name,
       applicantMobile: mobile,
       applicantAddress: address,
       applicantAadhaar: aadhaarNumber,
-      applicantPan: panNumber
+      applicantPan: panNumber,
+      statusHistory: [{ from: null, to: 'submitted', by: req.user._id, reason: 'Application submitted' }]
     });
 
     await loan.save();
@@ -65,7 +92,7 @@ router.post('/apply', protect, async (req, res) => {
       loanId: loan._id,
       userId: req.user._id,
       title: 'New Loan Request',
-      body: `${name} applied for ₹${amountNum.toLocaleString('en-IN')}`,
+      body: `${name} applied for ${formatINR(amountNum)}`,
     });
 
     // Use centralized notification emitter for both Socket and Push
@@ -88,7 +115,15 @@ router.post('/apply', protect, async (req, res) => {
       message: 'Loan application submitted successfully',
       loan: {
         id: loan._id,
+        productId: loan.productId,
         amount: loan.amount,
+        totalDays: loan.totalDays,
+        repaymentFrequency: loan.repaymentFrequency,
+        installmentCount: loan.installmentCount,
+        installmentAmount: loan.installmentAmount,
+        interestRate: loan.interestRate,
+        interestMethod: loan.interestMethod,
+        totalInterest: loan.totalInterest,
         status: loan.status,
         dailyEMI: loan.dailyEMI,
         createdAt: loan.createdAt
@@ -131,13 +166,13 @@ router.get('/:id', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Get EMI stats if loan is approved
+    // Get EMI stats once the loan has a schedule
     let stats = null;
     let emis = [];
 
-    if (loan.status === 'approved' || loan.status === 'completed') {
+    if (SCHEDULED_STATUSES.includes(loan.status)) {
       stats = await getLoanStats(loan._id);
-      emis = await EMI.find({ loanId: loan._id }).sort({ dayNumber: 1 });
+      emis = await EMI.find({ loanId: loan._id, status: { $ne: 'superseded' } }).sort({ installmentNumber: 1 });
     }
 
     // For admin: include applicant's document images for verification
@@ -150,10 +185,16 @@ router.get('/:id', protect, async (req, res) => {
       }
     }
 
+    const disbursement = loan.disbursementId
+      ? await Disbursement.findById(loan.disbursementId).select('-beneficiary -initiatedBy')
+      : null;
+
     res.json({
       loan: loanData,
       stats,
-      emis
+      emis,
+      charges: getChargeSummary(loan),
+      disbursement
     });
   } catch (error) {
     console.error('Get loan error:', error);
@@ -161,4 +202,187 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/loan/:id/foreclosure-quote
+// @desc    Get the amount needed to close the loan today
+// @access  Private
+router.get('/:id/foreclosure-quote', protect, async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    if (loan.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (loan.status !== 'active') {
+      return res.status(400).json({ message: 'Only active loans can be foreclosed' });
+    }
+
+    const quote = await getForeclosureQuote(loan);
+    res.json(quote);
+  } catch (error) {
+    console.error('Foreclosure quote error:', error);
+    res.status(500).json({ message: 'Error calculating foreclosure quote' });
+  }
+});
+
+// Alert admins (socket + push) about a borrower action on their application
+const notifyAdmins = async (loan, type, title, body) => {
+  const notif = await Notification.create({
+    type,
+    forAdmin: true,
+    loanId: loan._id,
+    userId: loan.userId,
+    title,
+    body,
+  });
+
+  const { emitNotification } = require('../socket');
+  await emitNotification(notif);
+};
+
+// @route   PUT /api/loan/:id
+// @desc    Edit a loan application before it is reviewed (or after documents were requested)
+// @access  Private
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const { totalDays, name, mobile, address, aadhaarNumber, panNumber } = req.body;
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    if (loan.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!['submitted', 'documents_requested'].includes(loan.status)) {
+      return res.status(400).json({ message: 'Application can no longer be edited' });
+    }
+
+    const amountNum = readLoanAmount(req.body);
+    const days = totalDays != null ? parseInt(totalDays) : null;
+    // Checked even without a product, as older applications have none
+    if ((amountNum != null && !(amountNum > 0)) || (days != null && !(days > 0))) {
+      return res.status(400).json({ message: 'Amount and total days must be positive numbers' });
+    }
+    const product = loan.productId ? await LoanProduct.findById(loan.productId) : null;
+    if (product) {
+      const termsError = validateLoanTerms(product, { amount: amountNum, totalDays: days });
+      if (termsError) {
+        return res.status(400).json({ message: termsError });
+      }
+    }
+
+    if (amountNum != null) loan.amount = amountNum;
+    if (days != null) loan.totalDays = days;
+    if (name) loan.applicantName = name;
+    if (mobile) loan.applicantMobile = mobile;
+    if (address) loan.applicantAddress = address;
+    if (aadhaarNumber) loan.applicantAadhaar = aadhaarNumber;
+    if (panNumber) loan.applicantPan = panNumber;
+
+    // Answering a documents request puts the application back in the queue
+    if (loan.status === 'documents_requested') {
+      transitionLoan(loan, 'submitted', { by: req.user, reason: 'Application updated by borrower' });
+    }
+    await loan.save();
+
+    await notifyAdmins(loan, 'loan_updated', 'Loan Application Updated',
+      `${loan.applicantName} updated their application (${formatINR(loan.amount)}, ${loan.totalDays} days)`);
+
+    res.json({
+      message: 'Loan application updated successfully',
+      loan
+    });
+  } catch (error) {
+    console.error('Update loan error:', error);
+    res.status(500).json({ message: 'Error updating loan application' });
+  }
+});
+
+// @route   POST /api/loan/:id/cancel
+// @desc    Cancel a loan application that is still awaiting a decision
+// @access  Private
+router.post('/:id/cancel', protect, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    if (loan.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!OPEN_APPLICATION_STATUSES.includes(loan.status)) {
+      return res.status(400).json({ message: 'Only applications awaiting a decision can be cancelled' });
+    }
+
+    transitionLoan(loan, 'cancelled', { by: req.user, reason: reason || 'Cancelled by borrower' });
+    await loan.save();
+
+    await notifyAdmins(loan, 'loan_cancelled', 'Loan Application Cancelled',
+      `${loan.applicantName} cancelled their application for ${formatINR(loan.amount)}${reason ? `: ${reason}` : ''}`);
+
+    res.json({
+      message: 'Loan application cancelled',
+      loan
+    });
+  } catch (error) {
+    console.error('Cancel loan error:', error);
+    res.status(500).json({ message: 'Error cancelling loan application' });
+  }
+});
+
+// @route   POST /api/loan/:id/withdraw
+// @desc    Cooling-off withdrawal of an approved loan before it is disbursed
+// @access  Private
+router.post('/:id/withdraw', protect, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    if (loan.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (loan.status !== 'approved' || !canTransition(loan.status, 'cancelled')) {
+      return res.status(400).json({ message: 'Only approved loans that are not yet disbursed can be withdrawn' });
+    }
+
+    // Claimed in one update, so a payout started at the same moment (loan.disbursementId) wins
+    transitionLoan(loan, 'cancelled', { by: req.user, reason: reason || 'Withdrawn by borrower during cooling-off' });
+    const withdrawn = await Loan.findOneAndUpdate(
+      { _id: loan._id, status: 'approved', disbursementId: null },
+      { status: loan.status, $push: { statusHistory: loan.statusHistory[loan.statusHistory.length - 1].toObject() } },
+      { new: true }
+    );
+    if (!withdrawn) {
+      return res.status(409).json({ message: 'The loan is already being disbursed and can no longer be withdrawn' });
+    }
+
+    await notifyAdmins(loan, 'loan_withdrawn', 'Approved Loan Withdrawn',
+      `${loan.applicantName} withdrew their approved loan of ${formatINR(loan.amount)} before disbursement`);
+
+    res.json({
+      message: 'Loan withdrawn',
+      loan: withdrawn
+    });
+  } catch (error) {
+    console.error('Withdraw loan error:', error);
+    res.status(500).json({ message: 'Error withdrawing loan' });
+  }
+});
+
 module.exports = router;
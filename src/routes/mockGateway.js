@@ -0,0 +1,131 @@
+const express = require('express');
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const { protect, adminOnly } = require('../middleware/auth');
+const { getPaymentGateway, isMockGatewayEnabled } = require('../services/gateways');
+
+const router = express.Router();
+
+// What a real gateway's checkout and billing would do, for the mock gateway. Only available
+// while the mock is enabled (PAYMENT_GATEWAY=mock outside production, see services/gateways).
+router.use((req, res, next) => {
+  if (!isMockGatewayEnabled()) {
+    return res.status(404).json({ message: 'Mock gateway is not enabled' });
+  }
+  next();
+});
+
+// @route   POST /api/mock-gateway/orders/:orderId/pay
+// @desc    Pay a mock order as the checkout would. Returns the signed result to send to the verify
+//          route, or the checkout error (outcome: 'failure'); the matching webhooks follow
+// @access  Private
+router.post('/orders/:orderId/pay', protect, async (req, res) => {
+  try {
+    const { outcome = 'success', method = 'upi' } = req.body;
+
+    const order = await Payment.findOne({ orderId: req.params.orderId, gateway: 'mock' });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    // Check ownership
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const result = getPaymentGateway('mock').completeCheckout(order.orderId, { outcome, method });
+    res.status(result.error ? 402 : 200).json(result);
+  } catch (error) {
+    console.error('Mock checkout error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/mock-gateway/subscriptions/:id/authorize
+// @desc    Authorize a mock autopay mandate as the borrower would; returns the signed result for /verify-autopay
+// @access  Private
+router.post('/subscriptions/:id/authorize', protect, async (req, res) => {
+  try {
+    const loan = await Loan.findOne({ razorpaySubscriptionId: req.params.id, autopayGateway: 'mock' });
+    if (!loan) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    // Check ownership
+    if (loan.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(getPaymentGateway('mock').authorizeSubscription(req.params.id));
+  } catch (error) {
+    console.error('Mock authorize error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/mock-gateway/subscriptions/:id/charge
+// @desc    Take the next charge on a mock subscription, as the billing cycle would (outcome: 'failure' to fail it)
+// @access  Admin
+router.post('/subscriptions/:id/charge', protect, adminOnly, async (req, res) => {
+  try {
+    const { outcome = 'success' } = req.body;
+    const payment = getPaymentGateway('mock').chargeSubscription(req.params.id, { outcome });
+    res.json({ payment });
+  } catch (error) {
+    console.error('Mock charge error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/mock-gateway/mandates/:orderId/authorize
+// @desc    Authorize a mock autopay mandate from its authorization order, as the borrower would in
+//          checkout; returns the signed result for /verify-autopay
+// @access  Private
+router.post('/mandates/:orderId/authorize', protect, async (req, res) => {
+  try {
+    const order = await Payment.findOne({ orderId: req.params.orderId, purpose: 'mandate', gateway: 'mock' });
+    if (!order) {
+      return res.status(404).json({ message: 'Mandate order not found' });
+    }
+
+    // Check ownership
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(getPaymentGateway('mock').authorizeMandate(order.orderId));
+  } catch (error) {
+    console.error('Mock mandate authorize error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/mock-gateway/mandates/:token/fail
+// @desc    Make the next debits on a mock mandate fail, as an empty bank account would ({ count }, default 1)
+// @access  Admin
+router.post('/mandates/:token/fail', protect, adminOnly, async (req, res) => {
+  try {
+    const count = parseInt(req.body.count) || 1;
+    const mandate = getPaymentGateway('mock').failMandateDebits(req.params.token, count);
+    res.json({ mandate });
+  } catch (error) {
+    console.error('Mock mandate fail error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/mock-gateway/mandates/:token/bank-status
+// @desc    Pause, resume or revoke a mock mandate at the bank, as the borrower could in their UPI
+//          app ({ status: 'paused' | 'confirmed' | 'cancelled' }); the token webhook follows
+// @access  Admin
+router.post('/mandates/:token/bank-status', protect, adminOnly, async (req, res) => {
+  try {
+    const mandate = getPaymentGateway('mock').setMandateAtBank(req.params.token, req.body.status);
+    res.json({ mandate });
+  } catch (error) {
+    console.error('Mock mandate bank status error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
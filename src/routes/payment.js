@@ -1,36 +1,117 @@
 const express = require('express');
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const EMI = require('../models/EMI');
 const Loan = require('../models/Loan');
 const Notification = require('../models/Notification');
 const { getIO } = require('../socket');
 const { protect } = require('../middleware/auth');
 const User = require('../models/User');
+const { getCurrentQuote, isForeclosureOrder, settleForeclosure, cancelAutopayAfterClosure } = require('../services/foreclosure');
+const { PAYABLE_EMI_STATUSES, getOutstanding, getAmountDue, validatePaymentAmount } = require('../services/paymentAllocation');
+const { applyPayment, findPaymentApplication } = require('../services/paymentApplication');
+const { recordOrder, recordFailedAttempt } = require('../services/paymentRecords');
+const { getPaymentGateway, isMockGatewayEnabled } = require('../services/gateways');
+const { validateMandateSetup, mandateCoversEMIs, createMandate, activateMandate, cancelMandate, cancelPendingReplacements } = require('../services/mandates');
+const { getLoanMandate, validateAutopayPause, validateAutopayResume, pauseAutopay, resumeAutopay } = require('../services/autopay');
+const Payment = require('../models/Payment');
+const Mandate = require('../models/Mandate');
 const { sendPushNotification } = require('../utils/pushNotifications');
+const { formatINR } = require('../utils/money');
 
 const router = express.Router();
 
-// Check if we have valid Razorpay keys
-const hasValidRazorpayKeys = process.env.RAZORPAY_KEY_ID &&
-  process.env.RAZORPAY_KEY_SECRET &&
-  process.env.RAZORPAY_KEY_ID.startsWith('rzp_');
+// Full payment details from the gateway (method, bank, VPA...) for the Payment record.
+// Recording them is best-effort: a failed lookup never blocks applying the payment.
+const fetchGatewayPayment = async (gateway, gatewayPaymentId) => {
+  try {
+    return await gateway.fetchPayment(gatewayPaymentId);
+  } catch (error) {
+    console.error('Fetch gateway payment error:', error);
+    return null;
+  }
+};
+
+// Gateway details of a verified checkout payment, for applyPayment's record
+const checkoutRecord = async (gateway, orderId, gatewayPaymentId) => {
+  const gatewayPayment = await fetchGatewayPayment(gateway, gatewayPaymentId);
+  return {
+    gateway: gateway.name,
+    orderId,
+    gatewayPaymentId,
+    method: gatewayPayment?.method,
+    gatewayResponse: gatewayPayment?.raw || null
+  };
+};
+
+// What order-creating routes tell the client about the gateway. With the mock gateway the
+// client pays through /api/mock-gateway (or falls back to the /simulate routes).
+const gatewayFields = (gateway) => ({
+  gateway: gateway.name,
+  simulationMode: gateway.name === 'mock'
+});
 
-// Initialize Razorpay only if valid keys exist
-let razorpay = null;
-if (hasValidRazorpayKeys) {
-  razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET
-  });
-}
+// What the client needs to open a mandate's authorization order in checkout
+const mandateCheckout = (mandate, order) => ({
+  mandateId: mandate._id,
+  orderId: order.id,
+  amount: order.amount,
+  currency: order.currency,
+  customerId: mandate.customerId,
+  method: mandate.method,
+  maxAmount: mandate.maxAmount,
+  expiresAt: mandate.expiresAt,
+  recurring: true,
+  ...gatewayFields(getPaymentGateway(mandate.gateway))
+});
+
+// The /simulate routes take no money, so they are only open while the mock gateway is enabled
+const mockGatewayOnly = (req, res, next) => {
+  if (!isMockGatewayEnabled()) {
+    return res.status(404).json({ message: 'Mock gateway is not enabled' });
+  }
+  next();
+};
+
+// Simulation runs a whole checkout on the mock gateway: order, payment and signed result.
+// paymentId fixes the payment id so a retried simulation is recognised.
+const simulateCheckout = async ({ userId, loanId, purpose, emiIds = [], amount, receipt, notes, paymentId = null }) => {
+  const mock = getPaymentGateway('mock');
+  const order = await mock.createOrder({ amount, currency: 'INR', receipt, notes });
+  await recordOrder({ userId, loanId, purpose, emiIds, gateway: mock.name, order });
+
+  const result = mock.completeCheckout(order.id, { paymentId });
+  return {
+    gateway: mock.name,
+    orderId: order.id,
+    gatewayPaymentId: result.razorpay_payment_id,
+    method: 'upi'
+  };
+};
+
+// Response for a payment applied to one EMI - the same whether it was just applied or replayed
+const emiPaymentResponse = (message, emi, application, replayed) => ({
+  message: application.applied === 0
+    ? 'Payment received - nothing was due on this EMI, so the amount was added to your wallet'
+    : message,
+  emi: {
+    id: emi._id,
+    status: emi.status,
+    paidAt: emi.paidAt,
+    amount: emi.totalAmount,
+    paidAmount: emi.paidAmount,
+    outstanding: getOutstanding(emi)
+  },
+  allocation: application.allocation,
+  walletCredit: application.excess,
+  replayed
+});
 
 // @route   POST /api/payment/simulate
-// @desc    Simulate payment for testing (no Razorpay required)
+// @desc    Simulate payment for testing on the mock gateway in one call; amount (paise) is optional for part-payments
+//          Send an Idempotency-Key header to make retries safe
 // @access  Private
-router.post('/simulate', protect, async (req, res) => {
+router.post('/simulate', protect, mockGatewayOnly, async (req, res) => {
   try {
-    const { emiId } = req.body;
+    const { emiId, amount } = req.body;
 
     if (!emiId) {
       return res.status(400).json({ message: 'EMI ID is required' });
@@ -47,58 +128,49 @@ router.post('/simulate', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    const idempotencyKey = req.get('Idempotency-Key');
+    const paymentId = idempotencyKey ? `sim_${req.user._id}_${idempotencyKey}` : null;
+
+    // A retry of a payment already applied gets the original result back
+    const previous = paymentId && await findPaymentApplication(paymentId);
+    if (previous) {
+      return res.json(emiPaymentResponse('Payment successful (simulated)', emi, previous, true));
+    }
+
     // Check if already paid
-    if (emi.status === 'paid') {
+    if (!PAYABLE_EMI_STATUSES.includes(emi.status)) {
       return res.status(400).json({ message: 'EMI is already paid' });
     }
 
-    // Simulate successful payment
-    emi.status = 'paid';
-    emi.razorpayPaymentId = `sim_${Date.now()}`;
-    emi.paidAt = new Date();
-    await emi.save();
-
-    // Update loan totals
-    const loan = await Loan.findById(emi.loanId);
-    if (loan) {
-      loan.totalPaid += emi.totalAmount;
-      loan.remainingBalance -= (emi.principalAmount + emi.interestAmount);
-
-      // Check if loan is completed
-      const pendingEMIs = await EMI.countDocuments({
-        loanId: loan._id,
-        status: { $ne: 'paid' }
-      });
-
-      if (pendingEMIs === 0) {
-        loan.status = 'completed';
-      }
-
-      await loan.save();
-
-      const notif = await Notification.create({
-        type: 'emi_paid',
-        forAdmin: true,
-        userId: emi.userId,
-        loanId: emi.loanId,
-        emiId: emi._id,
-        title: 'EMI Paid (Simulated)',
-        body: `Day ${emi.dayNumber} EMI - ₹${emi.totalAmount} paid by ${req.user.name || 'User'}`,
-      });
-
-      const { emitNotification } = require('../socket');
-      await emitNotification(notif);
+    const outstanding = getOutstanding(emi);
+    const amountError = validatePaymentAmount(amount, outstanding);
+    if (amountError) {
+      return res.status(400).json({ message: amountError });
     }
+    const payAmount = amount != null ? parseInt(amount) : outstanding;
 
-    res.json({
-      message: 'Payment successful (simulated)',
-      emi: {
-        id: emi._id,
-        status: emi.status,
-        paidAt: emi.paidAt,
-        amount: emi.totalAmount
-      }
+    const record = await simulateCheckout({
+      userId: req.user._id,
+      loanId: emi.loanId,
+      purpose: 'emi',
+      emiIds: [emi._id],
+      amount: payAmount,
+      receipt: `emi_${emi._id}`,
+      notes: { emiId: emi._id.toString() },
+      paymentId
+    });
+    const { application, replayed } = await applyPayment({
+      paymentId: record.gatewayPaymentId,
+      source: 'simulated',
+      loanId: emi.loanId,
+      amount: payAmount,
+      emiIds: [emi._id],
+      by: req.user,
+      record
     });
+
+    const updated = await EMI.findById(emi._id);
+    res.json(emiPaymentResponse('Payment successful (simulated)', updated, application, replayed));
   } catch (error) {
     console.error('Simulate payment error:', error);
     res.status(500).json({ message: 'Error processing simulated payment' });
@@ -106,15 +178,14 @@ router.post('/simulate', protect, async (req, res) => {
 });
 
 // @route   POST /api/payment/create-order
-// @desc    Create Razorpay order for EMI payment
+// @desc    Create a gateway order for EMI payment
 // @access  Private
 router.post('/create-order', protect, async (req, res) => {
   try {
-    const { emiId } = req.body;
+    const { emiId, amount } = req.body;
 
     console.log('=== Create Order Request ===');
     console.log('EMI ID:', emiId);
-    console.log('Razorpay configured:', !!razorpay);
 
     if (!emiId) {
       return res.status(400).json({ message: 'EMI ID is required' });
@@ -136,26 +207,22 @@ router.post('/create-order', protect, async (req, res) => {
     }
 
     // Check if already paid
-    if (emi.status === 'paid') {
+    if (!PAYABLE_EMI_STATUSES.includes(emi.status)) {
       console.log('ERROR: EMI already paid');
       return res.status(400).json({ message: 'EMI is already paid' });
     }
 
-    // If no valid Razorpay keys, return simulation mode indicator
-    if (!razorpay) {
-      console.log('Razorpay not configured - returning simulation mode');
-      return res.json({
-        simulationMode: true,
-        emiId: emi._id,
-        amount: emi.totalAmount * 100,
-        currency: 'INR',
-        message: 'Razorpay not configured. Use /api/payment/simulate endpoint.'
-      });
+    // Part-payments: amount (paise) defaults to everything still owed on the EMI
+    const outstanding = getOutstanding(emi);
+    const amountError = validatePaymentAmount(amount, outstanding, { allowOverpayment: true });
+    if (amountError) {
+      return res.status(400).json({ message: amountError });
     }
+    const payAmount = amount != null ? parseInt(amount) : outstanding;
 
-    // Create Razorpay order
-    const options = {
-      amount: Math.round(emi.totalAmount * 100), // Amount in paise
+    const gateway = getPaymentGateway();
+    const order = await gateway.createOrder({
+      amount: payAmount, // Already in paise
       currency: 'INR',
       receipt: `emi_${emi._id}`,
       notes: {
@@ -163,25 +230,25 @@ router.post('/create-order', protect, async (req, res) => {
         userId: req.user._id.toString(),
         loanId: emi.loanId.toString()
       }
-    };
-    // Use custom config to show UPI apps (PhonePe, GPay, Paytm) - set RAZORPAY_CHECKOUT_CONFIG_ID in .env
-    if (process.env.RAZORPAY_CHECKOUT_CONFIG_ID) {
-      options.checkout_config_id = process.env.RAZORPAY_CHECKOUT_CONFIG_ID;
-    }
-
-    console.log('Creating Razorpay order with options:', options);
-    const order = await razorpay.orders.create(options);
-    console.log('Razorpay order created:', order.id);
+    });
+    console.log(`${gateway.name} order created:`, order.id);
 
-    // Store order ID in EMI
-    emi.razorpayOrderId = order.id;
-    await emi.save();
+    await recordOrder({
+      userId: req.user._id,
+      loanId: emi.loanId,
+      purpose: 'emi',
+      emiIds: [emi._id],
+      gateway: gateway.name,
+      order
+    });
 
     res.json({
       orderId: order.id,
       amount: order.amount,
       currency: order.currency,
-      emiId: emi._id
+      emiId: emi._id,
+      outstanding,
+      ...gatewayFields(gateway)
     });
   } catch (error) {
     console.error('Create order error:', error);
@@ -190,7 +257,7 @@ router.post('/create-order', protect, async (req, res) => {
 });
 
 // @route   POST /api/payment/verify
-// @desc    Verify Razorpay payment
+// @desc    Verify a checkout payment (signed by the gateway that created the order) and apply it
 // @access  Private
 router.post('/verify', protect, async (req, res) => {
   try {
@@ -207,17 +274,35 @@ router.post('/verify', protect, async (req, res) => {
       return res.status(400).json({ message: 'Missing payment details' });
     }
 
-    // Verify Razorpay signature
-    const body = razorpay_order_id + '|' + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest('hex');
+    const emi = await EMI.findById(emiId);
 
-    console.log('Expected signature:', expectedSignature);
-    console.log('Received signature:', razorpay_signature);
+    if (!emi) {
+      console.log('ERROR: EMI not found');
+      return res.status(404).json({ message: 'EMI not found' });
+    }
 
-    const isAuthentic = expectedSignature === razorpay_signature;
+    // Check ownership
+    if (emi.userId.toString() !== req.user._id.toString()) {
+      console.log('ERROR: Access denied - user mismatch');
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // The order's Payment record says which gateway signed it, which EMI it is for and the
+    // amount actually charged (it may be a part-payment)
+    const order = await Payment.findOne({ orderId: razorpay_order_id });
+    if (!order || !order.emiIds.some(id => id.equals(emi._id))) {
+      return res.status(400).json({ message: 'Order does not belong to this EMI' });
+    }
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const gateway = getPaymentGateway(order.gateway);
+    const isAuthentic = gateway.verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
 
     if (!isAuthentic) {
       console.log('ERROR: Signature mismatch - verification failed');
@@ -226,124 +311,514 @@ router.post('/verify', protect, async (req, res) => {
 
     console.log('Signature verified successfully');
 
-    // Update EMI status
-    const emi = await EMI.findById(emiId);
-
-    if (!emi) {
-      console.log('ERROR: EMI not found');
-      return res.status(404).json({ message: 'EMI not found' });
+    // The webhook or an earlier /verify may have applied this payment already
+    const previous = await findPaymentApplication(razorpay_payment_id);
+    if (previous) {
+      return res.json(emiPaymentResponse('Payment successful', emi, previous, true));
     }
 
-    emi.status = 'paid';
-    emi.razorpayPaymentId = razorpay_payment_id;
-    emi.paidAt = new Date();
-    await emi.save();
+    // Money was taken even if the EMI has been paid since - it then goes to the wallet
+    const { application, replayed } = await applyPayment({
+      paymentId: razorpay_payment_id,
+      source: 'checkout',
+      loanId: emi.loanId,
+      amount: order.amount,
+      emiIds: [emi._id],
+      by: req.user,
+      record: await checkoutRecord(gateway, razorpay_order_id, razorpay_payment_id)
+    });
 
-    // Update loan totals
-    const loan = await Loan.findById(emi.loanId);
-    if (loan) {
-      loan.totalPaid += emi.totalAmount;
-      loan.remainingBalance -= (emi.principalAmount + emi.interestAmount);
+    console.log('Payment SUCCESS for EMI:', emiId);
+    const updated = await EMI.findById(emi._id);
+    res.json(emiPaymentResponse('Payment successful', updated, application, replayed));
+  } catch (error) {
+    console.error('Verify payment error:', error);
+    res.status(500).json({ message: 'Error verifying payment' });
+  }
+});
 
-      // Check if loan is completed
-      const pendingEMIs = await EMI.countDocuments({
-        loanId: loan._id,
-        status: { $ne: 'paid' }
-      });
+// Payable EMIs of the user for a multi-EMI payment, in installment order.
+// Returns { emis } or { error } - every EMI must be payable and all from one loan, since a
+// payment is applied (and its ledger entries posted) against a single loan.
+const findMultiEMIs = async (userId, emiIds) => {
+  if (!emiIds || !Array.isArray(emiIds) || emiIds.length === 0) {
+    return { error: 'EMI IDs array is required' };
+  }
 
-      if (pendingEMIs === 0) {
-        loan.status = 'completed';
-      }
+  const emis = await EMI.find({
+    _id: { $in: emiIds },
+    userId,
+    status: { $in: PAYABLE_EMI_STATUSES }
+  }).sort({ installmentNumber: 1 });
 
-      await loan.save();
+  if (emis.length === 0) {
+    return { error: 'No pending EMIs found' };
+  }
+  if (emis.length !== new Set(emiIds.map(String)).size) {
+    return { error: 'Some EMIs are already paid or not found' };
+  }
+  if (new Set(emis.map(e => e.loanId.toString())).size > 1) {
+    return { error: 'EMIs must belong to the same loan - pay each loan separately' };
+  }
+  return { emis };
+};
+
+// Response for a payment applied to several EMIs - the same whether it was just applied or replayed.
+// amountDue is what the EMIs owed when the payment arrived, if that differs from the amount paid.
+const multiEmiPaymentResponse = (message, emis, application, replayed, amountDue = null) => ({
+  message: application.applied === 0
+    ? 'Payment received - nothing was due on these EMIs, so the amount was added to your wallet'
+    : message,
+  emis: emis.map(emi => ({
+    id: emi._id,
+    status: emi.status,
+    paidAt: emi.paidAt,
+    amount: emi.totalAmount,
+    paidAmount: emi.paidAmount,
+    outstanding: getOutstanding(emi)
+  })),
+  amountPaid: application.amount,
+  amountDue,
+  allocation: application.allocation,
+  walletCredit: application.excess,
+  replayed
+});
 
-      const notif = await Notification.create({
-        type: 'emi_paid',
-        forAdmin: true,
-        userId: emi.userId,
-        loanId: emi.loanId,
-        emiId: emi._id,
-        title: 'EMI Paid',
-        body: `Day ${emi.dayNumber} EMI - ₹${emi.totalAmount} paid by ${req.user.name || 'User'}`,
-      });
+// @route   POST /api/payment/pay-multiple
+// @desc    Create one gateway order for several EMIs of a loan
+// @access  Private
+router.post('/pay-multiple', protect, async (req, res) => {
+  try {
+    const { emiIds } = req.body;
 
-      const { emitNotification } = require('../socket');
-      await emitNotification(notif);
+    const { emis, error } = await findMultiEMIs(req.user._id, emiIds);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    console.log('Payment SUCCESS for EMI:', emiId);
-    res.json({
-      message: 'Payment successful',
-      emi: {
-        id: emi._id,
-        status: emi.status,
-        paidAt: emi.paidAt,
-        amount: emi.totalAmount
+    // Calculate total amount still owed (part-paid EMIs only need the rest)
+    const totalAmount = emis.reduce((sum, emi) => sum + getOutstanding(emi), 0);
+
+    // The order-to-EMIs mapping is kept on the order's Payment record
+    const gateway = getPaymentGateway();
+    const order = await gateway.createOrder({
+      amount: totalAmount,
+      currency: 'INR',
+      receipt: `multi_emi_${Date.now()}`,
+      notes: {
+        emiIds: emis.map(e => e._id.toString()).join(','),
+        userId: req.user._id.toString(),
+        loanId: emis[0].loanId.toString()
       }
     });
+
+    await recordOrder({
+      userId: req.user._id,
+      loanId: emis[0].loanId,
+      purpose: 'multi_emi',
+      emiIds: emis.map(e => e._id),
+      gateway: gateway.name,
+      order
+    });
+
+    res.json({
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      emiIds: emis.map(e => e._id),
+      emiCount: emis.length,
+      ...gatewayFields(gateway)
+    });
   } catch (error) {
-    console.error('Verify payment error:', error);
+    console.error('Pay multiple error:', error);
+    res.status(500).json({ message: 'Error creating payment order' });
+  }
+});
+
+// @route   POST /api/payment/verify-multiple
+// @desc    Verify a gateway payment for a multi-EMI order and apply it to the order's EMIs
+// @access  Private
+router.post('/verify-multiple', protect, async (req, res) => {
+  try {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      return res.status(400).json({ message: 'Missing payment details' });
+    }
+
+    const order = await Payment.findOne({ orderId: razorpay_order_id, purpose: 'multi_emi' });
+    if (!order?.loanId) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    // Check ownership
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const gateway = getPaymentGateway(order.gateway);
+    const isAuthentic = gateway.verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
+    if (!isAuthentic) {
+      return res.status(400).json({ message: 'Payment verification failed' });
+    }
+
+    // The webhook or an earlier /verify-multiple may have applied this payment already
+    const previous = await findPaymentApplication(razorpay_payment_id);
+    if (previous) {
+      const emis = await EMI.find({ _id: { $in: previous.emiIds } }).sort({ installmentNumber: 1 });
+      return res.json(multiEmiPaymentResponse('Payment successful', emis, previous, true));
+    }
+
+    // Penalties may have been added since the order was created. The money is taken either
+    // way: a shortfall leaves the last EMI part-paid, anything extra goes to the wallet.
+    const amountDue = await getAmountDue(order.emiIds);
+    if (amountDue !== order.amount) {
+      console.log(`Multi-EMI order ${razorpay_order_id}: paid ${formatINR(order.amount)}, now due ${formatINR(amountDue)}`);
+    }
+
+    const { application, replayed } = await applyPayment({
+      paymentId: razorpay_payment_id,
+      source: 'checkout',
+      loanId: order.loanId,
+      amount: order.amount,
+      emiIds: order.emiIds,
+      by: req.user,
+      record: await checkoutRecord(gateway, razorpay_order_id, razorpay_payment_id)
+    });
+
+    const emis = await EMI.find({ _id: { $in: order.emiIds } }).sort({ installmentNumber: 1 });
+    res.json(multiEmiPaymentResponse(
+      'Payment successful',
+      emis,
+      application,
+      replayed,
+      amountDue !== order.amount ? amountDue : null
+    ));
+  } catch (error) {
+    console.error('Verify multiple payment error:', error);
     res.status(500).json({ message: 'Error verifying payment' });
   }
 });
 
-// @route   POST /api/payment/pay-multiple
-// @desc    Pay multiple EMIs at once
+// @route   POST /api/payment/simulate-multiple
+// @desc    Simulate paying several EMIs of a loan on the mock gateway in one call. amount (paise) is the total
+//          quoted by /pay-multiple; if what is due has changed since, nothing is paid and the new total is returned.
+//          Send an Idempotency-Key header to make retries safe
 // @access  Private
-router.post('/pay-multiple', protect, async (req, res) => {
+router.post('/simulate-multiple', protect, mockGatewayOnly, async (req, res) => {
   try {
-    const { emiIds } = req.body;
+    const { emiIds, amount } = req.body;
+
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey) {
+      const previous = await findPaymentApplication(`sim_${req.user._id}_${idempotencyKey}`);
+      if (previous) {
+        const emis = await EMI.find({ _id: { $in: previous.emiIds } }).sort({ installmentNumber: 1 });
+        return res.json(multiEmiPaymentResponse('Payment successful (simulated)', emis, previous, true));
+      }
+    }
+
+    const { emis, error } = await findMultiEMIs(req.user._id, emiIds);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-    if (!emiIds || !Array.isArray(emiIds) || emiIds.length === 0) {
-      return res.status(400).json({ message: 'EMI IDs array is required' });
+    const amountDue = emis.reduce((sum, emi) => sum + getOutstanding(emi), 0);
+    if (amount != null && parseInt(amount) !== amountDue) {
+      return res.status(409).json({
+        message: `Amount due has changed to ${formatINR(amountDue)} - please confirm the new amount`,
+        amount: amountDue
+      });
     }
 
-    // Get all EMIs
-    const emis = await EMI.find({
-      _id: { $in: emiIds },
+    const record = await simulateCheckout({
       userId: req.user._id,
-      status: { $ne: 'paid' }
+      loanId: emis[0].loanId,
+      purpose: 'multi_emi',
+      emiIds: emis.map(e => e._id),
+      amount: amountDue,
+      receipt: `multi_emi_${Date.now()}`,
+      notes: { emiIds: emis.map(e => e._id.toString()).join(',') },
+      paymentId: idempotencyKey ? `sim_${req.user._id}_${idempotencyKey}` : null
+    });
+    const { application, replayed } = await applyPayment({
+      paymentId: record.gatewayPaymentId,
+      source: 'simulated',
+      loanId: emis[0].loanId,
+      amount: amountDue,
+      emiIds: emis.map(e => e._id),
+      by: req.user,
+      record
     });
 
-    if (emis.length === 0) {
-      return res.status(400).json({ message: 'No pending EMIs found' });
+    const updated = await EMI.find({ _id: { $in: emis.map(e => e._id) } }).sort({ installmentNumber: 1 });
+    res.json(multiEmiPaymentResponse('Payment successful (simulated)', updated, application, replayed));
+  } catch (error) {
+    console.error('Simulate multiple payment error:', error);
+    res.status(500).json({ message: 'Error processing simulated payment' });
+  }
+});
+
+// @route   POST /api/payment/foreclosure/create-order
+// @desc    Quote the foreclosure amount and create a gateway order for it
+// @access  Private
+router.post('/foreclosure/create-order', protect, async (req, res) => {
+  try {
+    const { loanId } = req.body;
+
+    if (!loanId) {
+      return res.status(400).json({ message: 'Loan ID is required' });
     }
 
-    // Calculate total amount
-    const totalAmount = emis.reduce((sum, emi) => sum + emi.totalAmount, 0);
+    const loan = await Loan.findById(loanId);
 
-    // Create Razorpay order
-    const options = {
-      amount: Math.round(totalAmount * 100),
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    // Check ownership
+    if (loan.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (loan.status !== 'active') {
+      return res.status(400).json({ message: 'Only active loans can be foreclosed' });
+    }
+
+    const quote = await getCurrentQuote(loan);
+    if (quote.emiCount === 0) {
+      return res.status(400).json({ message: 'No pending EMIs to foreclose' });
+    }
+
+    // Reuse the open order while its quote still stands (getCurrentQuote hands back the stored
+    // quote itself), so an order the borrower already opened in checkout still settles the loan
+    if (quote === loan.foreclosure.quote && loan.foreclosure.orderId) {
+      const open = await Payment.findOne({ orderId: loan.foreclosure.orderId, status: 'created' });
+      if (open) {
+        return res.json({
+          orderId: open.orderId,
+          amount: open.amount,
+          currency: open.currency,
+          loanId: loan._id,
+          quote,
+          ...gatewayFields(getPaymentGateway(open.gateway))
+        });
+      }
+    }
+
+    loan.foreclosure.quote = quote;
+
+    const gateway = getPaymentGateway();
+    const order = await gateway.createOrder({
+      amount: quote.totalAmount,
       currency: 'INR',
-      receipt: `multi_emi_${Date.now()}`,
+      receipt: `foreclose_${loan._id}`,
       notes: {
-        emiIds: emiIds.join(','),
+        type: 'foreclosure',
+        loanId: loan._id.toString(),
         userId: req.user._id.toString()
       }
-    };
+    });
+
+    loan.foreclosure.orderId = order.id;
+    loan.foreclosure.orderIds.push(order.id);
+    await loan.save();
 
-    const order = await razorpay.orders.create(options);
+    await recordOrder({
+      userId: req.user._id,
+      loanId: loan._id,
+      purpose: 'foreclosure',
+      gateway: gateway.name,
+      order
+    });
 
     res.json({
       orderId: order.id,
       amount: order.amount,
       currency: order.currency,
-      emiIds,
-      emiCount: emis.length
+      loanId: loan._id,
+      quote,
+      ...gatewayFields(gateway)
     });
   } catch (error) {
-    console.error('Pay multiple error:', error);
-    res.status(500).json({ message: 'Error creating payment order' });
+    console.error('Foreclosure order error:', error);
+    res.status(500).json({ message: 'Error creating foreclosure order' });
+  }
+});
+
+// @route   POST /api/payment/foreclosure/verify
+// @desc    Verify the foreclosure payment and close the loan
+// @access  Private
+router.post('/foreclosure/verify', protect, async (req, res) => {
+  try {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, loanId } = req.body;
+
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature || !loanId) {
+      return res.status(400).json({ message: 'Missing payment details' });
+    }
+
+    const order = await Payment.findOne({ orderId: razorpay_order_id, purpose: 'foreclosure' });
+    if (!order) {
+      return res.status(400).json({ message: 'Order does not match the foreclosure quote' });
+    }
+
+    const gateway = getPaymentGateway(order.gateway);
+    const isAuthentic = gateway.verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
+    if (!isAuthentic) {
+      console.log('Foreclosure signature verification failed');
+      return res.status(400).json({ message: 'Payment verification failed' });
+    }
+
+    const loan = await Loan.findById(loanId);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    if (loan.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // The payment.captured webhook may have closed the loan already
+    if (loan.foreclosure.paymentId === razorpay_payment_id) {
+      return res.json({
+        message: 'Loan foreclosed successfully',
+        loan
+      });
+    }
+
+    if (!isForeclosureOrder(loan, razorpay_order_id)) {
+      return res.status(400).json({ message: 'Order does not match the foreclosure quote' });
+    }
+
+    if (loan.status !== 'active') {
+      return res.status(400).json({ message: 'Loan is already closed' });
+    }
+
+    // The order was for the amount quoted when it was created; it must still cover the loan
+    const quote = await getCurrentQuote(loan);
+    if (order.amount < quote.totalAmount) {
+      return res.status(400).json({
+        message: `The ${formatINR(order.amount)} paid no longer covers the ${formatINR(quote.totalAmount)} needed to close the loan`
+      });
+    }
+    loan.foreclosure.quote = quote;
+
+    const record = await checkoutRecord(gateway, razorpay_order_id, razorpay_payment_id);
+    const settled = await settleForeclosure(loan, {
+      paymentId: razorpay_payment_id,
+      amount: quote.totalAmount,
+      paidBy: req.user.name,
+      paidById: req.user._id,
+      gateway: gateway.name,
+      orderId: razorpay_order_id,
+      method: record.method,
+      gatewayResponse: record.gatewayResponse
+    });
+
+    if (!settled) {
+      // The payment.captured webhook settled it while we were verifying
+      const current = await Loan.findById(loan._id);
+      if (current.foreclosure.paymentId === razorpay_payment_id) {
+        return res.json({
+          message: 'Loan foreclosed successfully',
+          loan: current
+        });
+      }
+      return res.status(409).json({ message: 'Loan is already being foreclosed' });
+    }
+    await cancelAutopayAfterClosure(loan);
+
+    res.json({
+      message: 'Loan foreclosed successfully',
+      loan
+    });
+  } catch (error) {
+    console.error('Verify foreclosure error:', error);
+    res.status(500).json({ message: 'Error verifying foreclosure payment' });
+  }
+});
+
+// @route   POST /api/payment/foreclosure/simulate
+// @desc    Simulate the foreclosure payment for testing on the mock gateway in one call
+// @access  Private
+router.post('/foreclosure/simulate', protect, mockGatewayOnly, async (req, res) => {
+  try {
+    const { loanId } = req.body;
+
+    if (!loanId) {
+      return res.status(400).json({ message: 'Loan ID is required' });
+    }
+
+    const loan = await Loan.findById(loanId);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    if (loan.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (loan.status !== 'active') {
+      return res.status(400).json({ message: 'Only active loans can be foreclosed' });
+    }
+
+    // Quotes expire at midnight and change with any payment - re-quote rather than settle a stale amount
+    const quote = await getCurrentQuote(loan);
+    loan.foreclosure.quote = quote;
+
+    const record = await simulateCheckout({
+      userId: req.user._id,
+      loanId: loan._id,
+      purpose: 'foreclosure',
+      amount: quote.totalAmount,
+      receipt: `foreclose_${loan._id}`,
+      notes: { type: 'foreclosure', loanId: loan._id.toString() }
+    });
+    loan.foreclosure.orderId = record.orderId;
+    loan.foreclosure.orderIds.push(record.orderId);
+
+    const settled = await settleForeclosure(loan, {
+      paymentId: record.gatewayPaymentId,
+      amount: quote.totalAmount,
+      paidBy: req.user.name,
+      paidById: req.user._id,
+      gateway: record.gateway,
+      orderId: record.orderId,
+      method: record.method
+    });
+    if (!settled) {
+      return res.status(409).json({ message: 'Loan is already being foreclosed' });
+    }
+    await cancelAutopayAfterClosure(loan);
+
+    res.json({
+      message: 'Loan foreclosed successfully (simulated)',
+      loan
+    });
+  } catch (error) {
+    console.error('Simulate foreclosure error:', error);
+    res.status(500).json({ message: 'Error processing simulated foreclosure' });
   }
 });
 
 // @route   POST /api/payment/setup-autopay
-// @desc    Setup autopay/subscription for a loan
+// @desc    Start setting up autopay for a loan: a UPI AutoPay or e-mandate (method) the scheduler
+//          debits for each EMI's exact amount on its due date. Returns the authorization order
+//          to open in checkout with customer_id and recurring: 1
 // @access  Private
 router.post('/setup-autopay', protect, async (req, res) => {
   try {
-    const { loanId } = req.body;
+    const { loanId, method = 'upi' } = req.body;
 
     console.log('=== Setup Autopay Request ===');
     console.log('Loan ID:', loanId);
@@ -353,10 +828,6 @@ router.post('/setup-autopay', protect, async (req, res) => {
       return res.status(400).json({ message: 'Loan ID is required' });
     }
 
-    if (!razorpay) {
-      return res.status(400).json({ message: 'Razorpay not configured' });
-    }
-
     const loan = await Loan.findById(loanId);
 
     if (!loan) {
@@ -368,174 +839,156 @@ router.post('/setup-autopay', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Check if autopay is already active
-    if (loan.autopayEnabled && loan.autopayStatus === 'active') {
-      return res.status(400).json({ message: 'Autopay is already active for this loan' });
+    if (loan.status !== 'active') {
+      return res.status(400).json({ message: 'Autopay can only be set up on an active loan' });
     }
 
-    // Create or get Razorpay customer
-    let customerId = loan.razorpayCustomerId;
-
-    if (!customerId) {
-      const customer = await razorpay.customers.create({
-        name: loan.applicantName,
-        contact: loan.applicantMobile,
-        notes: {
-          loanId: loan._id.toString(),
-          userId: req.user._id.toString()
-        }
-      });
-      customerId = customer.id;
-      loan.razorpayCustomerId = customerId;
-      console.log('Created Razorpay customer:', customerId);
+    // Check if autopay is already set up (a paused or halted mandate is resumed or updated instead)
+    const current = await getLoanMandate(loan);
+    if ((loan.autopayEnabled && loan.autopayStatus === 'active') ||
+        (current && ['pending', 'active', 'paused', 'halted'].includes(current.status))) {
+      return res.status(400).json({ message: 'Autopay is already set up for this loan - use update-autopay to change it' });
     }
 
-    // Calculate remaining EMIs
-    const pendingEMIs = await EMI.countDocuments({
-      loanId: loan._id,
-      status: { $ne: 'paid' }
-    });
-
-    if (pendingEMIs === 0) {
-      return res.status(400).json({ message: 'No pending EMIs for autopay' });
-    }
-
-    // Create a subscription plan for this loan's daily EMI
-    const planId = `plan_loan_${loan._id}`;
-    let plan;
-
-    try {
-      // Try to fetch existing plan
-      plan = await razorpay.plans.fetch(planId);
-      console.log('Found existing plan:', planId);
-    } catch (e) {
-      // Create new plan if not exists
-      plan = await razorpay.plans.create({
-        period: 'daily',
-        interval: 7, // Razorpay minimum: charges every 7 days
-        item: {
-          name: `Loan EMI - ${loan.applicantName}`,
-          amount: Math.round(loan.dailyEMI * 7 * 100), // 7 days of EMI in paise
-          currency: 'INR',
-          description: `Weekly EMI (7 days) for loan ${loan._id}`
-        },
-        notes: {
-          loanId: loan._id.toString()
-        }
-      });
-      console.log('Created new plan:', plan.id);
+    // Loans set up before mandates have a gateway subscription that would keep charging
+    if (loan.razorpaySubscriptionId && loan.autopayStatus !== 'cancelled') {
+      return res.status(400).json({ message: 'Autopay is already set up for this loan - use update-autopay to move it to per-EMI debits' });
     }
 
-    // Create subscription - charges every 7 days, each charge = 7 EMIs
-    const billingCycles = Math.ceil(pendingEMIs / 7);
-    const subscription = await razorpay.subscriptions.create({
-      plan_id: plan.id,
-      customer_id: customerId,
-      total_count: billingCycles,
-      quantity: 1,
-      customer_notify: 1,
-      notes: {
-        loanId: loan._id.toString(),
-        userId: req.user._id.toString()
-      }
+    const pendingEMIs = await EMI.find({
+      loanId: loan._id,
+      status: { $in: PAYABLE_EMI_STATUSES }
     });
 
-    console.log('Created subscription:', subscription.id);
+    const validationError = validateMandateSetup(pendingEMIs, method);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
 
-    // Update loan with subscription details
-    loan.razorpaySubscriptionId = subscription.id;
-    loan.autopayStatus = 'pending';
-    await loan.save();
+    const { mandate, order } = await createMandate(loan, pendingEMIs, method, req.user);
+    console.log(`Created ${mandate.gateway} mandate order:`, order.id);
 
-    res.json({
-      subscriptionId: subscription.id,
-      shortUrl: subscription.short_url,
-      status: subscription.status,
-      customerId: customerId,
-      planId: plan.id,
-      totalCount: billingCycles,
-      note: 'Charges every 7 days (7 EMIs per charge)'
-    });
+    res.json(mandateCheckout(mandate, order));
   } catch (error) {
     console.error('Setup autopay error:', error);
     res.status(500).json({ message: error.error?.description || 'Error setting up autopay' });
   }
 });
 
+// @route   POST /api/payment/update-autopay
+// @desc    Re-authorize autopay for the loan's current EMIs, when a restructure, penalties or fees
+//          have outgrown the mandate's limit or expiry, or to move a pre-mandate subscription to
+//          per-EMI debits. Returns a new authorization order like /setup-autopay; the current
+//          autopay keeps debiting until the new mandate is active and takes over
+// @access  Private
+router.post('/update-autopay', protect, async (req, res) => {
+  try {
+    const { loanId } = req.body;
+
+    if (!loanId) {
+      return res.status(400).json({ message: 'Loan ID is required' });
+    }
+
+    const loan = await Loan.findById(loanId);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    // Check ownership
+    if (loan.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (loan.status !== 'active') {
+      return res.status(400).json({ message: 'Autopay can only be updated on an active loan' });
+    }
+
+    const current = await getLoanMandate(loan);
+    const live = current
+      ? ['pending', 'active', 'paused', 'halted'].includes(current.status)
+      : Boolean(loan.razorpaySubscriptionId) && ['pending', 'active', 'paused', 'halted'].includes(loan.autopayStatus);
+    if (!live) {
+      return res.status(400).json({ message: 'No autopay to update - set up autopay instead' });
+    }
+
+    const method = req.body.method || current?.method || 'upi';
+    const pendingEMIs = await EMI.find({
+      loanId: loan._id,
+      status: { $in: PAYABLE_EMI_STATUSES }
+    });
+
+    const validationError = validateMandateSetup(pendingEMIs, method);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const { mandate, order } = await createMandate(loan, pendingEMIs, method, req.user, { replace: true });
+    console.log(`Created ${mandate.gateway} replacement mandate order:`, order.id, 'for loan:', loan._id);
+
+    res.json(mandateCheckout(mandate, order));
+  } catch (error) {
+    console.error('Update autopay error:', error);
+    res.status(500).json({ message: error.error?.description || 'Error updating autopay' });
+  }
+});
+
 // @route   POST /api/payment/verify-autopay
-// @desc    Verify autopay subscription authentication
+// @desc    Verify the mandate authorization from checkout and activate autopay. Nothing is
+//          charged for EMIs here - each is debited on its due date
 // @access  Private
 router.post('/verify-autopay', protect, async (req, res) => {
   try {
-    const { razorpay_subscription_id, razorpay_payment_id, razorpay_signature, loanId } = req.body;
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, loanId } = req.body;
 
     console.log('=== Verify Autopay Request ===');
-    console.log('Subscription ID:', razorpay_subscription_id);
+    console.log('Order ID:', razorpay_order_id);
     console.log('Payment ID:', razorpay_payment_id);
     console.log('Loan ID:', loanId);
 
-    if (!razorpay_subscription_id || !razorpay_payment_id || !razorpay_signature || !loanId) {
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature || !loanId) {
       return res.status(400).json({ message: 'Missing autopay details' });
     }
 
-    // Verify signature
-    const body = razorpay_payment_id + '|' + razorpay_subscription_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest('hex');
-
-    const isAuthentic = expectedSignature === razorpay_signature;
-
-    if (!isAuthentic) {
-      console.log('Autopay signature verification failed');
-      return res.status(400).json({ message: 'Autopay verification failed' });
-    }
-
-    // Update loan
     const loan = await Loan.findById(loanId);
 
     if (!loan) {
       return res.status(404).json({ message: 'Loan not found' });
     }
 
-    loan.autopayEnabled = true;
-    loan.autopayStatus = 'active';
-    await loan.save();
-
-    // Mark first 7 EMIs as paid (subscription charges 7 days at a time)
-    const firstBatch = await EMI.find({
-      loanId: loan._id,
-      status: { $ne: 'paid' }
-    }).sort({ dayNumber: 1 }).limit(7);
+    // Check ownership
+    if (loan.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-    for (const emi of firstBatch) {
-      emi.status = 'paid';
-      emi.razorpayPaymentId = razorpay_payment_id;
-      emi.paidAt = new Date();
-      await emi.save();
-      loan.totalPaid += emi.totalAmount;
-      loan.remainingBalance -= (emi.principalAmount + emi.interestAmount);
+    const mandate = await Mandate.findOne({ loanId: loan._id, authOrderId: razorpay_order_id });
+    if (!mandate) {
+      return res.status(400).json({ message: 'Mandate does not belong to this loan' });
     }
-    await loan.save();
 
-    const notif = await Notification.create({
-      type: 'emi_paid',
-      forAdmin: true,
-      userId: loan.userId,
-      loanId: loan._id,
-      title: 'Autopay Activated',
-      body: `Autopay set up and ₹${(firstBatch.reduce((sum, e) => sum + e.totalAmount, 0)).toLocaleString('en-IN')} collected from ${loan.applicantName}`,
+    // Verify signature with the gateway the mandate was created on
+    const isAuthentic = getPaymentGateway(mandate.gateway).verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
     });
 
-    const { emitNotification } = require('../socket');
-    await emitNotification(notif);
+    if (!isAuthentic) {
+      console.log('Autopay signature verification failed');
+      return res.status(400).json({ message: 'Autopay verification failed' });
+    }
 
-    console.log('Autopay activated for loan:', loanId);
+    // The payment.captured webhook for the authorization may already have done this
+    await activateMandate(mandate, razorpay_payment_id);
+
+    console.log('Autopay mandate', mandate.status, 'for loan:', loanId);
 
     res.json({
-      message: 'Autopay activated successfully',
-      autopayStatus: 'active',
+      message: mandate.status === 'active'
+        ? 'Autopay activated successfully'
+        : 'Autopay authorized - waiting for your bank to confirm the mandate',
+      autopayStatus: mandate.status === 'active' ? 'active' : 'pending',
+      mandateStatus: mandate.status,
       loanId: loan._id
     });
   } catch (error) {
@@ -545,7 +998,7 @@ router.post('/verify-autopay', protect, async (req, res) => {
 });
 
 // @route   POST /api/payment/cancel-autopay
-// @desc    Cancel autopay subscription
+// @desc    Cancel autopay (the loan's mandate, or its subscription if it was set up before mandates)
 // @access  Private
 router.post('/cancel-autopay', protect, async (req, res) => {
   try {
@@ -569,20 +1022,32 @@ router.post('/cancel-autopay', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    if (!loan.razorpaySubscriptionId) {
-      return res.status(400).json({ message: 'No autopay subscription found' });
-    }
+    const mandate = loan.autopayMandateId ? await Mandate.findById(loan.autopayMandateId) : null;
+    await cancelPendingReplacements(loan);
 
-    // Cancel subscription in Razorpay
-    if (razorpay) {
-      await razorpay.subscriptions.cancel(loan.razorpaySubscriptionId);
-      console.log('Cancelled subscription:', loan.razorpaySubscriptionId);
-    }
+    if (mandate) {
+      if (mandate.status === 'cancelled') {
+        return res.status(400).json({ message: 'Autopay is already cancelled' });
+      }
+      await cancelMandate(mandate);
+      console.log('Cancelled mandate:', mandate._id);
+    } else {
+      if (!loan.razorpaySubscriptionId) {
+        return res.status(400).json({ message: 'No autopay subscription found' });
+      }
 
-    // Update loan
-    loan.autopayEnabled = false;
-    loan.autopayStatus = 'cancelled';
-    await loan.save();
+      // Cancel the subscription with its gateway (skipped if that gateway is no longer configured)
+      const gateway = getPaymentGateway(loan.autopayGateway);
+      if (gateway.isConfigured()) {
+        await gateway.cancelSubscription(loan.razorpaySubscriptionId);
+        console.log('Cancelled subscription:', loan.razorpaySubscriptionId);
+      }
+
+      // Update loan
+      loan.autopayEnabled = false;
+      loan.autopayStatus = 'cancelled';
+      await loan.save();
+    }
 
     res.json({
       message: 'Autopay cancelled successfully',
@@ -594,6 +1059,93 @@ router.post('/cancel-autopay', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/payment/pause-autopay
+// @desc    Pause autopay on a loan until the borrower resumes it (EMIs must be paid by hand meanwhile)
+// @access  Private
+router.post('/pause-autopay', protect, async (req, res) => {
+  try {
+    const { loanId } = req.body;
+
+    if (!loanId) {
+      return res.status(400).json({ message: 'Loan ID is required' });
+    }
+
+    const loan = await Loan.findById(loanId);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    // Check ownership
+    if (loan.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const mandate = await getLoanMandate(loan);
+    const validationError = validateAutopayPause(loan, mandate);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    await pauseAutopay(loan, mandate, req.user);
+    console.log('Paused autopay for loan:', loanId);
+
+    res.json({
+      message: 'Autopay paused',
+      autopayStatus: loan.autopayStatus,
+      loanId: loan._id
+    });
+  } catch (error) {
+    console.error('Pause autopay error:', error);
+    res.status(500).json({ message: error.error?.description || 'Error pausing autopay' });
+  }
+});
+
+// @route   POST /api/payment/resume-autopay
+// @desc    Resume paused autopay, or a mandate halted after failed debits
+// @access  Private
+router.post('/resume-autopay', protect, async (req, res) => {
+  try {
+    const { loanId } = req.body;
+
+    if (!loanId) {
+      return res.status(400).json({ message: 'Loan ID is required' });
+    }
+
+    const loan = await Loan.findById(loanId);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    // Check ownership
+    if (loan.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const mandate = await getLoanMandate(loan);
+    const validationError = validateAutopayResume(loan, mandate, req.user);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const { resumed, message } = await resumeAutopay(loan, mandate, req.user);
+    if (!resumed) {
+      return res.status(409).json({ message, mandateStatus: mandate.status });
+    }
+    console.log('Resumed autopay for loan:', loanId);
+
+    res.json({
+      message: 'Autopay resumed',
+      autopayStatus: loan.autopayStatus,
+      loanId: loan._id
+    });
+  } catch (error) {
+    console.error('Resume autopay error:', error);
+    res.status(500).json({ message: error.error?.description || 'Error resuming autopay' });
+  }
+});
+
 // @route   GET /api/payment/autopay-status/:loanId
 // @desc    Get autopay status for a loan
 // @access  Private
@@ -614,17 +1166,46 @@ router.get('/autopay-status/:loanId', protect, async (req, res) => {
 
     let subscriptionDetails = null;
 
-    if (loan.razorpaySubscriptionId && razorpay) {
+    const gateway = getPaymentGateway(loan.autopayGateway);
+    if (loan.razorpaySubscriptionId && gateway.isConfigured()) {
       try {
-        subscriptionDetails = await razorpay.subscriptions.fetch(loan.razorpaySubscriptionId);
+        subscriptionDetails = (await gateway.fetchSubscription(loan.razorpaySubscriptionId)).raw;
       } catch (e) {
         console.log('Could not fetch subscription:', e.message);
       }
     }
 
+    const mandate = loan.autopayMandateId
+      ? await Mandate.findById(loan.autopayMandateId).select('-customerId -token')
+      : null;
+    const lastDebit = mandate
+      ? await Payment.findOne({ mandateId: mandate._id, purpose: 'autopay' }).sort({ createdAt: -1 }).select('status amount emiIds failureReason createdAt')
+      : null;
+    // A replacement from /update-autopay still waiting to be authorized or confirmed
+    const pendingUpdate = await Mandate.findOne({
+      loanId: loan._id,
+      _id: { $ne: loan.autopayMandateId },
+      status: { $in: ['created', 'pending'] }
+    }).sort({ createdAt: -1 }).select('-customerId -token');
+
+    // Whether /update-autopay is needed for every EMI to be debited in full: the mandate's
+    // limit or expiry falls short, or the loan is still on a fixed-amount subscription
+    let needsUpdate = false;
+    if (mandate && ['active', 'paused', 'halted'].includes(mandate.status)) {
+      const pendingEMIs = await EMI.find({ loanId: loan._id, status: { $in: PAYABLE_EMI_STATUSES } });
+      needsUpdate = !mandateCoversEMIs(mandate, pendingEMIs);
+    } else if (!mandate && loan.razorpaySubscriptionId) {
+      needsUpdate = ['pending', 'active', 'paused', 'halted'].includes(loan.autopayStatus);
+    }
+
     res.json({
       autopayEnabled: loan.autopayEnabled,
       autopayStatus: loan.autopayStatus,
+      gateway: loan.autopayGateway,
+      mandate,
+      lastDebit,
+      needsUpdate,
+      pendingUpdate,
       subscriptionId: loan.razorpaySubscriptionId,
       subscriptionDetails
     });
@@ -634,4 +1215,80 @@ router.get('/autopay-status/:loanId', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/payment/failed
+// @desc    Record a failed checkout attempt reported by the client
+// @access  Private
+router.post('/failed', protect, async (req, res) => {
+  try {
+    const { orderId, error = {}, method } = req.body;
+
+    if (!orderId) {
+      return res.status(400).json({ message: 'Order ID is required' });
+    }
+
+    const payment = await Payment.findOne({ orderId });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // Check ownership
+    if (payment.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const updated = await recordFailedAttempt(orderId, {
+      gatewayPaymentId: error.metadata?.payment_id || null,
+      method: method || null,
+      errorCode: error.code || null,
+      errorDescription: error.description || null,
+      response: error
+    });
+
+    res.json({
+      message: 'Payment failure recorded',
+      status: updated.status,
+      failureReason: updated.failureReason
+    });
+  } catch (error) {
+    console.error('Record payment failure error:', error);
+    res.status(500).json({ message: 'Error recording payment failure' });
+  }
+});
+
+// @route   GET /api/payment/history
+// @desc    Get user's payment history (orders never paid are left out unless ?status=created)
+// @access  Private
+router.get('/history', protect, async (req, res) => {
+  try {
+    const { loanId, status, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { userId: req.user._id };
+    if (loanId) query.loanId = loanId;
+    query.status = status || { $ne: 'created' };
+
+    const payments = await Payment.find(query)
+      .select('-gatewayResponse')
+      .populate('loanId', 'amount applicantName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payment.countDocuments(query);
+
+    res.json({
+      payments,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Payment history error:', error);
+    res.status(500).json({ message: 'Error fetching payment history' });
+  }
+});
+
 module.exports = router;
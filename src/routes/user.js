@@ -3,7 +3,12 @@ const cloudinary = require('cloudinary').v2;
 const User = require('../models/User');
 const Loan = require('../models/Loan');
 const EMI = require('../models/EMI');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
 const { protect } = require('../middleware/auth');
+const { OPEN_APPLICATION_STATUSES, SCHEDULED_STATUSES } = require('../services/loanStatus');
+const { getChargeSummary } = require('../services/charges');
+const { PAYABLE_EMI_STATUSES } = require('../services/paymentAllocation');
 
 const router = express.Router();
 
@@ -116,27 +121,36 @@ router.get('/dashboard', protect, async (req, res) => {
     const todayEMIs = await EMI.find({
       userId: req.user._id,
       dueDate: { $gte: today, $lt: tomorrow },
-      status: { $in: ['pending', 'overdue'] }
+      status: { $in: PAYABLE_EMI_STATUSES }
     }).populate('loanId', 'amount');
 
     // Get all pending/overdue EMIs
     const pendingEMIs = await EMI.find({
       userId: req.user._id,
-      status: { $in: ['pending', 'overdue'] }
+      status: { $in: PAYABLE_EMI_STATUSES }
     }).sort({ dueDate: 1 });
 
+    const wallet = await Wallet.findOne({ userId: req.user._id });
+
     // Calculate totals
     let totalLoanAmount = 0;
     let totalPaid = 0;
     let remainingBalance = 0;
     let totalPenalty = 0;
+    let totalCharges = 0;
+    let totalLateFees = 0;
+    let netDisbursed = 0;
 
     loans.forEach(loan => {
-      if (loan.status === 'approved' || loan.status === 'completed') {
+      if (SCHEDULED_STATUSES.includes(loan.status)) {
+        const charges = getChargeSummary(loan);
         totalLoanAmount += loan.amount;
         totalPaid += loan.totalPaid;
         remainingBalance += loan.remainingBalance;
         totalPenalty += loan.penaltyAmount;
+        totalCharges += charges.upfrontTotal + charges.scheduledTotal;
+        totalLateFees += loan.lateFeeAmount || 0;
+        netDisbursed += loan.netDisbursedAmount ?? charges.netDisbursal;
       }
     });
 
@@ -155,12 +169,16 @@ router.get('/dashboard', protect, async (req, res) => {
       },
       stats: {
         totalLoans: loans.length,
-        activeLoans: loans.filter(l => l.status === 'approved').length,
-        pendingApplications: loans.filter(l => l.status === 'pending').length,
+        activeLoans: loans.filter(l => l.status === 'active').length,
+        pendingApplications: loans.filter(l => OPEN_APPLICATION_STATUSES.includes(l.status)).length,
         totalLoanAmount,
         totalPaid,
         remainingBalance,
-        totalPenalty
+        totalPenalty,
+        totalCharges,
+        totalLateFees,
+        netDisbursed,
+        walletBalance: wallet?.balance || 0
       },
       todayEMIs,
       upcomingEMIs: pendingEMIs.slice(0, 5)
@@ -171,6 +189,26 @@ router.get('/dashboard', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/user/wallet
+// @desc    Get wallet balance and recent wallet transactions
+// @access  Private
+router.get('/wallet', protect, async (req, res) => {
+  try {
+    const wallet = await Wallet.findOne({ userId: req.user._id });
+    const transactions = await WalletTransaction.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      balance: wallet?.balance || 0,
+      transactions
+    });
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({ message: 'Error fetching wallet' });
+  }
+});
+
 // @route   POST /api/user/push-token
 // @desc    Update push token
 // @access  Private
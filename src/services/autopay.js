@@ -0,0 +1,153 @@
+const Mandate = require('../models/Mandate');
+const Notification = require('../models/Notification');
+const { pauseMandate, resumeMandate } = require('./mandates');
+const { getPaymentGateway } = require('./gateways');
+
+// Autopay is either a mandate the app debits (loan.autopayMandateId) or, on loans set up
+// before mandates, a gateway subscription (loan.razorpaySubscriptionId). Pausing a mandate
+// only stops the app's daily debits; a subscription is paused with its gateway, which
+// confirms with the subscription.paused / resumed webhooks.
+
+// Why a mandate could not be resumed, by the status the bank reported instead
+const RESUME_REFUSALS = {
+  paused: 'Autopay is paused at your bank - resume it in your UPI or bank app first',
+  rejected: 'Your bank has rejected the autopay mandate - please set up autopay again',
+  cancelled: 'Your autopay mandate was cancelled at your bank - please set up autopay again'
+};
+
+/**
+ * The mandate a loan's autopay runs on, if it has one
+ * @param {Object} loan - Loan document
+ * @returns {Object|null} Mandate document
+ */
+const getLoanMandate = async (loan) => {
+  return loan.autopayMandateId ? Mandate.findById(loan.autopayMandateId) : null;
+};
+
+const checkSubscription = (loan) => {
+  if (!loan.razorpaySubscriptionId) {
+    return 'No autopay found for this loan';
+  }
+  if (!getPaymentGateway(loan.autopayGateway).isConfigured()) {
+    return 'The payment gateway for this autopay is not available';
+  }
+  return null;
+};
+
+/**
+ * Check that a loan's autopay can be paused
+ * @param {Object} loan - Loan document
+ * @param {Object|null} mandate - The loan's mandate (getLoanMandate)
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateAutopayPause = (loan, mandate) => {
+  if (mandate) {
+    return mandate.status === 'active' ? null : `Autopay is ${mandate.status} - only active autopay can be paused`;
+  }
+  const subscriptionError = checkSubscription(loan);
+  if (subscriptionError) return subscriptionError;
+  return loan.autopayStatus === 'active' ? null : `Autopay is ${loan.autopayStatus} - only active autopay can be paused`;
+};
+
+/**
+ * Check that a loan's autopay can be resumed. A mandate halted after failed debits can be
+ * resumed too; one an admin paused can only be resumed by an admin.
+ * @param {Object} loan - Loan document
+ * @param {Object|null} mandate - The loan's mandate (getLoanMandate)
+ * @param {Object} user - Borrower or admin resuming it
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateAutopayResume = (loan, mandate, user) => {
+  if (mandate) {
+    if (!['paused', 'halted'].includes(mandate.status)) {
+      return `Autopay is ${mandate.status} - only paused or halted autopay can be resumed`;
+    }
+    if (mandate.pauseSource === 'admin' && user.role !== 'admin') {
+      return 'Autopay was paused by the lender - please contact support to resume it';
+    }
+    if (mandate.expiresAt < new Date()) {
+      return 'Your autopay mandate has expired - please set up autopay again';
+    }
+    return null;
+  }
+  const subscriptionError = checkSubscription(loan);
+  if (subscriptionError) return subscriptionError;
+  return loan.autopayStatus === 'paused' ? null : `Autopay is ${loan.autopayStatus} - only paused autopay can be resumed`;
+};
+
+const notifyBorrower = async (loan, title, body) => {
+  const notif = await Notification.create({
+    type: 'autopay_updated',
+    forAdmin: false,
+    userId: loan.userId,
+    loanId: loan._id,
+    title,
+    body,
+  });
+
+  const { emitNotification } = require('../socket');
+  await emitNotification(notif);
+};
+
+/**
+ * Pause a loan's autopay (checked with validateAutopayPause). The borrower is notified
+ * when an admin does it.
+ * @param {Object} loan - Loan document
+ * @param {Object|null} mandate - The loan's mandate
+ * @param {Object} by - Borrower or admin pausing it
+ * @returns {Object} The loan
+ */
+const pauseAutopay = async (loan, mandate, by) => {
+  if (mandate) {
+    await pauseMandate(mandate, by);
+  } else {
+    await getPaymentGateway(loan.autopayGateway).pauseSubscription(loan.razorpaySubscriptionId);
+  }
+
+  // The mandate has already updated the loan; a subscription is confirmed by its webhook too
+  loan.autopayEnabled = false;
+  loan.autopayStatus = 'paused';
+  await loan.save();
+
+  if (by.role === 'admin') {
+    await notifyBorrower(loan, 'Autopay Paused',
+      'Autopay on your loan has been paused. Please pay your EMIs manually until it is resumed.');
+  }
+  return loan;
+};
+
+/**
+ * Resume a loan's autopay (checked with validateAutopayResume). A mandate the bank has
+ * paused, cancelled or rejected in the meantime is not resumed.
+ * @param {Object} loan - Loan document
+ * @param {Object|null} mandate - The loan's mandate
+ * @param {Object} by - Borrower or admin resuming it
+ * @returns {Object} { resumed, message } - message says why when it was not resumed
+ */
+const resumeAutopay = async (loan, mandate, by) => {
+  if (mandate) {
+    await resumeMandate(mandate);
+    if (mandate.status !== 'active') {
+      return { resumed: false, message: RESUME_REFUSALS[mandate.status] || `Autopay is ${mandate.status}` };
+    }
+  } else {
+    await getPaymentGateway(loan.autopayGateway).resumeSubscription(loan.razorpaySubscriptionId);
+  }
+
+  loan.autopayEnabled = true;
+  loan.autopayStatus = 'active';
+  await loan.save();
+
+  if (by.role === 'admin') {
+    await notifyBorrower(loan, 'Autopay Resumed', 'Autopay on your loan has been resumed. EMIs will be debited on their due dates again.');
+  }
+  return { resumed: true, message: null };
+};
+
+module.exports = {
+  getLoanMandate,
+  validateAutopayPause,
+  validateAutopayResume,
+  pauseAutopay,
+  resumeAutopay
+};
@@ -0,0 +1,132 @@
+const { percentOf, splitEvenly } = require('../utils/money');
+
+// Charges are configured on a loan product (product.fees) and snapshotted onto each loan
+// at apply time, like the interest and penalty terms.
+//   collectAt: 'upfront' is deducted from the money disbursed, 'schedule' is spread over the EMIs
+//   trigger: 'disbursement' is charged once when the loan is paid out, 'late_payment' on each EMI
+//            that goes overdue (always collected on that EMI)
+// Percentage charges are a percent of the loan amount (disbursement) or of the overdue
+// installment (late_payment). taxRate (e.g. 18 for GST) is charged on top of the fee.
+const CHARGE_TYPES = ['fixed', 'percentage'];
+const CHARGE_COLLECT_AT = ['upfront', 'schedule'];
+const CHARGE_TRIGGERS = ['disbursement', 'late_payment'];
+
+/**
+ * Work out a single charge against a base amount
+ * @param {Object} charge - { type, value, taxRate }
+ * @param {Number} base - Amount in paise that percentage charges apply to
+ * @returns {Object} { amount, taxAmount, total } in paise
+ */
+const priceCharge = (charge, base) => {
+  const amount = charge.type === 'percentage' ? percentOf(base, charge.value) : charge.value;
+  const taxAmount = percentOf(amount, charge.taxRate || 0);
+  return { amount, taxAmount, total: amount + taxAmount };
+};
+
+/**
+ * Copy a product's charge definitions for a new loan
+ * @param {Object} product - LoanProduct document
+ * @returns {Array} Charge definitions for loan.charges
+ */
+const snapshotCharges = (product) => (product.fees || []).map(fee => ({
+  name: fee.name,
+  type: fee.type,
+  value: fee.value,
+  collectAt: fee.trigger === 'late_payment' ? 'schedule' : (fee.collectAt || 'upfront'),
+  trigger: fee.trigger || 'disbursement',
+  taxRate: fee.taxRate || 0
+}));
+
+/**
+ * Price the loan's disbursement charges against its current amount (does not save)
+ * @param {Object} loan - Loan document
+ */
+const priceLoanCharges = (loan) => {
+  (loan.charges || []).forEach(charge => {
+    if (charge.trigger !== 'disbursement') return;
+    const { amount, taxAmount, total } = priceCharge(charge, loan.amount);
+    charge.amount = amount;
+    charge.taxAmount = taxAmount;
+    charge.total = total;
+  });
+};
+
+const sumTotals = (charges) => charges.reduce((sum, c) => sum + (c.total || 0), 0);
+
+const disbursementCharges = (loan, collectAt) =>
+  (loan.charges || []).filter(c => c.trigger === 'disbursement' && c.collectAt === collectAt);
+
+/**
+ * Deductions taken out of the money sent to the borrower
+ * @param {Object} loan - Loan document with priced charges
+ * @returns {Array} [{ name, amount }] in paise, tax included
+ */
+const getUpfrontDeductions = (loan) =>
+  disbursementCharges(loan, 'upfront').map(c => ({ name: c.name, amount: c.total }));
+
+/**
+ * Split the loan's scheduled charges across its installments
+ * @param {Object} loan - Loan document with priced charges
+ * @param {Number} count - Number of installments
+ * @param {Number} total - Paise to split (default: all of them; a restructure passes what is still owed)
+ * @returns {Array} Fee per installment in paise
+ */
+const spreadScheduledCharges = (loan, count, total = sumTotals(disbursementCharges(loan, 'schedule'))) =>
+  splitEvenly(total, count);
+
+/**
+ * Late-payment charges for one overdue EMI, split into fee and tax
+ * @param {Object} loan - Loan document
+ * @param {Object} emi - Overdue EMI
+ * @returns {Object} { amount, taxAmount, total } in paise (all 0 if the loan has no late-payment charges)
+ */
+const priceLateFee = (loan, emi) => (loan.charges || [])
+  .filter(c => c.trigger === 'late_payment')
+  .map(c => priceCharge(c, emi.principalAmount + emi.interestAmount))
+  .reduce((sum, p) => ({
+    amount: sum.amount + p.amount,
+    taxAmount: sum.taxAmount + p.taxAmount,
+    total: sum.total + p.total
+  }), { amount: 0, taxAmount: 0, total: 0 });
+
+/**
+ * Late-payment fee for one overdue EMI
+ * @param {Object} loan - Loan document
+ * @param {Object} emi - Overdue EMI
+ * @returns {Number} Fee in paise, tax included (0 if the loan has no late-payment charges)
+ */
+const getLateFee = (loan, emi) => priceLateFee(loan, emi).total;
+
+/**
+ * Summarise a loan's charges for loan details and dashboards
+ * @param {Object} loan - Loan document with priced charges
+ * @returns {Object} Totals in paise and the net amount the borrower receives
+ */
+const getChargeSummary = (loan) => {
+  const upfront = disbursementCharges(loan, 'upfront');
+  const scheduled = disbursementCharges(loan, 'schedule');
+  const priced = upfront.concat(scheduled);
+
+  return {
+    upfrontTotal: sumTotals(upfront),
+    scheduledTotal: sumTotals(scheduled),
+    feeTotal: priced.reduce((sum, c) => sum + (c.amount || 0), 0),
+    taxTotal: priced.reduce((sum, c) => sum + (c.taxAmount || 0), 0),
+    lateFees: (loan.charges || []).filter(c => c.trigger === 'late_payment'),
+    netDisbursal: loan.amount - sumTotals(upfront)
+  };
+};
+
+module.exports = {
+  CHARGE_TYPES,
+  CHARGE_COLLECT_AT,
+  CHARGE_TRIGGERS,
+  priceCharge,
+  snapshotCharges,
+  priceLoanCharges,
+  getUpfrontDeductions,
+  spreadScheduledCharges,
+  priceLateFee,
+  getLateFee,
+  getChargeSummary
+};
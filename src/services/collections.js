@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const EMI = require('../models/EMI');
+const Collection = require('../models/Collection');
+const Settlement = require('../models/Settlement');
+const Notification = require('../models/Notification');
+const { PAYABLE_EMI_STATUSES, getOutstanding, validatePaymentAmount } = require('./paymentAllocation');
+const { applyPayment } = require('./paymentApplication');
+const { formatINR } = require('../utils/money');
+
+const COLLECTION_METHODS = ['cash', 'upi'];
+
+// A collection recorded offline can be synced this long after it was taken
+const MAX_COLLECTION_AGE_DAYS = 3;
+
+// Allowance for the collector's device clock running ahead of ours
+const CLOCK_SKEW_MINUTES = 10;
+
+const isNonNegativeInteger = (value) => value != null && value !== '' && Number.isInteger(Number(value)) && Number(value) >= 0;
+
+const notify = async ({ userId = null, forAdmin = false, loanId, type, title, body }) => {
+  const notif = await Notification.create({ type, forAdmin, userId, loanId, title, body });
+
+  const { emitNotification } = require('../socket');
+  await emitNotification(notif);
+};
+
+/**
+ * What a borrower owes on a loan today: EMIs due today or earlier, and the next one after
+ * @param {Object} loan - Loan document
+ * @returns {Object} { dueAmount, dueEMIs, overdueCount, nextEMI, outstanding } (paise)
+ */
+const getLoanDues = async (loan) => {
+  const tomorrow = new Date();
+  tomorrow.setHours(0, 0, 0, 0);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+
+  const emis = await EMI.find({ loanId: loan._id, status: { $in: PAYABLE_EMI_STATUSES } })
+    .sort({ installmentNumber: 1 });
+  const dueEMIs = emis.filter(e => e.dueDate < tomorrow);
+
+  return {
+    dueAmount: dueEMIs.reduce((sum, e) => sum + getOutstanding(e), 0),
+    dueEMIs: dueEMIs.map(e => ({
+      _id: e._id,
+      installmentNumber: e.installmentNumber,
+      dueDate: e.dueDate,
+      status: e.status,
+      outstanding: getOutstanding(e)
+    })),
+    overdueCount: emis.filter(e => e.status === 'overdue').length,
+    nextEMI: emis.find(e => e.dueDate >= tomorrow) || null,
+    outstanding: emis.reduce((sum, e) => sum + getOutstanding(e), 0)
+  };
+};
+
+/**
+ * Check a collection a collector is recording
+ * @param {Object} details - { amount, method, receiptNumber, upiReference, latitude, longitude, collectedAt }
+ * @param {Number} outstanding - Paise still owed on the loan
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateCollection = (details, outstanding) => {
+  const { amount, method, receiptNumber, upiReference, latitude, longitude, collectedAt } = details;
+
+  if (outstanding === 0) {
+    return 'Nothing is owed on this loan';
+  }
+  if (amount == null) {
+    return 'Amount is required';
+  }
+  const amountError = validatePaymentAmount(amount, outstanding);
+  if (amountError) return amountError;
+
+  if (!COLLECTION_METHODS.includes(method)) {
+    return `Method must be one of: ${COLLECTION_METHODS.join(', ')}`;
+  }
+  if (!receiptNumber || !String(receiptNumber).trim()) {
+    return 'Receipt number is required';
+  }
+  if (method === 'upi' && (!upiReference || !String(upiReference).trim())) {
+    return 'UPI reference is required for UPI collections';
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude == null || longitude == null || isNaN(lat) || isNaN(lng) ||
+      lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return 'A valid location (latitude, longitude) is required';
+  }
+
+  if (collectedAt != null) {
+    const at = new Date(collectedAt);
+    if (isNaN(at)) {
+      return 'collectedAt must be a valid date';
+    }
+    if (at > new Date(Date.now() + CLOCK_SKEW_MINUTES * 60 * 1000)) {
+      return 'collectedAt cannot be in the future';
+    }
+    if (at < new Date(Date.now() - MAX_COLLECTION_AGE_DAYS * 24 * 60 * 60 * 1000)) {
+      return `Collections must be recorded within ${MAX_COLLECTION_AGE_DAYS} days`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Record a collection and apply it to the loan like any other payment: oldest unpaid EMIs
+ * first. Applied under collection_<receiptNumber>, with the Collection written in the same
+ * transaction, so a retried request (e.g. after a dropped connection) returns the first result.
+ * The borrower is sent the receipt as a notification.
+ * @param {Object} loan - Loan document (assigned to the collector)
+ * @param {Object} details - Checked with validateCollection
+ * @param {Object} collector - Collector recording it
+ * @returns {Object|null} { collection, application, replayed }, or null if the receipt number
+ *   was already used by another collector or on another loan
+ */
+const recordCollection = async (loan, details, collector) => {
+  const receiptNumber = String(details.receiptNumber).trim();
+  const isSameReceipt = (collection) => collection &&
+    String(collection.collectorId) === String(collector._id) && String(collection.loanId) === String(loan._id);
+
+  const existing = await Collection.findOne({ receiptNumber });
+  if (existing) {
+    return isSameReceipt(existing) ? { collection: existing, application: null, replayed: true } : null;
+  }
+
+  const amount = parseInt(details.amount);
+  const paymentId = `collection_${receiptNumber}`;
+  let collection;
+  const { application, replayed } = await applyPayment({
+    paymentId,
+    source: 'collector',
+    loanId: loan._id,
+    amount,
+    by: collector,
+    record: {
+      method: details.method,
+      gatewayPaymentId: details.method === 'upi' ? String(details.upiReference).trim() : null
+    },
+    onApplied: async (applied, session) => {
+      [collection] = await Collection.create([{
+        collectorId: collector._id,
+        loanId: loan._id,
+        userId: loan.userId,
+        amount,
+        method: details.method,
+        receiptNumber,
+        upiReference: details.method === 'upi' ? String(details.upiReference).trim() : null,
+        location: {
+          latitude: Number(details.latitude),
+          longitude: Number(details.longitude),
+          accuracy: details.accuracy != null ? Number(details.accuracy) : null
+        },
+        collectedAt: details.collectedAt ? new Date(details.collectedAt) : new Date(),
+        paymentId,
+        applicationId: applied._id,
+        emiIds: applied.emiIds,
+        excess: applied.excess,
+        remarks: details.remarks || ''
+      }], { session });
+    }
+  });
+
+  // The same receipt recorded by a concurrent request
+  if (replayed) {
+    const recorded = await Collection.findOne({ receiptNumber });
+    return isSameReceipt(recorded) ? { collection: recorded, application, replayed: true } : null;
+  }
+
+  await notify({
+    type: 'emi_paid',
+    userId: loan.userId,
+    loanId: loan._id,
+    title: 'Payment Received',
+    body: `${formatINR(amount)} collected by ${collector.name || 'our collector'} (${details.method === 'upi' ? 'UPI' : 'cash'}). ` +
+      `Receipt no. ${receiptNumber}.`
+  });
+
+  return { collection, application, replayed: false };
+};
+
+/**
+ * Check an end-of-day settlement a collector is submitting
+ * @param {Object} details - { declaredCash }
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateSettlement = ({ declaredCash }) => {
+  if (!isNonNegativeInteger(declaredCash)) {
+    return 'declaredCash must be the paise being handed over (0 or more)';
+  }
+  return null;
+};
+
+/**
+ * Submit a collector's end-of-day settlement: every collection they have not yet handed in
+ * goes into it. Collections are claimed before the totals are worked out, so two
+ * submissions at once cannot both include the same collection.
+ * @param {Object} collector - Collector submitting it
+ * @param {Object} details - { declaredCash, notes }, checked with validateSettlement
+ * @returns {Object|null} The Settlement, or null if there was nothing to settle
+ */
+const submitSettlement = async (collector, { declaredCash, notes = '' }) => {
+  const settlementId = new mongoose.Types.ObjectId();
+  await Collection.updateMany(
+    { collectorId: collector._id, status: 'collected' },
+    { status: 'submitted', settlementId }
+  );
+
+  const collections = await Collection.find({ settlementId });
+  if (collections.length === 0) return null;
+
+  const sum = (method) => collections.filter(c => c.method === method).reduce((total, c) => total + c.amount, 0);
+  const expected = { cash: sum('cash'), upi: sum('upi') };
+  expected.total = expected.cash + expected.upi;
+  expected.count = collections.length;
+
+  const settlement = await Settlement.create({
+    _id: settlementId,
+    collectorId: collector._id,
+    collectionIds: collections.map(c => c._id),
+    expected,
+    declaredCash: parseInt(declaredCash),
+    notes
+  });
+
+  const difference = expected.cash - settlement.declaredCash;
+  await notify({
+    type: 'settlement_submitted',
+    forAdmin: true,
+    userId: collector._id,
+    title: 'Collection Settlement Submitted',
+    body: `${collector.name || 'A collector'} submitted ${expected.count} collection(s): ${formatINR(expected.cash)} cash, ` +
+      `${formatINR(expected.upi)} UPI` + (difference !== 0 ? ` - declared cash is ${formatINR(Math.abs(difference))} ${difference > 0 ? 'short' : 'over'}` : '')
+  });
+
+  return settlement;
+};
+
+/**
+ * Check an admin's reconciliation of a settlement
+ * @param {Object} settlement - Settlement document
+ * @param {Object} details - { receivedCash, disputedCollectionIds, note }
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateReconciliation = (settlement, { receivedCash, disputedCollectionIds = [], note }) => {
+  if (settlement.status === 'reconciled') {
+    return 'Settlement is already reconciled';
+  }
+  if (!isNonNegativeInteger(receivedCash)) {
+    return 'receivedCash must be the paise counted (0 or more)';
+  }
+  if (!Array.isArray(disputedCollectionIds)) {
+    return 'disputedCollectionIds must be a list';
+  }
+  const included = settlement.collectionIds.map(String);
+  if (disputedCollectionIds.some(id => !included.includes(String(id)))) {
+    return 'Disputed collections must be part of this settlement';
+  }
+  const matched = parseInt(receivedCash) === settlement.expected.cash && disputedCollectionIds.length === 0;
+  if (!matched && (!note || !String(note).trim())) {
+    return 'A note is required when the cash does not match or collections are disputed';
+  }
+  return null;
+};
+
+/**
+ * Reconcile a settlement against its collections: the cash counted is compared with the cash
+ * collected, and collections the admin could not match (e.g. a UPI reference not in the bank
+ * statement) are disputed. The money stays applied to the loans - it was taken from the
+ * borrowers - so a shortfall is owed by the collector. A settlement with a discrepancy can be
+ * reconciled again once it is sorted out.
+ * @param {Object} settlement - Settlement document, checked with validateReconciliation
+ * @param {Object} details - { receivedCash, disputedCollectionIds, note }
+ * @param {Object} admin - Admin reconciling it
+ * @returns {Object} The Settlement
+ */
+const reconcileSettlement = async (settlement, { receivedCash, disputedCollectionIds = [], note = '' }, admin) => {
+  const disputed = disputedCollectionIds.map(String);
+  const collections = await Collection.find({ _id: { $in: settlement.collectionIds } });
+
+  settlement.receivedCash = parseInt(receivedCash);
+  settlement.cashShortfall = settlement.expected.cash - settlement.receivedCash;
+  settlement.disputedCollectionIds = disputed;
+  settlement.disputedAmount = collections
+    .filter(c => disputed.includes(String(c._id)))
+    .reduce((sum, c) => sum + c.amount, 0);
+  settlement.status = settlement.cashShortfall === 0 && disputed.length === 0 ? 'reconciled' : 'discrepancy';
+  settlement.reviewNote = String(note || '').trim();
+  settlement.reviewedBy = admin._id;
+  settlement.reviewedAt = new Date();
+  await settlement.save();
+
+  await Collection.updateMany(
+    { settlementId: settlement._id, _id: { $nin: disputed } },
+    { status: 'settled' }
+  );
+  if (disputed.length > 0) {
+    await Collection.updateMany({ settlementId: settlement._id, _id: { $in: disputed } }, { status: 'disputed' });
+  }
+
+  const problems = [];
+  if (settlement.cashShortfall > 0) problems.push(`cash ${formatINR(settlement.cashShortfall)} short`);
+  if (settlement.cashShortfall < 0) problems.push(`cash ${formatINR(-settlement.cashShortfall)} over`);
+  if (disputed.length > 0) problems.push(`${disputed.length} collection(s) disputed`);
+  await notify({
+    type: 'settlement_reviewed',
+    userId: settlement.collectorId,
+    title: settlement.status === 'reconciled' ? 'Settlement Reconciled' : 'Settlement Discrepancy',
+    body: settlement.status === 'reconciled'
+      ? `Your settlement of ${formatINR(settlement.expected.total)} has been reconciled.`
+      : `Your settlement has a discrepancy: ${problems.join(', ')}. ${settlement.reviewNote}`
+  });
+
+  return settlement;
+};
+
+module.exports = {
+  COLLECTION_METHODS,
+  getLoanDues,
+  validateCollection,
+  recordCollection,
+  validateSettlement,
+  submitSettlement,
+  validateReconciliation,
+  reconcileSettlement
+};
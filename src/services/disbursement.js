@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Disbursement = require('../models/Disbursement');
+const Notification = require('../models/Notification');
+const { generateEMISchedule } = require('./emiCalculator');
+const { transitionLoan } = require('./loanStatus');
+const { getPayoutProvider } = require('./payouts');
+const { getUpfrontDeductions } = require('./charges');
+const { postDisbursement, postScheduleAccruals } = require('./ledger');
+const { formatINR } = require('../utils/money');
+
+const DISBURSEMENT_MODES = ['bank_transfer', 'imps', 'neft', 'rtgs', 'upi', 'cash', 'cheque'];
+
+// Modes the admin settles by hand; these are recorded, never sent through a payout provider
+const MANUAL_MODES = ['cash', 'cheque'];
+
+/**
+ * Finish a successful payout: start the EMI schedule from the disbursement date, activate the
+ * loan and tell the borrower. The schedule, the loan and the ledger are written in one MongoDB
+ * transaction, so a failure part-way leaves the loan approved and still claimed by this
+ * disbursement, ready for refreshDisbursement to finish it.
+ * @param {Object} loan - Approved loan document (not updated - read the loan again)
+ * @param {Object} disbursement - Processed disbursement
+ * @param {Object} admin - Admin user (or null when completed by a status check)
+ * @returns {Object|null} The active loan, or null if it is no longer approved and claimed by this disbursement
+ */
+const completeDisbursement = async (loan, disbursement, admin) => {
+  const by = admin || disbursement.initiatedBy;
+  let activated;
+
+  const session = await mongoose.startSession();
+  try {
+    // The callback can be retried on a write conflict, so it starts from scratch each time
+    await session.withTransaction(async () => {
+      activated = await Loan.findOne({ _id: loan._id, status: 'approved', disbursementId: disbursement._id })
+        .session(session);
+      if (!activated) return;
+
+      transitionLoan(activated, 'disbursed', {
+        by,
+        reason: `${disbursement.mode} ${disbursement.reference || disbursement.providerPayoutId || ''}`.trim()
+      });
+      activated.disbursedAt = disbursement.disbursedAt;
+      activated.netDisbursedAmount = disbursement.netAmount;
+
+      const emis = await generateEMISchedule(activated, disbursement.disbursedAt);
+      transitionLoan(activated, 'active', { by, reason: 'EMI schedule generated' });
+      await activated.save();
+
+      await postDisbursement(activated, disbursement, by, { session });
+      await postScheduleAccruals(activated, emis, by, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!activated) {
+    console.error(`Disbursement ${disbursement._id} was processed but loan ${loan._id} is no longer waiting for it`);
+    return null;
+  }
+
+  const notif = await Notification.create({
+    type: 'loan_disbursed',
+    forAdmin: false,
+    userId: activated.userId,
+    loanId: activated._id,
+    title: 'Loan Disbursed',
+    body: `${formatINR(disbursement.netAmount)} has been sent to you${disbursement.reference ? ` (ref ${disbursement.reference})` : ''}. Your first EMI is due on ${activated.startDate.toDateString()}.`,
+  });
+
+  const { emitNotification } = require('../socket');
+  await emitNotification(notif);
+  return activated;
+};
+
+// A failed payout lets the loan be disbursed again
+const releaseLoan = async (loan, disbursement) => {
+  await Loan.updateOne({ _id: loan._id, disbursementId: disbursement._id }, { disbursementId: null });
+  loan.disbursementId = null;
+};
+
+/**
+ * Disburse an approved loan. With a reference (UTR) the admin is recording money already sent;
+ * otherwise the payout goes through the configured payout provider. The loan is claimed for
+ * the disbursement (loan.disbursementId) before any money moves, so two requests at once
+ * cannot both pay it out.
+ * @param {Object} loan - Approved loan document (not updated once the loan is activated - read it again)
+ * @param {Object} options - { mode, reference, beneficiary, disbursedAt }
+ * @param {Object} admin - Admin user
+ * @returns {Object|null} The disbursement record, or null if the loan is already being disbursed
+ */
+const disburseLoan = async (loan, { mode, reference, beneficiary, disbursedAt }, admin) => {
+  // Upfront charges (with their tax) never reach the borrower
+  const deductions = getUpfrontDeductions(loan);
+  const netAmount = loan.amount - deductions.reduce((sum, d) => sum + d.amount, 0);
+  const isManual = Boolean(reference) || MANUAL_MODES.includes(mode);
+
+  const disbursement = new Disbursement({
+    loanId: loan._id,
+    userId: loan.userId,
+    amount: loan.amount,
+    deductions,
+    netAmount,
+    mode,
+    beneficiary: beneficiary || {},
+    provider: isManual ? 'manual' : getPayoutProvider().name,
+    reference: reference || '',
+    initiatedBy: admin._id
+  });
+
+  const claimed = await Loan.findOneAndUpdate(
+    { _id: loan._id, status: loan.status, disbursementId: null },
+    { disbursementId: disbursement._id }
+  );
+  if (!claimed) return null;
+  loan.disbursementId = disbursement._id;
+
+  if (isManual) {
+    disbursement.status = 'processed';
+    disbursement.disbursedAt = disbursedAt ? new Date(disbursedAt) : new Date();
+  } else {
+    // Saved first, so the payout is tracked even if the provider call fails part-way
+    await disbursement.save();
+    try {
+      const payout = await getPayoutProvider().createPayout({
+        amount: netAmount,
+        mode,
+        beneficiary: disbursement.beneficiary,
+        referenceId: disbursement._id.toString(),
+        notes: { loanId: loan._id.toString() }
+      });
+      applyPayoutResult(disbursement, payout);
+    } catch (error) {
+      console.error('Create payout error:', error);
+      disbursement.status = 'failed';
+      disbursement.failureReason = error.message;
+    }
+  }
+  await disbursement.save();
+
+  if (disbursement.status === 'processed') {
+    await completeDisbursement(loan, disbursement, admin);
+  } else if (disbursement.status === 'failed') {
+    await releaseLoan(loan, disbursement);
+  }
+
+  return disbursement;
+};
+
+const applyPayoutResult = (disbursement, payout) => {
+  disbursement.providerPayoutId = payout.id;
+  if (payout.status === 'processed') {
+    disbursement.status = 'processed';
+    disbursement.reference = payout.utr || disbursement.reference;
+    disbursement.disbursedAt = new Date();
+  } else if (payout.status === 'failed') {
+    disbursement.status = 'failed';
+    disbursement.failureReason = payout.failureReason || 'Payout failed';
+  }
+};
+
+/**
+ * Re-check a payout that was still processing and complete the loan if it has gone through.
+ * A processed disbursement whose completion failed part-way is completed again.
+ * @param {Object} disbursement - Initiated or processed disbursement
+ * @param {Object} loan - Its loan (not updated - read the loan again)
+ * @param {Object} admin - Admin user asking for the refresh
+ * @returns {Object} The disbursement record
+ */
+const refreshDisbursement = async (disbursement, loan, admin) => {
+  if (disbursement.status === 'initiated' && disbursement.providerPayoutId) {
+    const payout = await getPayoutProvider().fetchPayout(disbursement.providerPayoutId);
+    applyPayoutResult(disbursement, payout);
+    await disbursement.save();
+  }
+
+  const waiting = loan.status === 'approved' && String(loan.disbursementId) === String(disbursement._id);
+  if (disbursement.status === 'processed' && waiting) {
+    await completeDisbursement(loan, disbursement, admin);
+  } else if (disbursement.status === 'failed') {
+    await releaseLoan(loan, disbursement);
+  }
+  return disbursement;
+};
+
+module.exports = {
+  DISBURSEMENT_MODES,
+  disburseLoan,
+  refreshDisbursement
+};
@@ -1,35 +1,46 @@
 const EMI = require('../models/EMI');
 const Loan = require('../models/Loan');
+const { getInstallmentCount, getDueDate, buildInstallments } = require('./repaymentSchedule');
+const { spreadScheduledCharges, priceLateFee } = require('./charges');
+const { getDaysOverdue, calculateLoanPenalties } = require('./penalty');
+const { PAYABLE_EMI_STATUSES, getComponentDue, getOutstanding } = require('./paymentAllocation');
+const { postLateCharges } = require('./ledger');
 
 /**
- * Generate EMI schedule for an approved loan
- * @param {Object} loan - The approved loan document
+ * Generate EMI schedule for a disbursed loan
+ * One EMI per installment period (day, week, fortnight or month) from the loan's repaymentFrequency
+ * @param {Object} loan - The disbursed loan document (its session, if any, is used for the writes)
+ * @param {Date} disbursedAt - When the money was sent; the schedule counts from this date
  * @returns {Array} Array of EMI documents
  */
-const generateEMISchedule = async (loan) => {
+const generateEMISchedule = async (loan, disbursedAt = new Date()) => {
   const emis = [];
-  // Start from next day (not same day)
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() + 1);
-  startDate.setHours(0, 0, 0, 0);
-
-  const totalInterest = loan.amount * 0.20; // 20% of total amount
-  const dailyPrincipal = Math.ceil(loan.amount / loan.totalDays);
-  const dailyInterest = Math.ceil(totalInterest / loan.totalDays);
-
-  for (let day = 1; day <= loan.totalDays; day++) {
-    const dueDate = new Date(startDate);
-    dueDate.setDate(startDate.getDate() + day - 1);
+  const frequency = loan.repaymentFrequency || 'daily';
+  // First installment falls one period after disbursement (not same day)
+  const baseDate = new Date(disbursedAt);
+  baseDate.setHours(0, 0, 0, 0);
+
+  const installments = buildInstallments({
+    amount: loan.amount,
+    interestRate: loan.interestRate,
+    installmentCount: getInstallmentCount(loan.totalDays, frequency),
+    interestMethod: loan.interestMethod
+  });
+  const fees = spreadScheduledCharges(loan, installments.length);
 
+  for (let n = 1; n <= installments.length; n++) {
+    const { principal, interest, total } = installments[n - 1];
+    const fee = fees[n - 1];
     const emi = new EMI({
       loanId: loan._id,
       userId: loan.userId,
-      dayNumber: day,
-      principalAmount: dailyPrincipal,
-      interestAmount: dailyInterest,
+      installmentNumber: n,
+      principalAmount: principal,
+      interestAmount: interest,
+      feeAmount: fee,
       penaltyAmount: 0,
-      totalAmount: dailyPrincipal + dailyInterest,
-      dueDate: dueDate,
+      totalAmount: total + fee,
+      dueDate: getDueDate(baseDate, frequency, n),
       status: 'pending'
     });
 
@@ -37,14 +48,11 @@ const generateEMISchedule = async (loan) => {
   }
 
   // Bulk insert EMIs
-  await EMI.insertMany(emis);
+  await EMI.insertMany(emis, { session: loan.$session() });
 
   // Update loan start and end dates
-  loan.startDate = startDate;
-  const endDate = new Date(startDate);
-  endDate.setDate(startDate.getDate() + loan.totalDays - 1);
-  loan.endDate = endDate;
-  loan.approvedAt = new Date();
+  loan.startDate = emis[0].dueDate;
+  loan.endDate = emis[emis.length - 1].dueDate;
   await loan.save();
 
   return emis;
@@ -60,43 +68,68 @@ const processOverdueEMIs = async () => {
 
   // Find all EMIs that are NOT paid and are past their due date
   const lateEMIs = await EMI.find({
-    status: { $in: ['pending', 'overdue'] },
+    status: { $in: PAYABLE_EMI_STATUSES },
     dueDate: { $lt: today }
   });
 
-  let processedCount = 0;
-
-  for (const emi of lateEMIs) {
-    const oldPenalty = emi.penaltyAmount || 0;
-
-    // Mark as overdue if it was pending
-    emi.status = 'overdue';
-
-    // Calculate days overdue
-    // If due 12th and today is 13th -> 1 day overdue
-    // If due 12th and today is 15th -> 3 days overdue
-    const diffTime = today.getTime() - emi.dueDate.getTime();
-    const daysOverdue = Math.round(diffTime / (24 * 60 * 60 * 1000));
-
-    // Avoid processing if somehow difference is 0 or less
-    if (daysOverdue <= 0) continue;
+  // Penalty caps apply per loan, so work loan by loan
+  const byLoan = new Map();
+  lateEMIs.forEach(emi => {
+    const loanKey = emi.loanId.toString();
+    if (!byLoan.has(loanKey)) byLoan.set(loanKey, []);
+    byLoan.get(loanKey).push(emi);
+  });
 
-    // Penalty is interest amount * per day late
-    const penaltyPerDay = emi.interestAmount;
-    const newPenalty = penaltyPerDay * daysOverdue;
+  let processedCount = 0;
 
-    // Only update if the penalty has actually increased (to avoid issues with multiple runs)
-    if (newPenalty > oldPenalty) {
-      const delta = newPenalty - oldPenalty;
-      emi.penaltyAmount = newPenalty;
-      emi.totalAmount = emi.principalAmount + emi.interestAmount + newPenalty;
-      await emi.save();
+  for (const [loanId, emis] of byLoan) {
+    const loan = await Loan.findById(loanId).select('userId status penaltyPolicy penaltyAmount penaltyWaived charges');
+    // Written-off loans stop accruing penalties
+    if (!loan || loan.status !== 'active') continue;
+    const graceDays = loan.penaltyPolicy?.graceDays || 0;
+
+    let penaltyDelta = 0;
+    let lateFees = 0;
+    const lateFeeSplit = { amount: 0, taxAmount: 0 };
+
+    for (const { emi, accrued, penalty, delta } of calculateLoanPenalties(loan, emis, today)) {
+      // Mark as overdue if it was pending (part-paid EMIs stay partially_paid)
+      if (emi.status === 'pending') emi.status = 'overdue';
+
+      // Late-payment charges are added once, when the EMI first goes past its grace period
+      let lateFee = 0;
+      if (getDaysOverdue(emi.dueDate, today) > graceDays && !emi.lateFeeChargedAt) {
+        const priced = priceLateFee(loan, emi);
+        lateFee = priced.total;
+        if (lateFee > 0) {
+          emi.lateFeeChargedAt = new Date();
+          lateFeeSplit.amount += priced.amount;
+          lateFeeSplit.taxAmount += priced.taxAmount;
+        }
+      }
+
+      // Only update if the penalty has actually increased (to avoid issues with multiple runs)
+      if (delta > 0 || lateFee > 0) {
+        emi.penaltyAccrued = accrued;
+        emi.penaltyAmount = penalty;
+        emi.feeAmount = (emi.feeAmount || 0) + lateFee;
+        emi.totalAmount = emi.principalAmount + emi.interestAmount + emi.feeAmount + emi.penaltyAmount;
+        await emi.save();
+        penaltyDelta += delta;
+        lateFees += lateFee;
+        processedCount++;
+      } else if (emi.isModified('status')) {
+        // Still within the grace period (or capped) - only the status changes
+        await emi.save();
+      }
+    }
 
-      // Update loan level penalty total
-      await Loan.findByIdAndUpdate(emi.loanId, {
-        $inc: { penaltyAmount: delta }
+    // Update loan level penalty and fee totals
+    if (penaltyDelta > 0 || lateFees > 0) {
+      await Loan.findByIdAndUpdate(loanId, {
+        $inc: { penaltyAmount: penaltyDelta, lateFeeAmount: lateFees }
       });
-      processedCount++;
+      await postLateCharges(loan, penaltyDelta, lateFeeSplit);
     }
   }
 
@@ -110,19 +143,43 @@ const processOverdueEMIs = async () => {
  * @returns {Object} Loan statistics
  */
 const getLoanStats = async (loanId) => {
-  const emis = await EMI.find({ loanId });
+  // Superseded EMIs belong to an older schedule version and are no longer payable
+  const emis = await EMI.find({ loanId, status: { $ne: 'superseded' } });
 
   const stats = {
     totalEMIs: emis.length,
     paidEMIs: 0,
     pendingEMIs: 0,
     overdueEMIs: 0,
+    partiallyPaidEMIs: 0,
+    closedEMIs: 0,
     totalPaid: 0,
     totalPending: 0,
-    totalPenalty: 0
+    totalPenalty: 0,
+    // Principal/interest split - differs from an even split on reducing-balance loans
+    principalPaid: 0,
+    interestPaid: 0,
+    outstandingPrincipal: 0,
+    outstandingInterest: 0,
+    feesPaid: 0,
+    outstandingFees: 0
   };
 
   emis.forEach(emi => {
+    // Money received counts whatever the status, including part-payments
+    stats.principalPaid += emi.principalPaid || 0;
+    stats.interestPaid += emi.interestPaid || 0;
+    stats.feesPaid += emi.feePaid || 0;
+
+    if (emi.status === 'closed') {
+      // Settled by foreclosure - the payment is on the loan, not the EMI
+      stats.closedEMIs++;
+    } else if (emi.status !== 'paid') {
+      stats.outstandingPrincipal += getComponentDue(emi, 'principal');
+      stats.outstandingInterest += getComponentDue(emi, 'interest');
+      stats.outstandingFees += getComponentDue(emi, 'fee');
+    }
+
     if (emi.status === 'paid') {
       stats.paidEMIs++;
       stats.totalPaid += emi.totalAmount;
@@ -133,6 +190,11 @@ const getLoanStats = async (loanId) => {
       stats.overdueEMIs++;
       stats.totalPending += emi.totalAmount;
       stats.totalPenalty += emi.penaltyAmount;
+    } else if (emi.status === 'partially_paid') {
+      stats.partiallyPaidEMIs++;
+      stats.totalPaid += emi.paidAmount || 0;
+      stats.totalPending += getOutstanding(emi);
+      stats.totalPenalty += getComponentDue(emi, 'penalty');
     }
   });
 
@@ -0,0 +1,218 @@
+const Loan = require('../models/Loan');
+const EMI = require('../models/EMI');
+const Mandate = require('../models/Mandate');
+const Notification = require('../models/Notification');
+const { percentOf, formatINR } = require('../utils/money');
+const { transitionLoan } = require('./loanStatus');
+const { calculateLoanPenalties } = require('./penalty');
+const { PAYABLE_EMI_STATUSES, getComponentDue } = require('./paymentAllocation');
+const { postForeclosure } = require('./ledger');
+const { recordCapture } = require('./paymentRecords');
+const { getPaymentGateway } = require('./gateways');
+const { cancelMandate, cancelPendingReplacements } = require('./mandates');
+
+/**
+ * Calculate the amount needed to close a loan today
+ * Interest on installments due today or earlier counts as accrued; later installments'
+ * interest is waived when the loan's foreclosure policy says so.
+ * @param {Object} loan - Approved loan document
+ * @returns {Object} Quote with breakdown (all amounts in paise)
+ */
+const getForeclosureQuote = async (loan) => {
+  const policy = loan.foreclosurePolicy || {};
+  const unpaidEMIs = await EMI.find({
+    loanId: loan._id,
+    status: { $in: PAYABLE_EMI_STATUSES }
+  }).sort({ installmentNumber: 1 });
+
+  const endOfToday = new Date();
+  endOfToday.setHours(23, 59, 59, 999);
+
+  let outstandingPrincipal = 0;
+  let accruedInterest = 0;
+  let unaccruedInterest = 0;
+  let penalties = 0;
+  let charges = 0;
+
+  // Penalties as of today, even if the overdue job has not run yet
+  // Part-paid EMIs only count what is still owed
+  calculateLoanPenalties(loan, unpaidEMIs).forEach(({ emi, penalty }) => {
+    outstandingPrincipal += getComponentDue(emi, 'principal');
+    penalties += Math.max(0, penalty - (emi.penaltyPaid || 0));
+    charges += getComponentDue(emi, 'fee');
+    if (emi.dueDate <= endOfToday) {
+      accruedInterest += getComponentDue(emi, 'interest');
+    } else {
+      unaccruedInterest += getComponentDue(emi, 'interest');
+    }
+  });
+
+  const waiveUnaccrued = policy.waiveUnaccruedInterest !== false;
+  const includePenalties = policy.includePenalties !== false;
+  const interestDue = accruedInterest + (waiveUnaccrued ? 0 : unaccruedInterest);
+  const penaltiesDue = includePenalties ? penalties : 0;
+  const foreclosureFee = policy.feeType === 'fixed'
+    ? (policy.feeValue || 0)
+    : percentOf(outstandingPrincipal, policy.feeValue || 0);
+
+  return {
+    loanId: loan._id,
+    emiCount: unpaidEMIs.length,
+    outstandingPrincipal,
+    accruedInterest,
+    unaccruedInterest,
+    interestDue,
+    interestWaived: unaccruedInterest + accruedInterest - interestDue,
+    penalties,
+    penaltiesDue,
+    penaltiesWaived: penalties - penaltiesDue,
+    // Scheduled and late-payment charges not yet collected
+    chargesDue: charges,
+    foreclosureFee,
+    totalAmount: outstandingPrincipal + interestDue + penaltiesDue + charges + foreclosureFee,
+    generatedAt: new Date(),
+    // Interest accrual and penalties change at midnight
+    validUntil: endOfToday
+  };
+};
+
+/**
+ * The loan's stored foreclosure quote while it still stands - it has not expired and no EMI
+ * has changed since it was generated (a payment, waiver, refund, restructure or the overdue
+ * job) - otherwise a fresh one
+ * @param {Object} loan - Active loan document
+ * @returns {Object} Quote (all amounts in paise)
+ */
+const getCurrentQuote = async (loan) => {
+  const quote = loan.foreclosure?.quote;
+  if (quote && new Date(quote.validUntil) >= new Date()) {
+    const changed = await EMI.exists({ loanId: loan._id, updatedAt: { $gt: new Date(quote.generatedAt) } });
+    if (!changed) return quote;
+  }
+  return getForeclosureQuote(loan);
+};
+
+/**
+ * Whether an order was issued for foreclosing the loan (the latest or an earlier one)
+ * @param {Object} loan - Loan document
+ * @param {String} orderId - Gateway order id
+ * @returns {Boolean}
+ */
+const isForeclosureOrder = (loan, orderId) =>
+  loan.foreclosure.orderId === orderId || (loan.foreclosure.orderIds || []).includes(orderId);
+
+/**
+ * Close a loan after its foreclosure amount has been paid
+ * Remaining EMIs are marked closed (not paid) so the schedule shows how the loan ended.
+ * The loan is claimed for the payment (foreclosure.paymentId) first, so the client's /verify
+ * racing the webhook settles it only once.
+ * @param {Object} loan - Loan document
+ * @param {Object} payment - { paymentId, amount, paidBy, paidById, gateway, orderId, method, gatewayResponse }
+ * @returns {Object|null} Updated loan, or null if the loan was no longer active or another
+ *   payment had already claimed it
+ */
+const settleForeclosure = async (loan, { paymentId, amount, paidBy, paidById, gateway = 'razorpay', orderId = null, method = null, gatewayResponse = null }) => {
+  const claimed = await Loan.findOneAndUpdate(
+    { _id: loan._id, status: 'active', 'foreclosure.paymentId': null },
+    { 'foreclosure.paymentId': paymentId }
+  );
+  if (!claimed) return null;
+
+  const now = new Date();
+  let unpaid;
+  let result;
+  try {
+    unpaid = await EMI.find({ loanId: loan._id, status: { $in: PAYABLE_EMI_STATUSES } }).select('_id');
+    result = await EMI.updateMany(
+      { _id: { $in: unpaid.map(e => e._id) } },
+      { status: 'closed', paidAt: now }
+    );
+
+    loan.totalPaid += amount;
+    loan.remainingBalance = 0;
+    transitionLoan(loan, 'closed', { by: paidById, reason: 'Foreclosed' });
+    loan.closureReason = 'foreclosed';
+    loan.closedAt = now;
+    loan.foreclosure.paymentId = paymentId;
+    loan.foreclosure.amountPaid = amount;
+    loan.foreclosure.settledAt = now;
+    await loan.save();
+  } catch (error) {
+    // Let the payment be settled again (e.g. by the webhook's retry)
+    await Loan.updateOne({ _id: loan._id, status: 'active', 'foreclosure.paymentId': paymentId }, { 'foreclosure.paymentId': null });
+    throw error;
+  }
+
+  await postForeclosure(loan, {
+    amount,
+    foreclosureFee: loan.foreclosure.quote?.foreclosureFee || 0,
+    paymentId,
+    by: paidById
+  });
+
+  await recordCapture({
+    userId: loan.userId,
+    loanId: loan._id,
+    purpose: 'foreclosure',
+    gateway,
+    amount,
+    orderId,
+    gatewayPaymentId: paymentId,
+    paymentId,
+    method,
+    gatewayResponse,
+    emiIds: unpaid.map(e => e._id)
+  });
+
+  const notif = await Notification.create({
+    type: 'loan_foreclosed',
+    forAdmin: true,
+    userId: loan.userId,
+    loanId: loan._id,
+    title: 'Loan Foreclosed',
+    body: `${paidBy || loan.applicantName} closed their loan early with ${formatINR(amount)} (${result.modifiedCount} EMI(s) closed)`,
+  });
+
+  const { emitNotification } = require('../socket');
+  await emitNotification(notif);
+
+  return loan;
+};
+
+/**
+ * A foreclosed loan has nothing left to collect - stop its autopay mandate or subscription
+ * Failures are logged, not thrown: the loan is already closed either way.
+ * @param {Object} loan - Loan document
+ */
+const cancelAutopayAfterClosure = async (loan) => {
+  if (!['pending', 'active', 'paused', 'halted'].includes(loan.autopayStatus)) return;
+  try {
+    await cancelPendingReplacements(loan);
+    if (loan.autopayMandateId) {
+      const mandate = await Mandate.findById(loan.autopayMandateId);
+      if (mandate && mandate.status !== 'cancelled') {
+        await cancelMandate(mandate);
+      }
+      return;
+    }
+    if (!loan.razorpaySubscriptionId) return;
+
+    const gateway = getPaymentGateway(loan.autopayGateway);
+    if (gateway.isConfigured()) {
+      await gateway.cancelSubscription(loan.razorpaySubscriptionId);
+    }
+    loan.autopayEnabled = false;
+    loan.autopayStatus = 'cancelled';
+    await loan.save();
+  } catch (error) {
+    console.error('Cancel autopay after foreclosure error:', error);
+  }
+};
+
+module.exports = {
+  getForeclosureQuote,
+  getCurrentQuote,
+  isForeclosureOrder,
+  settleForeclosure,
+  cancelAutopayAfterClosure
+};
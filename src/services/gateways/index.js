@@ -0,0 +1,68 @@
+// Payment gateways take money from borrowers. Each gateway exposes (amounts in paise):
+//   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency, raw }
+//   verifyPaymentSignature({ orderId, paymentId, signature }) -> Boolean (checkout result)
+//   verifySubscriptionSignature({ subscriptionId, paymentId, signature }) -> Boolean (mandate authorization)
+//   fetchPayment(id) -> { id, orderId, amount, status, method, errorCode, errorDescription, createdAt, notes, raw }
+//   listPayments({ from, to }) -> every payment created in [from, to), in the fetchPayment shape
+//   refund(paymentId, { amount, notes }) -> { id, paymentId, amount, status, raw }
+//   createSubscription({ customerId, customer: { name, contact, email }, plan: { period, interval,
+//     amount, name, description }, totalCount, notes }) -> { id, customerId, planId, status, shortUrl, raw }
+//   cancelSubscription(id) / fetchSubscription(id) / pauseSubscription(id) / resumeSubscription(id) -> { id, status, raw }
+//   createMandate({ customerId, customer, method: 'upi' | 'emandate', amount, maxAmount, expireAt, receipt, notes })
+//     -> { id, customerId, amount, currency, raw } - the order the borrower pays to authorize a mandate
+//   fetchMandateToken(paymentId) -> { token, method, raw } - the token an authorization payment created
+//   fetchMandate({ customerId, token }) -> { token, status: pending / confirmed / paused / rejected / cancelled, raw }
+//   chargeMandate({ customerId, token, amount, customer, receipt, description, notes })
+//     -> { order: createOrder's shape, paymentId }; the outcome arrives as payment.captured / payment.failed
+//   cancelMandate({ customerId, token })
+//   verifyWebhook(rawBody, headers) -> Boolean
+//   webhookEventId(headers) -> the gateway's id for the delivery, or null
+//   normalizeWebhookEvent(body) -> { type, payment, subscription: { id, loanId, status }, refund: { id, paymentId, amount, status },
+//     token: { id, status (as fetchMandate, or null) } } with type one of payment.captured, payment.failed, order.paid,
+//     refund.processed, subscription.charged / activated / pending / halted / paused / resumed / cancelled,
+//     token.confirmed / rejected / paused / cancelled
+// Orders and subscriptions remember the gateway that created them, so several can be live at
+// once. New ones use PAYMENT_GATEWAY; without it, Razorpay. The mock takes no real money, so it
+// is only used when PAYMENT_GATEWAY=mock is set explicitly, and never in production.
+
+const razorpayGateway = require('./razorpay');
+const mockGateway = require('./mock');
+
+const gateways = {
+  razorpay: razorpayGateway,
+  mock: mockGateway
+};
+
+/**
+ * Whether the mock gateway (and everything that pays through it: /api/mock-gateway, the
+ * /simulate routes, /api/webhooks/mock) is enabled
+ * @returns {Boolean}
+ */
+const isMockGatewayEnabled = () => mockGateway.isConfigured();
+
+/**
+ * Get a payment gateway
+ * @param {String} name - Gateway name (defaults to the configured one)
+ * @returns {Object} Gateway with a name and the functions above
+ */
+const getPaymentGateway = (name = null) => {
+  const selected = name || process.env.PAYMENT_GATEWAY || 'razorpay';
+  const gateway = gateways[selected];
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${selected}`);
+  }
+  // Looking up the gateway of an existing order is fine; taking new payments on the mock is not
+  if (!name && gateway === mockGateway && !isMockGatewayEnabled()) {
+    throw new Error('The mock payment gateway needs MOCK_GATEWAY_KEY_SECRET and MOCK_GATEWAY_WEBHOOK_SECRET, and cannot be used in production');
+  }
+  return gateway;
+};
+
+/**
+ * Whether a gateway with this name exists
+ * @param {String} name - Gateway name
+ * @returns {Boolean}
+ */
+const isPaymentGateway = (name) => Object.prototype.hasOwnProperty.call(gateways, name);
+
+module.exports = { getPaymentGateway, isPaymentGateway, isMockGatewayEnabled };
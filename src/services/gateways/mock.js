@@ -0,0 +1,470 @@
+const crypto = require('crypto');
+
+// Local stand-in for a real payment gateway, for development and staging. It signs checkout
+// results and webhooks the way Razorpay does and delivers webhooks to /api/webhooks/mock, so
+// the app runs its real verify and webhook code. Orders, payments and subscriptions live in
+// memory and are forgotten on restart. Checkouts and subscription charges succeed unless
+// asked to fail (outcome: 'failure'); three failed charges in a row halt a subscription.
+// Mandate debits succeed unless failMandateDebits has queued failures for the token.
+// It takes no real money, so it is only enabled with PAYMENT_GATEWAY=mock and both
+// MOCK_GATEWAY_*_SECRETs set, and never when NODE_ENV=production.
+const orders = new Map();
+const payments = new Map();
+const subscriptions = new Map();
+const mandates = new Map();
+
+const MAX_CHARGE_FAILURES = 3;
+
+const requireEnv = (name) => {
+  if (!process.env[name]) {
+    throw new Error(`${name} not configured`);
+  }
+  return process.env[name];
+};
+const keySecret = () => requireEnv('MOCK_GATEWAY_KEY_SECRET');
+const webhookSecret = () => requireEnv('MOCK_GATEWAY_WEBHOOK_SECRET');
+
+const isEnabled = () => process.env.PAYMENT_GATEWAY === 'mock' &&
+  process.env.NODE_ENV !== 'production' &&
+  Boolean(process.env.MOCK_GATEWAY_KEY_SECRET && process.env.MOCK_GATEWAY_WEBHOOK_SECRET);
+
+const hmac = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+const newId = (prefix) => `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+
+const publicPayment = (payment) => ({ ...payment, raw: { ...payment } });
+
+// Webhooks go out after a short delay, like the real thing, and are retried a few times
+const deliverWebhook = (event, entities) => {
+  if (process.env.MOCK_GATEWAY_WEBHOOKS === 'off') return;
+
+  const url = process.env.MOCK_GATEWAY_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/webhooks/mock`;
+  const body = JSON.stringify({ event, created_at: Math.floor(Date.now() / 1000), ...entities });
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-mock-signature': hmac(webhookSecret(), body),
+    'x-mock-event-id': newId('evt')
+  };
+  const delay = parseInt(process.env.MOCK_GATEWAY_WEBHOOK_DELAY_MS || '1000');
+
+  const send = async (attempt) => {
+    try {
+      const response = await fetch(url, { method: 'POST', headers, body });
+      if (response.ok) return;
+      throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      if (attempt >= 3) {
+        console.error(`Mock gateway: giving up on ${event} webhook:`, error.message);
+        return;
+      }
+      setTimeout(() => send(attempt + 1), delay * 2 ** attempt);
+    }
+  };
+  setTimeout(() => send(1), delay);
+};
+
+const subscriptionEntity = (subscription) => ({
+  id: subscription.id,
+  loanId: subscription.notes.loanId || null,
+  status: subscription.status
+});
+
+const createOrder = async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+  const order = { id: newId('order'), amount, currency, receipt, notes, status: 'created', attempts: 0 };
+  orders.set(order.id, order);
+  return { id: order.id, amount, currency, raw: { ...order } };
+};
+
+const verifyPaymentSignature = ({ orderId, paymentId, signature }) =>
+  hmac(keySecret(), `${orderId}|${paymentId}`) === signature;
+
+const verifySubscriptionSignature = ({ subscriptionId, paymentId, signature }) =>
+  hmac(keySecret(), `${paymentId}|${subscriptionId}`) === signature;
+
+const fetchPayment = async (id) => {
+  const payment = payments.get(id);
+  if (!payment) {
+    throw new Error(`Mock payment ${id} not found`);
+  }
+  return publicPayment(payment);
+};
+
+const listPayments = async ({ from, to }) => [...payments.values()]
+  .filter(payment => payment.createdAt >= from && payment.createdAt < to)
+  .map(publicPayment);
+
+const refund = async (paymentId, { amount }) => {
+  const payment = payments.get(paymentId);
+  if (!payment || payment.status !== 'captured') {
+    throw new Error(`Mock payment ${paymentId} cannot be refunded`);
+  }
+  if (amount > payment.amount - payment.amountRefunded) {
+    throw new Error('Refund amount is more than the amount left to refund');
+  }
+
+  payment.amountRefunded += amount;
+  if (payment.amountRefunded === payment.amount) payment.status = 'refunded';
+  const result = { id: newId('rfnd'), paymentId, amount, status: 'processed' };
+  deliverWebhook('refund.processed', { refund: result });
+  return { ...result, raw: { ...result } };
+};
+
+const createSubscription = async ({ customerId, plan, totalCount, notes = {} }) => {
+  const subscription = {
+    id: newId('sub'),
+    customerId: customerId || newId('cust'),
+    planId: newId('plan'),
+    amount: plan.amount,
+    totalCount,
+    paidCount: 0,
+    failures: 0,
+    notes,
+    status: 'created'
+  };
+  subscriptions.set(subscription.id, subscription);
+
+  return {
+    id: subscription.id,
+    customerId: subscription.customerId,
+    planId: subscription.planId,
+    status: subscription.status,
+    // No hosted page - authorize with POST /api/mock-gateway/subscriptions/:id/authorize
+    shortUrl: null,
+    raw: { ...subscription }
+  };
+};
+
+const getSubscription = (id) => {
+  const subscription = subscriptions.get(id);
+  if (!subscription) {
+    throw new Error(`Mock subscription ${id} not found`);
+  }
+  return subscription;
+};
+
+const createMandate = async ({ customerId, method, amount, maxAmount, expireAt, receipt, notes = {} }) => {
+  const order = {
+    id: newId('order'),
+    amount,
+    currency: 'INR',
+    receipt,
+    notes,
+    status: 'created',
+    attempts: 0,
+    mandate: { customerId: customerId || newId('cust'), method, maxAmount, expireAt }
+  };
+  orders.set(order.id, order);
+  return { id: order.id, customerId: order.mandate.customerId, amount, currency: 'INR', raw: { ...order } };
+};
+
+const fetchMandateToken = async (paymentId) => {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw new Error(`Mock payment ${paymentId} not found`);
+  }
+  return { token: payment.tokenId || null, method: payment.method, raw: { ...payment } };
+};
+
+const getMandate = (token) => {
+  const mandate = mandates.get(token);
+  if (!mandate) {
+    throw new Error(`Mock mandate ${token} not found`);
+  }
+  return mandate;
+};
+
+const fetchMandate = async ({ token }) => {
+  const mandate = getMandate(token);
+  return { token, status: mandate.status, raw: { ...mandate } };
+};
+
+// Debits settle after the webhook delay, as a bank debit would
+const chargeMandate = async ({ token, amount, receipt, notes = {} }) => {
+  const mandate = getMandate(token);
+  if (mandate.status !== 'confirmed') {
+    throw new Error(`Mock mandate ${token} is ${mandate.status}`);
+  }
+  if (amount > mandate.maxAmount) {
+    throw new Error('Debit is more than the mandate allows');
+  }
+
+  const order = await createOrder({ amount, receipt, notes });
+  const payment = {
+    id: newId('pay'),
+    orderId: order.id,
+    amount,
+    status: 'captured',
+    method: mandate.method,
+    errorCode: null,
+    errorDescription: null,
+    amountRefunded: 0,
+    createdAt: new Date(),
+    notes,
+    tokenId: token
+  };
+  payments.set(payment.id, payment);
+  orders.get(order.id).attempts += 1;
+
+  if (mandate.failuresQueued > 0) {
+    mandate.failuresQueued -= 1;
+    payment.status = 'failed';
+    payment.errorCode = 'BAD_REQUEST_ERROR';
+    payment.errorDescription = 'Insufficient balance in the account (mock)';
+    deliverWebhook('payment.failed', { payment: { ...payment } });
+  } else {
+    orders.get(order.id).status = 'paid';
+    deliverWebhook('payment.captured', { payment: { ...payment } });
+  }
+  return { order, paymentId: payment.id };
+};
+
+const cancelMandate = async ({ token }) => {
+  getMandate(token).status = 'cancelled';
+};
+
+const cancelSubscription = async (id) => {
+  const subscription = getSubscription(id);
+  subscription.status = 'cancelled';
+  deliverWebhook('subscription.cancelled', { subscription: subscriptionEntity(subscription) });
+  return { id, status: subscription.status, raw: { ...subscription } };
+};
+
+const fetchSubscription = async (id) => {
+  const subscription = getSubscription(id);
+  return { id, status: subscription.status, raw: { ...subscription } };
+};
+
+const pauseSubscription = async (id) => {
+  const subscription = getSubscription(id);
+  if (subscription.status !== 'active') {
+    throw new Error(`Mock subscription ${id} is ${subscription.status}`);
+  }
+  subscription.status = 'paused';
+  deliverWebhook('subscription.paused', { subscription: subscriptionEntity(subscription) });
+  return { id, status: subscription.status, raw: { ...subscription } };
+};
+
+const resumeSubscription = async (id) => {
+  const subscription = getSubscription(id);
+  if (subscription.status !== 'paused') {
+    throw new Error(`Mock subscription ${id} is ${subscription.status}`);
+  }
+  subscription.status = 'active';
+  deliverWebhook('subscription.resumed', { subscription: subscriptionEntity(subscription) });
+  return { id, status: subscription.status, raw: { ...subscription } };
+};
+
+const verifyWebhook = (rawBody, headers) => {
+  const signature = headers['x-mock-signature'];
+  return Boolean(signature) && hmac(webhookSecret(), rawBody) === signature;
+};
+
+const webhookEventId = (headers) => headers['x-mock-event-id'] || null;
+
+// Mock webhooks are sent already in the normalized shape
+const normalizeWebhookEvent = (body) => ({
+  type: body.event,
+  payment: body.payment ? publicPayment(body.payment) : null,
+  subscription: body.subscription || null,
+  refund: body.refund || null,
+  token: body.token || null
+});
+
+/**
+ * Pay an order the way the checkout would: succeeds with a signed result, or fails with the
+ * checkout's error shape. Either way the matching webhooks follow.
+ * @param {String} orderId - Mock order id
+ * @param {Object} options - { outcome: 'success' | 'failure', method, paymentId }
+ *   paymentId lets a caller that retries (e.g. /simulate with an Idempotency-Key) fix the id
+ * @returns {Object} { razorpay_order_id, razorpay_payment_id, razorpay_signature } or { error }
+ */
+const completeCheckout = (orderId, { outcome = 'success', method = 'upi', paymentId = null } = {}) => {
+  const order = orders.get(orderId);
+  if (!order) {
+    throw new Error(`Mock order ${orderId} not found`);
+  }
+  if (order.status === 'paid') {
+    throw new Error(`Mock order ${orderId} is already paid`);
+  }
+
+  order.attempts += 1;
+  const payment = {
+    id: paymentId || newId('pay'),
+    orderId,
+    amount: order.amount,
+    status: outcome === 'failure' ? 'failed' : 'captured',
+    method,
+    errorCode: null,
+    errorDescription: null,
+    amountRefunded: 0,
+    createdAt: new Date()
+  };
+  payments.set(payment.id, payment);
+
+  if (payment.status === 'failed') {
+    payment.errorCode = 'BAD_REQUEST_ERROR';
+    payment.errorDescription = 'Payment was declined by the bank (mock)';
+    deliverWebhook('payment.failed', { payment: { ...payment } });
+    return {
+      error: {
+        code: payment.errorCode,
+        description: payment.errorDescription,
+        metadata: { order_id: orderId, payment_id: payment.id }
+      }
+    };
+  }
+
+  order.status = 'paid';
+  deliverWebhook('payment.captured', { payment: { ...payment } });
+  deliverWebhook('order.paid', { payment: { ...payment } });
+  return {
+    razorpay_order_id: orderId,
+    razorpay_payment_id: payment.id,
+    razorpay_signature: hmac(keySecret(), `${orderId}|${payment.id}`)
+  };
+};
+
+/**
+ * Authorize a mandate as the borrower would in checkout: pays the authorization order and
+ * registers a confirmed token against it
+ * @param {String} orderId - Mock authorization order id (from createMandate)
+ * @returns {Object} { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ */
+const authorizeMandate = (orderId) => {
+  const order = orders.get(orderId);
+  if (!order?.mandate) {
+    throw new Error(`Mock mandate order ${orderId} not found`);
+  }
+
+  const result = completeCheckout(orderId, { method: order.mandate.method });
+  const token = newId('token');
+  mandates.set(token, { token, ...order.mandate, status: 'confirmed', failuresQueued: 0 });
+  payments.get(result.razorpay_payment_id).tokenId = token;
+  return result;
+};
+
+/**
+ * Make the next debits on a mandate fail, as an empty account would
+ * @param {String} token - Mock mandate token
+ * @param {Number} count - Debits to fail
+ * @returns {Object} The mandate
+ */
+const failMandateDebits = (token, count = 1) => {
+  const mandate = getMandate(token);
+  mandate.failuresQueued = count;
+  return { ...mandate };
+};
+
+/**
+ * Change a mandate at the bank, as the borrower pausing, resuming or revoking it in their
+ * UPI app would; the matching token webhook follows
+ * @param {String} token - Mock mandate token
+ * @param {String} status - confirmed, paused or cancelled
+ * @returns {Object} The mandate
+ */
+const setMandateAtBank = (token, status) => {
+  if (!['confirmed', 'paused', 'cancelled'].includes(status)) {
+    throw new Error('Mock mandate status must be confirmed, paused or cancelled');
+  }
+  const mandate = getMandate(token);
+  mandate.status = status;
+  deliverWebhook(`token.${status}`, { token: { id: token, status } });
+  return { ...mandate };
+};
+
+const chargeSubscriptionOnce = (subscription, outcome) => {
+  const payment = {
+    id: newId('pay'),
+    orderId: null,
+    amount: subscription.amount,
+    status: outcome === 'failure' ? 'failed' : 'captured',
+    method: 'emandate',
+    errorCode: null,
+    errorDescription: null,
+    amountRefunded: 0,
+    createdAt: new Date()
+  };
+  payments.set(payment.id, payment);
+
+  if (payment.status === 'failed') {
+    payment.errorCode = 'GATEWAY_ERROR';
+    payment.errorDescription = 'Mandate debit failed (mock)';
+    subscription.failures += 1;
+    subscription.status = subscription.failures >= MAX_CHARGE_FAILURES ? 'halted' : 'pending';
+    deliverWebhook('payment.failed', { payment: { ...payment } });
+    deliverWebhook(`subscription.${subscription.status}`, { subscription: subscriptionEntity(subscription) });
+    return payment;
+  }
+
+  subscription.failures = 0;
+  subscription.paidCount += 1;
+  if (subscription.paidCount >= subscription.totalCount) subscription.status = 'completed';
+  deliverWebhook('subscription.charged', { subscription: subscriptionEntity(subscription), payment: { ...payment } });
+  return payment;
+};
+
+/**
+ * Authorize a subscription's mandate, as the borrower would on the hosted page. The first
+ * charge is taken straight away.
+ * @param {String} subscriptionId - Mock subscription id
+ * @returns {Object} { razorpay_subscription_id, razorpay_payment_id, razorpay_signature }
+ */
+const authorizeSubscription = (subscriptionId) => {
+  const subscription = getSubscription(subscriptionId);
+  if (subscription.status !== 'created') {
+    throw new Error(`Mock subscription ${subscriptionId} is already ${subscription.status}`);
+  }
+
+  subscription.status = 'active';
+  deliverWebhook('subscription.activated', { subscription: subscriptionEntity(subscription) });
+  const payment = chargeSubscriptionOnce(subscription, 'success');
+
+  return {
+    razorpay_subscription_id: subscription.id,
+    razorpay_payment_id: payment.id,
+    razorpay_signature: hmac(keySecret(), `${payment.id}|${subscription.id}`)
+  };
+};
+
+/**
+ * Take the next charge on an authorized subscription (what the gateway does each billing cycle)
+ * @param {String} subscriptionId - Mock subscription id
+ * @param {Object} options - { outcome: 'success' | 'failure' }
+ * @returns {Object} The payment
+ */
+const chargeSubscription = (subscriptionId, { outcome = 'success' } = {}) => {
+  const subscription = getSubscription(subscriptionId);
+  if (!['active', 'pending'].includes(subscription.status)) {
+    throw new Error(`Mock subscription ${subscriptionId} is ${subscription.status}`);
+  }
+  return publicPayment(chargeSubscriptionOnce(subscription, outcome));
+};
+
+module.exports = {
+  name: 'mock',
+  isConfigured: isEnabled,
+  createOrder,
+  verifyPaymentSignature,
+  verifySubscriptionSignature,
+  fetchPayment,
+  listPayments,
+  refund,
+  createSubscription,
+  cancelSubscription,
+  fetchSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  createMandate,
+  fetchMandateToken,
+  fetchMandate,
+  chargeMandate,
+  cancelMandate,
+  verifyWebhook,
+  webhookEventId,
+  normalizeWebhookEvent,
+  completeCheckout,
+  authorizeSubscription,
+  chargeSubscription,
+  authorizeMandate,
+  failMandateDebits,
+  setMandateAtBank
+};
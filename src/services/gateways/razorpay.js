@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+// Check if we have valid Razorpay keys
+const hasValidRazorpayKeys = () => Boolean(process.env.RAZORPAY_KEY_ID &&
+  process.env.RAZORPAY_KEY_SECRET &&
+  process.env.RAZORPAY_KEY_ID.startsWith('rzp_'));
+
+let client = null;
+const getClient = () => {
+  if (!hasValidRazorpayKeys()) {
+    throw new Error('Razorpay not configured');
+  }
+  if (!client) {
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+  }
+  return client;
+};
+
+const hmac = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const toPayment = (payment) => ({
+  id: payment.id,
+  orderId: payment.order_id || null,
+  amount: payment.amount,
+  status: payment.status,
+  method: payment.method || null,
+  errorCode: payment.error_code || null,
+  errorDescription: payment.error_description || null,
+  createdAt: payment.created_at ? new Date(payment.created_at * 1000) : null,
+  notes: payment.notes || {},
+  raw: payment
+});
+
+const createOrder = async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+  const options = { amount, currency, receipt, notes };
+  // Use custom config to show UPI apps (PhonePe, GPay, Paytm) - set RAZORPAY_CHECKOUT_CONFIG_ID in .env
+  if (process.env.RAZORPAY_CHECKOUT_CONFIG_ID) {
+    options.checkout_config_id = process.env.RAZORPAY_CHECKOUT_CONFIG_ID;
+  }
+  const order = await getClient().orders.create(options);
+  return { id: order.id, amount: order.amount, currency: order.currency, raw: order };
+};
+
+const verifyPaymentSignature = ({ orderId, paymentId, signature }) =>
+  hmac(process.env.RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`) === signature;
+
+const verifySubscriptionSignature = ({ subscriptionId, paymentId, signature }) =>
+  hmac(process.env.RAZORPAY_KEY_SECRET, `${paymentId}|${subscriptionId}`) === signature;
+
+const fetchPayment = async (id) => toPayment(await getClient().payments.fetch(id));
+
+// Razorpay returns at most 100 payments a page
+const LIST_PAGE_SIZE = 100;
+
+const listPayments = async ({ from, to }) => {
+  const payments = [];
+  for (let skip = 0; ; skip += LIST_PAGE_SIZE) {
+    const page = await getClient().payments.all({
+      from: Math.floor(from.getTime() / 1000),
+      to: Math.floor(to.getTime() / 1000) - 1,
+      count: LIST_PAGE_SIZE,
+      skip
+    });
+    payments.push(...page.items.map(toPayment));
+    if (page.items.length < LIST_PAGE_SIZE) return payments;
+  }
+};
+
+const refund = async (paymentId, { amount, notes = {} }) => {
+  const result = await getClient().payments.refund(paymentId, { amount, notes });
+  return { id: result.id, paymentId: result.payment_id, amount: result.amount, status: result.status, raw: result };
+};
+
+const findOrCreateCustomer = async (customerId, customer, notes) => {
+  if (customerId) return customerId;
+  const created = await getClient().customers.create({
+    name: customer.name,
+    contact: customer.contact,
+    email: customer.email,
+    fail_existing: 0,
+    notes
+  });
+  return created.id;
+};
+
+// One customer per loan (reused when customerId is passed) and one plan per subscription
+const createSubscription = async ({ customerId, customer, plan, totalCount, notes = {} }) => {
+  const razorpay = getClient();
+
+  customerId = await findOrCreateCustomer(customerId, customer, notes);
+
+  const createdPlan = await razorpay.plans.create({
+    period: plan.period,
+    interval: plan.interval,
+    item: {
+      name: plan.name,
+      amount: plan.amount,
+      currency: 'INR',
+      description: plan.description
+    },
+    notes
+  });
+
+  const subscription = await razorpay.subscriptions.create({
+    plan_id: createdPlan.id,
+    customer_id: customerId,
+    total_count: totalCount,
+    quantity: 1,
+    customer_notify: 1,
+    notes
+  });
+
+  return {
+    id: subscription.id,
+    customerId,
+    planId: createdPlan.id,
+    status: subscription.status,
+    shortUrl: subscription.short_url,
+    raw: subscription
+  };
+};
+
+// Token statuses Razorpay reports while a mandate is being registered, in our terms
+const TOKEN_STATUSES = {
+  initiated: 'pending',
+  confirmed: 'confirmed',
+  rejected: 'rejected',
+  cancelled: 'cancelled',
+  paused: 'paused'
+};
+
+// Recurring (token) payments - the authorization order registers the mandate in checkout
+// (with customer_id and recurring: 1), later debits are made against its token
+const createMandate = async ({ customerId, customer, method, amount, maxAmount, expireAt, receipt, notes = {} }) => {
+  const customer_id = await findOrCreateCustomer(customerId, customer, notes);
+  const order = await getClient().orders.create({
+    amount,
+    currency: 'INR',
+    customer_id,
+    method,
+    receipt,
+    notes,
+    token: {
+      max_amount: maxAmount,
+      expire_at: Math.floor(expireAt.getTime() / 1000),
+      frequency: 'as_presented'
+    }
+  });
+  return { id: order.id, customerId: customer_id, amount: order.amount, currency: order.currency, raw: order };
+};
+
+const fetchMandateToken = async (paymentId) => {
+  const payment = await getClient().payments.fetch(paymentId);
+  return { token: payment.token_id || null, method: payment.method, raw: payment };
+};
+
+const fetchMandate = async ({ customerId, token }) => {
+  const result = await getClient().customers.fetchToken(customerId, token);
+  const status = result.recurring_details?.status || 'initiated';
+  return { token: result.id, status: TOKEN_STATUSES[status] || 'pending', raw: result };
+};
+
+const chargeMandate = async ({ customerId, token, amount, customer, receipt, description, notes = {} }) => {
+  const razorpay = getClient();
+  const order = await razorpay.orders.create({ amount, currency: 'INR', receipt, notes, payment_capture: true });
+  const result = await razorpay.payments.createRecurringPayment({
+    email: customer.email,
+    contact: customer.contact,
+    amount,
+    currency: 'INR',
+    order_id: order.id,
+    customer_id: customerId,
+    token,
+    recurring: '1',
+    description,
+    notes
+  });
+  // The debit's outcome arrives later as payment.captured or payment.failed
+  return {
+    order: { id: order.id, amount: order.amount, currency: order.currency, raw: order },
+    paymentId: result.razorpay_payment_id
+  };
+};
+
+const cancelMandate = async ({ customerId, token }) => {
+  await getClient().customers.deleteToken(customerId, token);
+};
+
+const cancelSubscription = async (id) => {
+  const subscription = await getClient().subscriptions.cancel(id);
+  return { id: subscription.id, status: subscription.status, raw: subscription };
+};
+
+const fetchSubscription = async (id) => {
+  const subscription = await getClient().subscriptions.fetch(id);
+  return { id: subscription.id, status: subscription.status, raw: subscription };
+};
+
+const pauseSubscription = async (id) => {
+  const subscription = await getClient().subscriptions.pause(id, { pause_at: 'now' });
+  return { id: subscription.id, status: subscription.status, raw: subscription };
+};
+
+const resumeSubscription = async (id) => {
+  const subscription = await getClient().subscriptions.resume(id, { resume_at: 'now' });
+  return { id: subscription.id, status: subscription.status, raw: subscription };
+};
+
+const verifyWebhook = (rawBody, headers) => {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+    throw new Error('RAZORPAY_WEBHOOK_SECRET not configured');
+  }
+  const signature = headers['x-razorpay-signature'];
+  return Boolean(signature) && hmac(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody) === signature;
+};
+
+const webhookEventId = (headers) => headers['x-razorpay-event-id'] || null;
+
+// Razorpay payloads carry each entity under payload.<name>.entity
+const normalizeWebhookEvent = (body) => {
+  const entities = body.payload || {};
+  const payment = entities.payment?.entity;
+  const subscription = entities.subscription?.entity;
+  const refundEntity = entities.refund?.entity;
+  const tokenEntity = entities.token?.entity;
+
+  return {
+    type: body.event,
+    payment: payment ? toPayment(payment) : null,
+    subscription: subscription ? { id: subscription.id, loanId: subscription.notes?.loanId || null, status: subscription.status } : null,
+    refund: refundEntity
+      ? { id: refundEntity.id, paymentId: refundEntity.payment_id, amount: refundEntity.amount, status: refundEntity.status }
+      : null,
+    token: tokenEntity
+      ? { id: tokenEntity.id, status: TOKEN_STATUSES[tokenEntity.recurring_details?.status] || null }
+      : null
+  };
+};
+
+module.exports = {
+  name: 'razorpay',
+  isConfigured: hasValidRazorpayKeys,
+  createOrder,
+  verifyPaymentSignature,
+  verifySubscriptionSignature,
+  fetchPayment,
+  listPayments,
+  refund,
+  createSubscription,
+  cancelSubscription,
+  fetchSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  createMandate,
+  fetchMandateToken,
+  fetchMandate,
+  chargeMandate,
+  cancelMandate,
+  verifyWebhook,
+  webhookEventId,
+  normalizeWebhookEvent
+};
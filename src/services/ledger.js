@@ -0,0 +1,372 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const { SCHEDULED_STATUSES } = require('./loanStatus');
+
+// Double-entry ledger for loan money. Every movement is posted as one balanced LedgerEntry
+// (see the model for the accounts); the Loan and EMI counters are kept for fast reads, and
+// verifyLoanLedger checks them against what the ledger says.
+
+// What the borrower owes, in the order receivables are cleared when a loan closes early
+const RECEIVABLES = ['penalty_receivable', 'fee_receivable', 'interest_receivable', 'loan_principal'];
+
+// Allocation components (see paymentAllocation) and the receivable each one pays down
+const COMPONENT_ACCOUNTS = {
+  penalty: 'penalty_receivable',
+  fee: 'fee_receivable',
+  interest: 'interest_receivable',
+  principal: 'loan_principal'
+};
+
+const debit = (account, amount) => ({ account, debit: amount, credit: 0 });
+const credit = (account, amount) => ({ account, debit: 0, credit: amount });
+
+/**
+ * Append an entry to a loan's ledger. Zero postings are dropped; nothing is written if
+ * no money moved.
+ * @param {Object} loan - Loan document
+ * @param {String} type - Entry type (see the LedgerEntry model)
+ * @param {Array} postings - [{ account, debit, credit }] in paise
+ * @param {Object} options - { reference, emiId, memo, by, session }
+ * @returns {Object|null} The LedgerEntry
+ */
+const postEntry = async (loan, type, postings, { reference = null, emiId = null, memo = '', by = null, session = null } = {}) => {
+  const lines = postings.filter(p => p.debit > 0 || p.credit > 0);
+  if (lines.length === 0) return null;
+
+  const [entry] = await LedgerEntry.create([{
+    loanId: loan._id,
+    userId: loan.userId,
+    type,
+    postings: lines,
+    reference: reference ? String(reference) : null,
+    emiId,
+    memo,
+    createdBy: by?._id || by || null
+  }], { session });
+  return entry;
+};
+
+// Fee and tax of the loan's disbursement charges collected one way
+const sumCharges = (loan, collectAt) => (loan.charges || [])
+  .filter(c => c.trigger === 'disbursement' && c.collectAt === collectAt)
+  .reduce((sum, c) => ({
+    amount: sum.amount + (c.amount || 0),
+    taxAmount: sum.taxAmount + (c.taxAmount || 0)
+  }), { amount: 0, taxAmount: 0 });
+
+/**
+ * Post a completed disbursement: the full principal becomes receivable, the net amount
+ * leaves as cash and upfront charges are earned straight away
+ * @param {Object} loan - Loan document
+ * @param {Object} disbursement - Processed Disbursement
+ * @param {Object} by - Admin (or null)
+ * @param {Object} options - { session }
+ */
+const postDisbursement = async (loan, disbursement, by = null, { session = null } = {}) => {
+  const upfront = sumCharges(loan, 'upfront');
+  await postEntry(loan, 'disbursement', [
+    debit('loan_principal', disbursement.amount),
+    credit('cash', disbursement.netAmount),
+    credit('fee_income', upfront.amount),
+    credit('tax_payable', upfront.taxAmount)
+  ], { reference: disbursement._id, memo: `Disbursed via ${disbursement.mode}`, by, session });
+};
+
+/**
+ * Post the interest and scheduled charges of a newly generated EMI schedule
+ * @param {Object} loan - Loan document
+ * @param {Array} emis - The schedule's EMIs
+ * @param {Object} by - Admin (or null)
+ * @param {Object} options - { session }
+ */
+const postScheduleAccruals = async (loan, emis, by = null, { session = null } = {}) => {
+  const interest = emis.reduce((sum, e) => sum + e.interestAmount, 0);
+  await postEntry(loan, 'interest_accrual', [
+    debit('interest_receivable', interest),
+    credit('interest_income', interest)
+  ], { memo: `Interest on ${emis.length} installment(s)`, by, session });
+
+  const scheduled = sumCharges(loan, 'schedule');
+  await postEntry(loan, 'fee', [
+    debit('fee_receivable', scheduled.amount + scheduled.taxAmount),
+    credit('fee_income', scheduled.amount),
+    credit('tax_payable', scheduled.taxAmount)
+  ], { memo: 'Charges collected with the EMIs', by, session });
+};
+
+/**
+ * Post penalties and late-payment fees added by the overdue job
+ * @param {Object} loan - Loan document
+ * @param {Number} penalty - New penalty in paise
+ * @param {Object} lateFee - { amount, taxAmount } in paise
+ */
+const postLateCharges = async (loan, penalty, lateFee = { amount: 0, taxAmount: 0 }) => {
+  await postEntry(loan, 'penalty', [
+    debit('penalty_receivable', penalty),
+    credit('penalty_income', penalty)
+  ], { memo: 'Late-payment penalty' });
+
+  await postEntry(loan, 'fee', [
+    debit('fee_receivable', lateFee.amount + lateFee.taxAmount),
+    credit('fee_income', lateFee.amount),
+    credit('tax_payable', lateFee.taxAmount)
+  ], { memo: 'Late-payment fee' });
+};
+
+/**
+ * Post money applied to a loan. Cash received above what was owed is held in the
+ * borrower's wallet; money taken from the wallet comes out of borrower_wallet instead of cash.
+ * @param {Object} loan - Loan document
+ * @param {Object} allocation - { penalty, fee, interest, principal, excess } in paise
+ * @param {Object} options - { paymentId, emiId, fromWallet, by, session }
+ */
+const postPayment = async (loan, allocation, { paymentId, emiId = null, fromWallet = false, by = null, session = null } = {}) => {
+  const applied = Object.keys(COMPONENT_ACCOUNTS).reduce((sum, c) => sum + (allocation[c] || 0), 0);
+  const excess = fromWallet ? 0 : (allocation.excess || 0);
+
+  await postEntry(loan, 'payment', [
+    debit(fromWallet ? 'borrower_wallet' : 'cash', applied + excess),
+    ...Object.entries(COMPONENT_ACCOUNTS).map(([c, account]) => credit(account, allocation[c] || 0)),
+    credit('borrower_wallet', excess)
+  ], { reference: paymentId, emiId, memo: fromWallet ? 'Paid from wallet' : '', by, session });
+};
+
+/**
+ * Post a refund or reversal of a payment: the components it paid are owed again and the
+ * money leaves as cash. Excess that sat in the borrower's wallet comes out of borrower_wallet;
+ * a payment made from the wallet goes back into it (toWallet).
+ * @param {Object} loan - Loan document
+ * @param {Object} reversal - { penalty, fee, interest, principal, excess } in paise
+ * @param {Object} options - { reference: refund id, paymentId, toWallet, by, session }
+ */
+const postRefund = async (loan, reversal, { reference, paymentId, toWallet = false, by = null, session = null } = {}) => {
+  const reversed = Object.keys(COMPONENT_ACCOUNTS).reduce((sum, c) => sum + (reversal[c] || 0), 0);
+  const excess = reversal.excess || 0;
+
+  await postEntry(loan, 'refund', [
+    ...Object.entries(COMPONENT_ACCOUNTS).map(([c, account]) => debit(account, reversal[c] || 0)),
+    debit('borrower_wallet', excess),
+    credit(toWallet ? 'borrower_wallet' : 'cash', reversed + excess)
+  ], { reference, memo: `Refund of payment ${paymentId}`, by, session });
+};
+
+/**
+ * Post a penalty waiver
+ * @param {Object} loan - Loan document
+ * @param {Number} amount - Paise waived
+ * @param {Object} options - { reference: waiver id, by, session }
+ */
+const postWaiver = async (loan, amount, { reference, by = null, session = null } = {}) => {
+  await postEntry(loan, 'waiver', [
+    debit('concessions', amount),
+    credit('penalty_receivable', amount)
+  ], { reference, memo: 'Penalty waived', by, session });
+};
+
+/**
+ * Post a restructure's change in scheduled interest
+ * @param {Object} loan - Loan document
+ * @param {Number} change - New interest minus the interest it replaces (paise, may be negative)
+ * @param {Object} options - { reference, by, session }
+ */
+const postInterestAdjustment = async (loan, change, { reference, by = null, session = null } = {}) => {
+  if (change > 0) {
+    await postEntry(loan, 'interest_accrual', [
+      debit('interest_receivable', change),
+      credit('interest_income', change)
+    ], { reference, memo: 'Interest added by restructure', by, session });
+  } else if (change < 0) {
+    await postEntry(loan, 'adjustment', [
+      debit('interest_income', -change),
+      credit('interest_receivable', -change)
+    ], { reference, memo: 'Interest removed by restructure', by, session });
+  }
+};
+
+/**
+ * Current balance (debits minus credits) of every account on a loan's ledger
+ * @param {Array} entries - The loan's LedgerEntries
+ * @returns {Object} { account: paise }
+ */
+const getAccountBalances = (entries) => {
+  const balances = {};
+  entries.forEach(entry => entry.postings.forEach(p => {
+    balances[p.account] = (balances[p.account] || 0) + p.debit - p.credit;
+  }));
+  return balances;
+};
+
+/**
+ * Post a foreclosure: the payment clears receivables (after the foreclosure fee) and
+ * whatever it does not cover, such as waived future interest, is written down as a concession
+ * @param {Object} loan - Loan document
+ * @param {Object} options - { amount, foreclosureFee, paymentId, by }
+ */
+const postForeclosure = async (loan, { amount, foreclosureFee = 0, paymentId, by = null }) => {
+  const balances = getAccountBalances(await LedgerEntry.find({ loanId: loan._id }));
+  let left = amount - foreclosureFee;
+
+  const cleared = RECEIVABLES.map(account => {
+    const share = Math.min(left, Math.max(0, balances[account] || 0));
+    left -= share;
+    balances[account] = (balances[account] || 0) - share;
+    return credit(account, share);
+  });
+
+  await postEntry(loan, 'payment', [
+    debit('cash', amount),
+    credit('fee_income', foreclosureFee),
+    ...cleared,
+    // Penalty accrued since the overdue job last ran is part of the quote
+    credit('penalty_income', left)
+  ], { reference: paymentId, memo: 'Foreclosure', by });
+
+  const waived = RECEIVABLES.map(account => credit(account, Math.max(0, balances[account] || 0)));
+  await postEntry(loan, 'adjustment', [
+    debit('concessions', waived.reduce((sum, p) => sum + p.credit, 0)),
+    ...waived
+  ], { reference: paymentId, memo: 'Waived on foreclosure', by });
+};
+
+/**
+ * Post a write-off of everything the borrower still owes
+ * @param {Object} loan - Loan document
+ * @param {Object} by - Admin
+ */
+const postWriteOff = async (loan, by = null) => {
+  const balances = getAccountBalances(await LedgerEntry.find({ loanId: loan._id }));
+  const written = RECEIVABLES.map(account => credit(account, Math.max(0, balances[account] || 0)));
+  await postEntry(loan, 'write_off', [
+    debit('write_off_expense', written.reduce((sum, p) => sum + p.credit, 0)),
+    ...written
+  ], { memo: 'Loan written off', by });
+};
+
+/**
+ * Bring a loan from before the ledger existed onto it: what is still owed and what has
+ * been paid so far, against the opening_balance account
+ * @param {Object} loan - Loan document
+ * @param {Object} outstanding - { principal, interest, fee, penalty } still owed, in paise
+ */
+const postOpeningBalance = async (loan, outstanding) => {
+  const owed = Object.entries(COMPONENT_ACCOUNTS).map(([c, account]) => debit(account, outstanding[c] || 0));
+  const total = owed.reduce((sum, p) => sum + p.debit, 0) + (loan.totalPaid || 0);
+  await postEntry(loan, 'opening_balance', [
+    ...owed,
+    debit('cash', loan.totalPaid || 0),
+    credit('opening_balance', total)
+  ], { memo: 'Balances brought forward' });
+};
+
+/**
+ * Loan balances worked out from the ledger alone
+ * @param {Array} entries - The loan's LedgerEntries
+ * @returns {Object} Outstanding amounts, total paid and amount written off (paise)
+ */
+const summarizeLedger = (entries) => {
+  const balances = getAccountBalances(entries);
+  let totalPaid = 0;
+  let writtenOff = 0;
+
+  entries.forEach(entry => entry.postings.forEach(p => {
+    // Money in from the borrower (less anything parked in or refunded from their wallet)
+    if (['payment', 'refund', 'opening_balance'].includes(entry.type) && ['cash', 'borrower_wallet'].includes(p.account)) {
+      totalPaid += p.debit - p.credit;
+    }
+    if (entry.type === 'write_off' && ['loan_principal', 'interest_receivable'].includes(p.account)) {
+      writtenOff += p.credit;
+    }
+  }));
+
+  const principalOutstanding = balances.loan_principal || 0;
+  const interestOutstanding = balances.interest_receivable || 0;
+  const feesOutstanding = balances.fee_receivable || 0;
+  const penaltyOutstanding = balances.penalty_receivable || 0;
+
+  return {
+    accounts: balances,
+    principalOutstanding,
+    interestOutstanding,
+    feesOutstanding,
+    penaltyOutstanding,
+    remainingBalance: principalOutstanding + interestOutstanding,
+    totalOutstanding: principalOutstanding + interestOutstanding + feesOutstanding + penaltyOutstanding,
+    totalPaid,
+    writtenOff
+  };
+};
+
+/**
+ * A loan's full ledger, oldest entry first
+ * @param {String} loanId - Loan ID
+ * @returns {Array} LedgerEntries
+ */
+const getLoanLedger = (loanId) => LedgerEntry.find({ loanId }).sort({ createdAt: 1, _id: 1 });
+
+/**
+ * Loan balances derived from its ledger
+ * @param {String} loanId - Loan ID
+ * @returns {Object} See summarizeLedger
+ */
+const getLoanBalances = async (loanId) => summarizeLedger(await getLoanLedger(loanId));
+
+/**
+ * Check that a loan's ledger balances and agrees with the loan and its EMIs
+ * @param {Object} loan - Loan document
+ * @param {Array} entries - The loan's LedgerEntries
+ * @param {Array} emis - The loan's unpaid EMIs
+ * @returns {Object} { balanced, consistent, unbalancedEntries, balances, mismatches }
+ */
+const verifyLoanLedger = (loan, entries, emis) => {
+  const unbalancedEntries = entries
+    .filter(e => e.postings.reduce((sum, p) => sum + p.debit - p.credit, 0) !== 0)
+    .map(e => e._id);
+  const trialBalance = Object.values(getAccountBalances(entries)).reduce((sum, b) => sum + b, 0);
+  const balances = summarizeLedger(entries);
+
+  const mismatches = [];
+  const compare = (field, ledger, recorded) => {
+    if (ledger !== recorded) mismatches.push({ field, ledger, recorded });
+  };
+
+  // Applications that were never paid out have nothing on the ledger yet
+  if (SCHEDULED_STATUSES.includes(loan.status)) {
+    compare('totalPaid', balances.totalPaid, loan.totalPaid || 0);
+    if (loan.status === 'written_off') {
+      compare('remainingBalance', balances.writtenOff, loan.remainingBalance);
+    } else {
+      compare('remainingBalance', balances.remainingBalance, loan.remainingBalance);
+    }
+    if (loan.status === 'active') {
+      const due = (amount, paid) => emis.reduce((sum, e) => sum + Math.max(0, (e[amount] || 0) - (e[paid] || 0)), 0);
+      compare('emiPrincipalDue', balances.principalOutstanding, due('principalAmount', 'principalPaid'));
+      compare('emiInterestDue', balances.interestOutstanding, due('interestAmount', 'interestPaid'));
+      compare('emiFeesDue', balances.feesOutstanding, due('feeAmount', 'feePaid'));
+      compare('emiPenaltyDue', balances.penaltyOutstanding, due('penaltyAmount', 'penaltyPaid'));
+    }
+  }
+
+  return {
+    balanced: unbalancedEntries.length === 0 && trialBalance === 0,
+    consistent: mismatches.length === 0,
+    entryCount: entries.length,
+    unbalancedEntries,
+    balances,
+    mismatches
+  };
+};
+
+module.exports = {
+  postDisbursement,
+  postScheduleAccruals,
+  postLateCharges,
+  postPayment,
+  postRefund,
+  postWaiver,
+  postInterestAdjustment,
+  postForeclosure,
+  postWriteOff,
+  postOpeningBalance,
+  getLoanLedger,
+  getLoanBalances,
+  verifyLoanLedger
+};
@@ -0,0 +1,31 @@
+const LoanProduct = require('../models/LoanProduct');
+const { formatINR } = require('../utils/money');
+
+/**
+ * Get all products borrowers can currently apply for
+ * @returns {Array} Active loan products, shortest tenure first
+ */
+const getActiveProducts = async () => {
+  return LoanProduct.find({ isActive: true }).sort({ defaultTenureDays: 1, name: 1 });
+};
+
+/**
+ * Check an amount and tenure against a product's bounds
+ * @param {Object} product - LoanProduct document
+ * @param {Object} terms - { amount (paise), totalDays }
+ * @returns {String|null} Error message, or null if the terms are valid
+ */
+const validateLoanTerms = (product, { amount, totalDays }) => {
+  if (amount != null && (isNaN(amount) || amount < product.minAmount || amount > product.maxAmount)) {
+    return `Loan amount must be between ${formatINR(product.minAmount)} and ${formatINR(product.maxAmount)}`;
+  }
+  if (totalDays != null && (isNaN(totalDays) || totalDays < product.minTenureDays || totalDays > product.maxTenureDays)) {
+    return `Total days must be between ${product.minTenureDays} and ${product.maxTenureDays}`;
+  }
+  return null;
+};
+
+module.exports = {
+  getActiveProducts,
+  validateLoanTerms
+};
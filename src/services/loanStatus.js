@@ -0,0 +1,77 @@
+// Loan application lifecycle. Every status change goes through transitionLoan so the
+// allowed transitions are enforced in one place and recorded in loan.statusHistory.
+
+const LOAN_STATUSES = [
+  'submitted',
+  'under_review',
+  'documents_requested',
+  'approved',
+  'disbursed',
+  'active',
+  'closed',
+  'rejected',
+  'cancelled',
+  'written_off'
+];
+
+const TRANSITIONS = {
+  submitted: ['under_review', 'documents_requested', 'approved', 'rejected', 'cancelled'],
+  under_review: ['documents_requested', 'approved', 'rejected', 'cancelled'],
+  documents_requested: ['submitted', 'under_review', 'rejected', 'cancelled'],
+  approved: ['disbursed', 'cancelled'],
+  disbursed: ['active'],
+  active: ['closed', 'written_off'],
+  closed: [],
+  rejected: [],
+  cancelled: [],
+  written_off: []
+};
+
+// Applications that are still waiting on a decision
+const OPEN_APPLICATION_STATUSES = ['submitted', 'under_review', 'documents_requested'];
+
+// Loans that have an EMI schedule
+const SCHEDULED_STATUSES = ['active', 'closed', 'written_off'];
+
+/**
+ * Check whether a loan may move from one status to another
+ * @param {String} from - Current status
+ * @param {String} to - Target status
+ * @returns {Boolean}
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move a loan to a new status and record it in statusHistory (does not save)
+ * @param {Object} loan - Loan document
+ * @param {String} to - Target status
+ * @param {Object} options - { by: user document or id (null for system), reason, reopen }
+ *   reopen: also allow closed -> active, which only a refund leaving money owed on a repaid
+ *   loan may do (services/refunds) - it is not in TRANSITIONS, so the status route cannot
+ * @returns {Object} The loan
+ */
+const transitionLoan = (loan, to, { by = null, reason = '', reopen = false } = {}) => {
+  const from = loan.status;
+  const reopening = reopen && from === 'closed' && to === 'active';
+  if (!reopening && !canTransition(from, to)) {
+    throw new Error(`Invalid loan status transition: ${from} -> ${to}`);
+  }
+
+  loan.status = to;
+  loan.statusHistory.push({
+    from,
+    to,
+    by: by?._id || by,
+    reason: reason ? String(reason).trim() : '',
+    at: new Date()
+  });
+  return loan;
+};
+
+module.exports = {
+  LOAN_STATUSES,
+  OPEN_APPLICATION_STATUSES,
+  SCHEDULED_STATUSES,
+  canTransition,
+  transitionLoan
+};
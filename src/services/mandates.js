@@ -0,0 +1,693 @@
+const mongoose = require('mongoose');
+const EMI = require('../models/EMI');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const Mandate = require('../models/Mandate');
+const Payment = require('../models/Payment');
+const Notification = require('../models/Notification');
+const { PAYABLE_EMI_STATUSES, getOutstanding } = require('./paymentAllocation');
+const { applyPayment } = require('./paymentApplication');
+const { recordOrder, recordCapture, recordFailedAttempt } = require('./paymentRecords');
+const { getPaymentGateway } = require('./gateways');
+const { formatINR } = require('../utils/money');
+
+const MANDATE_METHODS = ['upi', 'emandate'];
+
+// What authorizing a mandate costs the borrower: e-mandates register for nothing, UPI AutoPay
+// takes ₹1, which is credited to the borrower's wallet
+const AUTH_AMOUNTS = { upi: 100, emandate: 0 };
+
+// UPI AutoPay debits above ₹15,000 need the borrower to approve each one
+const UPI_MAX_DEBIT = 1500000;
+
+// Room above the largest EMI for penalties or catching up a missed EMI in one debit
+const MAX_AMOUNT_MULTIPLIER = 2;
+
+// A debit the gateway has not reported on after this long is looked up directly
+const STALE_DEBIT_DAYS = 3;
+
+// Loan autopay state for each mandate status
+const LOAN_AUTOPAY_STATES = {
+  created: { autopayEnabled: false, autopayStatus: 'pending' },
+  pending: { autopayEnabled: false, autopayStatus: 'pending' },
+  active: { autopayEnabled: true, autopayStatus: 'active' },
+  paused: { autopayEnabled: false, autopayStatus: 'paused' },
+  halted: { autopayEnabled: false, autopayStatus: 'halted' },
+  rejected: { autopayEnabled: false, autopayStatus: 'cancelled' },
+  cancelled: { autopayEnabled: false, autopayStatus: 'cancelled' }
+};
+
+// Mandate status for each token status the gateway reports
+const TOKEN_MANDATE_STATUSES = {
+  pending: 'pending',
+  confirmed: 'active',
+  paused: 'paused',
+  rejected: 'rejected',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Failed debits in a row before a mandate is halted
+ * Set AUTOPAY_MAX_FAILURES; defaults to 3 (the first debit and two daily retries)
+ * @returns {Number}
+ */
+const getMaxFailures = () => {
+  const max = parseInt(process.env.AUTOPAY_MAX_FAILURES);
+  return isNaN(max) || max < 1 ? 3 : max;
+};
+
+const notifyBorrower = async (loan, title, body) => {
+  const notif = await Notification.create({
+    type: 'autopay_updated',
+    forAdmin: false,
+    userId: loan.userId,
+    loanId: loan._id,
+    title,
+    body,
+  });
+
+  const { emitNotification } = require('../socket');
+  await emitNotification(notif);
+};
+
+const setMandateStatus = async (mandate, status) => {
+  mandate.status = status;
+  if (status === 'active' && !mandate.activatedAt) mandate.activatedAt = new Date();
+  if (status === 'cancelled' && !mandate.cancelledAt) mandate.cancelledAt = new Date();
+  if (status !== 'paused') {
+    mandate.pauseSource = null;
+    mandate.pausedBy = null;
+    mandate.pausedAt = null;
+  }
+  await mandate.save();
+
+  if (status === 'active' && (mandate.replacesMandateId || mandate.replacesSubscriptionId)) {
+    await takeOverAutopay(mandate);
+  }
+
+  // A loan that has moved on to a newer mandate keeps that one's state
+  const loan = await Loan.findById(mandate.loanId);
+  if (loan && String(loan.autopayMandateId) === String(mandate._id)) {
+    Object.assign(loan, LOAN_AUTOPAY_STATES[status]);
+    await loan.save();
+  }
+  return loan;
+};
+
+// A replacement mandate that has become active takes the loan's autopay over from the
+// mandate or subscription it replaces, which is then stopped. The loan is pointed at the new
+// mandate first, so the old one is never debited again even if stopping it fails.
+const takeOverAutopay = async (mandate) => {
+  const loan = await Loan.findById(mandate.loanId);
+  if (!loan || String(loan.autopayMandateId) === String(mandate._id)) return;
+
+  const subscriptionId = loan.autopayStatus !== 'cancelled' ? loan.razorpaySubscriptionId : null;
+  const subscriptionGateway = loan.autopayGateway;
+  loan.razorpayCustomerId = mandate.customerId;
+  loan.razorpaySubscriptionId = null;
+  loan.autopayGateway = mandate.gateway;
+  loan.autopayMandateId = mandate._id;
+  await loan.save();
+
+  try {
+    if (mandate.replacesMandateId) {
+      const previous = await Mandate.findById(mandate.replacesMandateId);
+      if (previous && previous.status !== 'cancelled') {
+        await cancelMandate(previous);
+      }
+    }
+    if (subscriptionId && subscriptionId === mandate.replacesSubscriptionId) {
+      const gateway = getPaymentGateway(subscriptionGateway);
+      if (gateway.isConfigured()) {
+        await gateway.cancelSubscription(subscriptionId);
+      }
+    }
+  } catch (error) {
+    console.error('Error stopping replaced autopay for loan', loan._id, error);
+  }
+};
+
+/**
+ * The limit and expiry a new mandate is registered with: room for twice the largest EMI
+ * (capped for UPI), lasting a month past the last due date
+ * @param {Array} emis - The loan's payable EMIs
+ * @param {String} method - upi or emandate
+ * @returns {Object} { maxAmount, expiresAt }
+ */
+const getMandateLimits = (emis, method) => {
+  const largest = Math.max(...emis.map(e => e.totalAmount));
+  const maxAmount = method === 'upi'
+    ? Math.min(largest * MAX_AMOUNT_MULTIPLIER, UPI_MAX_DEBIT)
+    : largest * MAX_AMOUNT_MULTIPLIER;
+  const lastDue = new Date(Math.max(...emis.map(e => e.dueDate.getTime())));
+  const expiresAt = new Date(lastDue);
+  expiresAt.setDate(expiresAt.getDate() + 30);
+  return { maxAmount, expiresAt };
+};
+
+/**
+ * Whether a mandate can still debit each remaining EMI in full: its limit covers the largest
+ * amount outstanding on one EMI (penalties and fees included) and it lasts past the last due
+ * date. A restructure, new penalties or fees can leave it short.
+ * @param {Object} mandate - Mandate document
+ * @param {Array} emis - The loan's payable EMIs
+ * @returns {Boolean}
+ */
+const mandateCoversEMIs = (mandate, emis) => {
+  if (emis.length === 0) return true;
+  const largest = Math.max(...emis.map(getOutstanding));
+  const lastDue = Math.max(...emis.map(e => e.dueDate.getTime()));
+  return mandate.maxAmount >= largest && mandate.expiresAt.getTime() >= lastDue;
+};
+
+/**
+ * Check a request to set up autopay on a loan's remaining EMIs
+ * @param {Array} emis - The loan's payable EMIs
+ * @param {String} method - upi or emandate
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateMandateSetup = (emis, method) => {
+  if (!MANDATE_METHODS.includes(method)) {
+    return `Autopay method must be one of: ${MANDATE_METHODS.join(', ')}`;
+  }
+  if (emis.length === 0) {
+    return 'No pending EMIs for autopay';
+  }
+  if (method === 'upi' && emis.some(e => e.totalAmount > UPI_MAX_DEBIT)) {
+    return `UPI AutoPay cannot debit more than ${formatINR(UPI_MAX_DEBIT)} - use an e-mandate`;
+  }
+  return null;
+};
+
+/**
+ * Start setting up a mandate: creates the authorization order the borrower pays in checkout
+ * (with recurring: 1) and points the loan's autopay at the new mandate. With replace, the
+ * loan's current mandate or subscription keeps debiting until the new one is active and
+ * takes over (an earlier replacement not yet active is dropped).
+ * @param {Object} loan - Loan document
+ * @param {Array} emis - The loan's payable EMIs, checked with validateMandateSetup
+ * @param {String} method - upi or emandate
+ * @param {Object} user - Borrower setting it up
+ * @param {Object} options - { replace }
+ * @returns {Object} { mandate, order }
+ */
+const createMandate = async (loan, emis, method, user, { replace = false } = {}) => {
+  const gateway = getPaymentGateway();
+  const { maxAmount, expiresAt } = getMandateLimits(emis, method);
+
+  if (replace) {
+    await cancelPendingReplacements(loan);
+  }
+
+  const order = await gateway.createMandate({
+    customerId: loan.autopayGateway === gateway.name ? loan.razorpayCustomerId : null,
+    customer: {
+      name: loan.applicantName,
+      contact: loan.applicantMobile,
+      email: user.email
+    },
+    method,
+    amount: AUTH_AMOUNTS[method],
+    maxAmount,
+    expireAt: expiresAt,
+    receipt: `mandate_${loan._id}`,
+    notes: {
+      loanId: loan._id.toString(),
+      userId: user._id.toString()
+    }
+  });
+
+  const mandate = await Mandate.create({
+    loanId: loan._id,
+    userId: loan.userId,
+    gateway: gateway.name,
+    method,
+    customerId: order.customerId,
+    authOrderId: order.id,
+    maxAmount,
+    expiresAt,
+    replacesMandateId: replace ? loan.autopayMandateId : null,
+    replacesSubscriptionId: replace && !loan.autopayMandateId ? loan.razorpaySubscriptionId : null
+  });
+
+  await recordOrder({
+    userId: loan.userId,
+    loanId: loan._id,
+    purpose: 'mandate',
+    gateway: gateway.name,
+    order,
+    mandateId: mandate._id
+  });
+  if (replace) return { mandate, order };
+
+  loan.razorpayCustomerId = order.customerId;
+  loan.razorpaySubscriptionId = null;
+  loan.autopayGateway = gateway.name;
+  loan.autopayMandateId = mandate._id;
+  Object.assign(loan, LOAN_AUTOPAY_STATES.created);
+  await loan.save();
+
+  return { mandate, order };
+};
+
+/**
+ * Record a mandate's authorization payment: stores its token and activates the mandate (or
+ * leaves it pending until the bank confirms). Called by /verify-autopay and the
+ * payment.captured webhook, so the second call changes nothing. Any authorization amount is
+ * applied like a payment with nothing due - it goes to the borrower's wallet.
+ * @param {Object} mandate - Mandate document
+ * @param {String} paymentId - Gateway payment id of the authorization
+ * @returns {Object} The mandate
+ */
+const activateMandate = async (mandate, paymentId) => {
+  if (mandate.token) return mandate;
+
+  const gateway = getPaymentGateway(mandate.gateway);
+  const { token, method, raw } = await gateway.fetchMandateToken(paymentId);
+  if (!token) {
+    throw new Error(`Payment ${paymentId} did not register a mandate`);
+  }
+  const { status } = await gateway.fetchMandate({ customerId: mandate.customerId, token });
+
+  mandate.token = token;
+  mandate.authPaymentId = paymentId;
+  await setMandateStatus(mandate, TOKEN_MANDATE_STATUSES[status]);
+
+  const record = {
+    gateway: mandate.gateway,
+    orderId: mandate.authOrderId,
+    gatewayPaymentId: paymentId,
+    method,
+    gatewayResponse: raw
+  };
+  const order = await Payment.findOne({ orderId: mandate.authOrderId });
+  if (order.amount > 0) {
+    await applyPayment({
+      paymentId,
+      source: 'autopay',
+      loanId: mandate.loanId,
+      amount: order.amount,
+      emiIds: [],
+      notify: false,
+      record
+    });
+  } else if (order.status !== 'captured') {
+    await recordCapture({ ...record, amount: 0, paymentId });
+  }
+  return mandate;
+};
+
+// What the borrower is told when their bank changes a mandate
+const BANK_UPDATES = {
+  active: ['Autopay Active', 'Your bank has confirmed your autopay mandate. EMIs will be debited on their due dates.'],
+  paused: ['Autopay Paused', 'Your autopay mandate was paused at your bank. EMIs will not be debited until you resume it there.'],
+  rejected: ['Autopay Rejected', 'Your bank rejected the autopay mandate. Please set up autopay again or pay your EMIs manually.'],
+  cancelled: ['Autopay Cancelled', 'Your autopay mandate was cancelled at your bank. Please set up autopay again or pay your EMIs manually.']
+};
+
+/**
+ * Bring a mandate in line with the status its bank reports (from a token webhook or a
+ * lookup). Only a mandate waiting on the bank, or paused at the bank, becomes active again:
+ * one paused in the app or halted stays that way while the bank still has it confirmed.
+ * @param {Object} mandate - Mandate document
+ * @param {String} gatewayStatus - Status as fetchMandate reports it
+ * @returns {Object} The mandate
+ */
+const syncMandateStatus = async (mandate, gatewayStatus) => {
+  const next = TOKEN_MANDATE_STATUSES[gatewayStatus];
+  if (!next || next === mandate.status || ['rejected', 'cancelled'].includes(mandate.status)) return mandate;
+  if (next === 'active' && mandate.status !== 'pending' && mandate.pauseSource !== 'bank') return mandate;
+
+  if (next === 'paused') {
+    mandate.pauseSource = 'bank';
+    mandate.pausedBy = null;
+    mandate.pausedAt = new Date();
+  }
+  const loan = await setMandateStatus(mandate, next);
+  if (loan) {
+    await notifyBorrower(loan, ...BANK_UPDATES[next]);
+  }
+  return mandate;
+};
+
+/**
+ * Ask the bank about a mandate waiting on it (pending, or paused at the bank) and update it
+ * @param {Object} mandate - Mandate document with a token
+ * @returns {Object} The mandate
+ */
+const refreshMandate = async (mandate) => {
+  const { status } = await getPaymentGateway(mandate.gateway).fetchMandate({
+    customerId: mandate.customerId,
+    token: mandate.token
+  });
+  return syncMandateStatus(mandate, status);
+};
+
+/**
+ * Stop the daily debits on an active mandate until it is resumed. The mandate stays
+ * registered with the bank.
+ * @param {Object} mandate - Active Mandate document
+ * @param {Object} by - Borrower or admin pausing it
+ * @returns {Object} The mandate
+ */
+const pauseMandate = async (mandate, by) => {
+  mandate.pauseSource = by.role === 'admin' ? 'admin' : 'borrower';
+  mandate.pausedBy = by._id;
+  mandate.pausedAt = new Date();
+  await setMandateStatus(mandate, 'paused');
+  return mandate;
+};
+
+/**
+ * Resume a paused or halted mandate. The bank is asked first, so a mandate it has since
+ * paused, cancelled or rejected takes that status instead of becoming active. A halted
+ * mandate starts counting failed debits from zero again.
+ * @param {Object} mandate - Paused or halted Mandate document
+ * @returns {Object} The mandate (status active if it was resumed)
+ */
+const resumeMandate = async (mandate) => {
+  const { status } = await getPaymentGateway(mandate.gateway).fetchMandate({
+    customerId: mandate.customerId,
+    token: mandate.token
+  });
+  const next = TOKEN_MANDATE_STATUSES[status] || mandate.status;
+
+  if (next === 'active') {
+    mandate.consecutiveFailures = 0;
+    mandate.lastFailureReason = null;
+  } else if (next === 'paused' && mandate.pauseSource !== 'bank') {
+    mandate.pauseSource = 'bank';
+    mandate.pausedBy = null;
+    mandate.pausedAt = new Date();
+  }
+  await setMandateStatus(mandate, next);
+  return mandate;
+};
+
+/**
+ * Stop a mandate, with its gateway too when that gateway is still configured
+ * @param {Object} mandate - Mandate document
+ * @returns {Object} The mandate
+ */
+const cancelMandate = async (mandate) => {
+  const gateway = getPaymentGateway(mandate.gateway);
+  if (mandate.token && gateway.isConfigured()) {
+    await gateway.cancelMandate({ customerId: mandate.customerId, token: mandate.token });
+  }
+  await setMandateStatus(mandate, 'cancelled');
+  return mandate;
+};
+
+/**
+ * Cancel replacement mandates (from /update-autopay) not yet active on a loan, so one
+ * authorized later cannot take over autopay the borrower has cancelled or replaced again
+ * @param {Object} loan - Loan document
+ */
+const cancelPendingReplacements = async (loan) => {
+  const replacements = await Mandate.find({
+    loanId: loan._id,
+    _id: { $ne: loan.autopayMandateId },
+    status: { $in: ['created', 'pending'] }
+  });
+  for (const mandate of replacements) {
+    await cancelMandate(mandate);
+  }
+};
+
+/**
+ * Count a failed debit against a mandate. It is retried on the next daily run until
+ * getMaxFailures() debits in a row have failed, then the mandate is halted.
+ * @param {String} mandateId - Mandate ID
+ * @param {String} reason - Why the debit failed
+ */
+const recordDebitFailure = async (mandateId, reason) => {
+  const mandate = await Mandate.findById(mandateId);
+  if (!mandate || mandate.status !== 'active') return;
+
+  mandate.consecutiveFailures += 1;
+  mandate.lastFailureAt = new Date();
+  mandate.lastFailureReason = reason;
+
+  if (mandate.consecutiveFailures >= getMaxFailures()) {
+    const loan = await setMandateStatus(mandate, 'halted');
+    if (loan) {
+      await notifyBorrower(loan, 'Autopay Stopped',
+        `Autopay has stopped after ${mandate.consecutiveFailures} failed debits (${reason}). Please pay your due EMIs, or resume autopay once your account has enough balance.`);
+
+      const notif = await Notification.create({
+        type: 'autopay_updated',
+        forAdmin: true,
+        userId: loan.userId,
+        loanId: loan._id,
+        title: 'Autopay Halted',
+        body: `Autopay for ${loan.applicantName} stopped after ${mandate.consecutiveFailures} failed debits`,
+      });
+
+      const { emitNotification } = require('../socket');
+      await emitNotification(notif);
+    }
+    return;
+  }
+
+  await mandate.save();
+  const loan = await Loan.findById(mandate.loanId);
+  if (loan) {
+    await notifyBorrower(loan, 'Autopay Debit Failed',
+      `Today's EMI debit failed (${reason}). We will try again tomorrow - please keep enough balance in your account.`);
+  }
+};
+
+/**
+ * Apply a captured mandate debit to the EMIs it was for. The amount collected is what gets
+ * applied (oldest EMI first, anything extra to the wallet), so the EMIs marked paid always
+ * match the money received.
+ * @param {Object} order - Payment record of the debit (purpose autopay, with a mandateId)
+ * @param {Object} payment - Captured gateway payment
+ * @returns {Object} { application, replayed }
+ */
+const settleMandateDebit = async (order, payment) => {
+  const result = await applyPayment({
+    paymentId: payment.id,
+    source: 'autopay',
+    loanId: order.loanId,
+    amount: payment.amount,
+    emiIds: order.emiIds,
+    record: {
+      gateway: order.gateway,
+      orderId: order.orderId,
+      gatewayPaymentId: payment.id,
+      method: payment.method,
+      gatewayResponse: payment.raw
+    }
+  });
+
+  if (!result.replayed) {
+    await Mandate.updateOne({ _id: order.mandateId }, { consecutiveFailures: 0, lastFailureReason: null, updatedAt: new Date() });
+  }
+  return result;
+};
+
+/**
+ * Record a failed mandate debit reported by the gateway. Only the first report for a debit
+ * counts towards halting the mandate.
+ * @param {Object} payment - Failed gateway payment (with orderId)
+ * @returns {Object|null} The Payment record, or null if the order is unknown
+ */
+const failMandateDebit = async (payment) => {
+  const pending = await Payment.exists({ orderId: payment.orderId, status: 'created' });
+  const record = await recordFailedAttempt(payment.orderId, {
+    gatewayPaymentId: payment.id,
+    method: payment.method,
+    errorCode: payment.errorCode,
+    errorDescription: payment.errorDescription,
+    response: payment.raw
+  });
+  if (record && pending) {
+    await recordDebitFailure(record.mandateId, record.failureReason);
+  }
+  return record;
+};
+
+/**
+ * Find the debit a mandate payment belongs to when its order id is not stored yet: a webhook
+ * can arrive before debitMandate has saved what chargeMandate returned. The debit's id travels
+ * in the payment's notes (debitId); the gateway's ids are attached here.
+ * @param {Object} payment - Gateway payment (with orderId and notes)
+ * @returns {Object|null} The debit's Payment record
+ */
+const findMandateDebit = async (payment) => {
+  const debitId = payment.notes?.debitId;
+  if (!debitId || !mongoose.isValidObjectId(debitId)) return null;
+
+  return Payment.findOneAndUpdate(
+    { _id: debitId, purpose: 'autopay', mandateId: { $ne: null }, orderId: null },
+    { orderId: payment.orderId, gatewayPaymentId: payment.id },
+    { new: true }
+  );
+};
+
+// A debit still in flight after STALE_DEBIT_DAYS - settle it from what the gateway says now
+const settleStaleDebit = async (mandate, order) => {
+  if (!order.gatewayPaymentId) {
+    // The gateway never confirmed taking the debit (e.g. a restart mid-request). Not counted
+    // against the mandate; if money was taken, its webhook or reconciliation still applies it.
+    order.status = 'failed';
+    order.failureReason = 'Debit was never confirmed by the gateway';
+    await order.save();
+    return;
+  }
+  const payment = await getPaymentGateway(mandate.gateway).fetchPayment(order.gatewayPaymentId);
+  if (payment.status === 'captured') {
+    await settleMandateDebit(order, payment);
+  } else if (payment.status === 'failed') {
+    await failMandateDebit(payment);
+  }
+};
+
+/**
+ * Debit what is due today (and anything still overdue) on a loan with an active mandate,
+ * capped at the mandate's maximum. Nothing is debited while an earlier debit is in flight.
+ * @param {Object} mandate - Active Mandate document
+ * @returns {Object|null} The debit's Payment record, or null if nothing was debited
+ */
+const debitMandate = async (mandate) => {
+  const loan = await Loan.findById(mandate.loanId);
+  // A closed loan has nothing to collect, and a mandate another one has taken over from
+  // must not debit alongside it
+  if (!loan || loan.status !== 'active' || String(loan.autopayMandateId) !== String(mandate._id)) {
+    await cancelMandate(mandate);
+    return null;
+  }
+  if (mandate.expiresAt < new Date()) {
+    await setMandateStatus(mandate, 'cancelled');
+    return null;
+  }
+
+  const inFlight = await Payment.findOne({ mandateId: mandate._id, purpose: 'autopay', status: 'created' });
+  if (inFlight) {
+    const staleBefore = new Date(Date.now() - STALE_DEBIT_DAYS * 24 * 60 * 60 * 1000);
+    if (inFlight.createdAt < staleBefore) {
+      await settleStaleDebit(mandate, inFlight);
+    }
+    return null;
+  }
+
+  const tomorrow = new Date();
+  tomorrow.setHours(0, 0, 0, 0);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const emis = await EMI.find({
+    loanId: loan._id,
+    status: { $in: PAYABLE_EMI_STATUSES },
+    dueDate: { $lt: tomorrow }
+  }).sort({ installmentNumber: 1 });
+
+  const due = emis.reduce((sum, e) => sum + getOutstanding(e), 0);
+  if (due === 0) return null;
+  const amount = Math.min(due, mandate.maxAmount);
+
+  const gateway = getPaymentGateway(mandate.gateway);
+  const user = await User.findById(loan.userId).select('email');
+
+  // Recorded before the gateway is asked, so the debit is in flight (and blocks another) even
+  // if saving the gateway's ids fails, and a webhook that arrives first can find it by debitId
+  const order = await Payment.create({
+    userId: loan.userId,
+    loanId: loan._id,
+    purpose: 'autopay',
+    mandateId: mandate._id,
+    gateway: gateway.name,
+    amount,
+    emiIds: emis.map(e => e._id)
+  });
+
+  let debit;
+  try {
+    debit = await gateway.chargeMandate({
+      customerId: mandate.customerId,
+      token: mandate.token,
+      amount,
+      customer: { name: loan.applicantName, contact: loan.applicantMobile, email: user?.email },
+      receipt: `autopay_${mandate._id}_${mandate.consecutiveFailures}`,
+      description: `EMI autopay for loan ${loan._id}`,
+      notes: { loanId: loan._id.toString(), mandateId: mandate._id.toString(), debitId: order._id.toString() }
+    });
+  } catch (error) {
+    console.error('Mandate debit error for loan', loan._id, error);
+    const reason = error.error?.description || error.message;
+    await Payment.updateOne({ _id: order._id }, { status: 'failed', failureReason: reason });
+    await recordDebitFailure(mandate._id, reason);
+    return null;
+  }
+
+  // Only the ids - a webhook may already have settled the debit (findMandateDebit)
+  await Payment.updateOne(
+    { _id: order._id, orderId: null },
+    { orderId: debit.order.id, gatewayPaymentId: debit.paymentId, gatewayResponse: debit.order.raw }
+  );
+
+  mandate.lastDebitAt = new Date();
+  if (due > amount && !mandate.limitExceededAt) {
+    mandate.limitExceededAt = new Date();
+    await notifyBorrower(loan, 'Update Your Autopay',
+      `${formatINR(due)} is due but your autopay can debit at most ${formatINR(mandate.maxAmount)}, so the rest was not debited. ` +
+      'Please update your autopay to cover your EMIs in full.');
+  }
+  await mandate.save();
+  return order;
+};
+
+/**
+ * Daily job: check mandates waiting on their bank (pending, or paused there), then debit every active mandate for
+ * the EMIs due. A failed debit is retried on the next run until the mandate is halted.
+ * Runs after applyWalletToDueEMIs so wallet money is used before the borrower is debited.
+ * @returns {Object} { debited: debits presented, amount: paise presented }
+ */
+const debitDueMandates = async () => {
+  const waiting = await Mandate.find({
+    token: { $ne: null },
+    $or: [{ status: 'pending' }, { status: 'paused', pauseSource: 'bank' }]
+  });
+  for (const mandate of waiting) {
+    try {
+      await refreshMandate(mandate);
+    } catch (error) {
+      console.error('Mandate refresh error for', mandate._id, error);
+    }
+  }
+
+  const active = await Mandate.find({ status: 'active' });
+  let debited = 0;
+  let amount = 0;
+  for (const mandate of active) {
+    try {
+      const order = await debitMandate(mandate);
+      if (order) {
+        debited++;
+        amount += order.amount;
+      }
+    } catch (error) {
+      console.error('Mandate debit error for', mandate._id, error);
+    }
+  }
+
+  console.log(`Presented ${debited} autopay debits for ${formatINR(amount)}`);
+  return { debited, amount };
+};
+
+module.exports = {
+  MANDATE_METHODS,
+  validateMandateSetup,
+  mandateCoversEMIs,
+  createMandate,
+  activateMandate,
+  syncMandateStatus,
+  refreshMandate,
+  pauseMandate,
+  resumeMandate,
+  cancelMandate,
+  cancelPendingReplacements,
+  findMandateDebit,
+  settleMandateDebit,
+  failMandateDebit,
+  debitDueMandates
+};
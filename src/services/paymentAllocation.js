@@ -0,0 +1,238 @@
+const EMI = require('../models/EMI');
+const { transitionLoan } = require('./loanStatus');
+const { creditWallet } = require('./wallet');
+const { postPayment } = require('./ledger');
+const { formatINR } = require('../utils/money');
+
+// EMIs that still have money owing on them
+const PAYABLE_EMI_STATUSES = ['pending', 'overdue', 'partially_paid'];
+
+// Each component of an EMI and the fields holding what is charged and what has been paid
+const COMPONENTS = {
+  penalty: { amount: 'penaltyAmount', paid: 'penaltyPaid' },
+  fee: { amount: 'feeAmount', paid: 'feePaid' },
+  interest: { amount: 'interestAmount', paid: 'interestPaid' },
+  principal: { amount: 'principalAmount', paid: 'principalPaid' }
+};
+
+const DEFAULT_ORDER = ['penalty', 'fee', 'interest', 'principal'];
+
+// Razorpay does not accept orders under ₹1
+const MIN_PAYMENT = 100;
+
+/**
+ * Order in which a payment is spread over an EMI's components
+ * Set PAYMENT_ALLOCATION_ORDER (e.g. "interest,principal,penalty,fee"); any component left
+ * out is paid last in the default order.
+ * @returns {Array} Component names
+ */
+const getAllocationOrder = () => {
+  const configured = (process.env.PAYMENT_ALLOCATION_ORDER || '')
+    .split(',')
+    .map(c => c.trim())
+    .filter(c => COMPONENTS[c]);
+  return [...new Set([...configured, ...DEFAULT_ORDER])];
+};
+
+/**
+ * What is still owed on one component of an EMI
+ * @param {Object} emi - EMI document
+ * @param {String} component - penalty, fee, interest or principal
+ * @returns {Number} Paise
+ */
+const getComponentDue = (emi, component) => {
+  const { amount, paid } = COMPONENTS[component];
+  return Math.max(0, (emi[amount] || 0) - (emi[paid] || 0));
+};
+
+/**
+ * What is still owed on an EMI
+ * @param {Object} emi - EMI document
+ * @returns {Number} Paise
+ */
+const getOutstanding = (emi) => Math.max(0, emi.totalAmount - (emi.paidAmount || 0));
+
+/**
+ * Total still owed on a set of EMIs (paid or closed ones owe nothing)
+ * @param {Array} emiIds - EMI ids
+ * @returns {Number} Paise
+ */
+const getAmountDue = async (emiIds) => {
+  const emis = await EMI.find({ _id: { $in: emiIds }, status: { $in: PAYABLE_EMI_STATUSES } });
+  return emis.reduce((sum, emi) => sum + getOutstanding(emi), 0);
+};
+
+/**
+ * Check an optional payment amount against what is owed
+ * Paying more than is owed is only allowed for money a gateway will capture - the excess goes
+ * to the borrower's wallet. Simulated and recorded payments move no money through a gateway,
+ * so they are capped at what is owed.
+ * @param {Number|String} amount - Paise the borrower wants to pay (null/undefined = everything owed)
+ * @param {Number} outstanding - Paise still owed
+ * @param {Object} options - { allowOverpayment }
+ * @returns {String|null} Error message, or null if valid
+ */
+const validatePaymentAmount = (amount, outstanding, { allowOverpayment = false } = {}) => {
+  if (amount == null) return null;
+  const value = parseInt(amount);
+  if (isNaN(value) || value < 1) {
+    return 'Amount must be a positive number of paise';
+  }
+  if (value < Math.min(MIN_PAYMENT, outstanding)) {
+    return `Minimum payment is ${formatINR(MIN_PAYMENT)}`;
+  }
+  if (!allowOverpayment && value > outstanding) {
+    return `Amount cannot be more than the ${formatINR(outstanding)} outstanding`;
+  }
+  return null;
+};
+
+/**
+ * Apply money to an EMI in allocation order (does not save)
+ * The EMI becomes paid once nothing is owed, partially_paid otherwise.
+ * @param {Object} emi - Payable EMI document
+ * @param {Number} amount - Paise received (anything over the outstanding amount is returned as excess)
+ * @param {Object} options - { paidAt }
+ * @returns {Object} { penalty, fee, interest, principal, applied, excess } in paise
+ */
+const allocateToEMI = (emi, amount, { paidAt = new Date() } = {}) => {
+  const allocation = { penalty: 0, fee: 0, interest: 0, principal: 0 };
+  let left = amount;
+
+  getAllocationOrder().forEach(component => {
+    const share = Math.min(left, getComponentDue(emi, component));
+    if (share > 0) {
+      emi[COMPONENTS[component].paid] = (emi[COMPONENTS[component].paid] || 0) + share;
+      allocation[component] = share;
+      left -= share;
+    }
+  });
+
+  const applied = amount - left;
+  emi.paidAmount = (emi.paidAmount || 0) + applied;
+  emi.lastPaymentAt = paidAt;
+
+  if (getOutstanding(emi) === 0) {
+    emi.status = 'paid';
+    emi.paidAt = paidAt;
+  } else if (applied > 0) {
+    emi.status = 'partially_paid';
+  }
+
+  return { ...allocation, applied, excess: left };
+};
+
+/**
+ * Take money back off an EMI, undoing allocateToEMI in reverse allocation order (does not save)
+ * The EMI goes back to partially_paid if anything is still paid on it, otherwise to pending,
+ * or overdue if its due date has passed.
+ * @param {Object} emi - EMI document with money paid on it
+ * @param {Number} amount - Paise to reverse (anything over what is paid is returned as left)
+ * @returns {Object} { penalty, fee, interest, principal, reversed, left } in paise
+ */
+const reverseFromEMI = (emi, amount) => {
+  const reversal = { penalty: 0, fee: 0, interest: 0, principal: 0 };
+  let left = amount;
+
+  [...getAllocationOrder()].reverse().forEach(component => {
+    const share = Math.min(left, emi[COMPONENTS[component].paid] || 0);
+    if (share > 0) {
+      emi[COMPONENTS[component].paid] -= share;
+      reversal[component] = share;
+      left -= share;
+    }
+  });
+
+  const reversed = amount - left;
+  if (reversed > 0) {
+    emi.paidAmount -= reversed;
+    emi.paidAt = null;
+    if (emi.paidAmount > 0) {
+      emi.status = 'partially_paid';
+    } else {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      emi.status = emi.dueDate < today ? 'overdue' : 'pending';
+    }
+  }
+
+  return { ...reversal, reversed, left };
+};
+
+/**
+ * Close an active loan once nothing is owed on it (does not save)
+ * @param {Object} loan - Loan document (its session, if any, is used for the check)
+ * @param {Object} by - User closing it (null for system)
+ */
+const closeLoanIfRepaid = async (loan, by = null) => {
+  if (loan.status !== 'active') return;
+  const payableCount = await EMI.countDocuments({ loanId: loan._id, status: { $in: PAYABLE_EMI_STATUSES } })
+    .session(loan.$session());
+  if (payableCount === 0) {
+    transitionLoan(loan, 'closed', { by, reason: 'All EMIs paid' });
+    loan.closureReason = 'repaid';
+    loan.closedAt = new Date();
+  }
+};
+
+/**
+ * Record a payment against a loan's EMIs, oldest first, closing the loan once every EMI is paid.
+ * Any excess is credited to the borrower's wallet, and the payment is posted to the ledger.
+ * Call it through paymentApplication.applyPayment, which makes it idempotent; writes use the
+ * loan's session so they commit or roll back together.
+ * @param {Array} emis - Payable EMIs, in the order they should be paid (loaded in the loan's session)
+ * @param {Object} loan - Loan document
+ * @param {Number} amount - Paise received
+ * @param {Object} options - { paymentId, by, fromWallet: money taken from the borrower's wallet }
+ * @returns {Object} { emis: EMIs that received money, emiAmounts: [{ emiId, amount }] paid on each,
+ *   allocation: totals per component, applied, excess }
+ */
+const recordLoanPayment = async (emis, loan, amount, { paymentId, by = null, fromWallet = false } = {}) => {
+  const session = loan.$session();
+  let left = amount;
+  const paid = [];
+  const emiAmounts = [];
+  const totals = { penalty: 0, fee: 0, interest: 0, principal: 0 };
+
+  for (const emi of emis) {
+    if (left <= 0) break;
+    const allocation = allocateToEMI(emi, left);
+    if (allocation.applied === 0) continue;
+    await emi.save();
+    paid.push(emi);
+    emiAmounts.push({ emiId: emi._id, amount: allocation.applied });
+    Object.keys(totals).forEach(c => { totals[c] += allocation[c]; });
+    loan.totalPaid += allocation.applied;
+    loan.remainingBalance -= (allocation.principal + allocation.interest);
+    left = allocation.excess;
+  }
+
+  await closeLoanIfRepaid(loan, by);
+  await loan.save();
+  await postPayment(loan, { ...totals, excess: left }, { paymentId, fromWallet, by, session });
+
+  if (left > 0) {
+    await creditWallet(loan.userId, left, {
+      source: 'overpayment',
+      paymentId,
+      loanId: loan._id,
+      note: `${formatINR(left)} paid above the amount due`,
+      session
+    });
+  }
+
+  return { emis: paid, emiAmounts, allocation: totals, applied: amount - left, excess: left };
+};
+
+module.exports = {
+  PAYABLE_EMI_STATUSES,
+  getAllocationOrder,
+  getComponentDue,
+  getOutstanding,
+  getAmountDue,
+  validatePaymentAmount,
+  allocateToEMI,
+  reverseFromEMI,
+  recordLoanPayment,
+  closeLoanIfRepaid
+};
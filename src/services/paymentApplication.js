@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const EMI = require('../models/EMI');
+const Loan = require('../models/Loan');
+const Wallet = require('../models/Wallet');
+const Notification = require('../models/Notification');
+const PaymentApplication = require('../models/PaymentApplication');
+const { PAYABLE_EMI_STATUSES, getOutstanding, recordLoanPayment } = require('./paymentAllocation');
+const { debitWallet } = require('./wallet');
+const { recordCapture } = require('./paymentRecords');
+const { getInstallmentLabel } = require('./repaymentSchedule');
+const { formatINR } = require('../utils/money');
+
+// How each payment source is recorded in the Payment collection when the caller does not
+// name the gateway (record.gateway)
+const SOURCE_GATEWAYS = {
+  simulated: 'mock',
+  checkout: 'razorpay',
+  razorpay: 'razorpay',
+  autopay: 'razorpay',
+  admin: 'manual',
+  collector: 'manual',
+  wallet: 'wallet'
+};
+
+// Admin notification title for each payment source (wallet payments notify the borrower instead)
+const NOTIFICATION_TITLES = {
+  simulated: 'EMI Paid (Simulated)',
+  checkout: 'EMI Paid',
+  razorpay: 'EMI Paid',
+  autopay: 'EMI Paid (Autopay)',
+  admin: 'EMI Paid (Admin Manual)',
+  collector: 'EMI Collected'
+};
+
+const notifyPaymentApplied = async (application, loan, emis, by) => {
+  const title = NOTIFICATION_TITLES[application.source];
+  if (!title) return;
+
+  const amount = formatINR(application.applied);
+  const payer = by?.name || 'User';
+  let body;
+  if (application.applied === 0) {
+    body = `${formatINR(application.amount)} received for ${loan.applicantName} with nothing due - credited to their wallet`;
+  } else if (application.source === 'autopay') {
+    body = `${formatINR(application.amount)} collected via Autopay for ${loan.applicantName}`;
+  } else if (emis.length === 1) {
+    const label = getInstallmentLabel(loan.repaymentFrequency, emis[0].installmentNumber);
+    const state = emis[0].status === 'paid' ? 'paid' : 'part-paid';
+    body = application.source === 'admin'
+      ? `${label} EMI - ${amount} marked ${state} by Admin for ${loan.applicantName}`
+      : `${label} EMI - ${amount} ${state} by ${payer}`;
+  } else {
+    body = `${amount} paid towards ${emis.length} EMIs by ${application.source === 'admin' ? 'Admin' : payer} for ${loan.applicantName}`;
+  }
+
+  const notif = await Notification.create({
+    type: 'emi_paid',
+    forAdmin: true,
+    userId: loan.userId,
+    loanId: loan._id,
+    emiId: emis.length === 1 ? emis[0]._id : undefined,
+    title,
+    body,
+  });
+
+  const { emitNotification } = require('../socket');
+  await emitNotification(notif);
+};
+
+/**
+ * The record of a payment that has already been applied
+ * @param {String} paymentId - Gateway or generated payment id
+ * @returns {Object|null} PaymentApplication
+ */
+const findPaymentApplication = (paymentId) => PaymentApplication.findOne({ paymentId });
+
+/**
+ * Apply a payment to a loan exactly once. The first call for a payment id updates the EMIs,
+ * loan, wallet and ledger in one MongoDB transaction and records a PaymentApplication; a later
+ * call with the same id (a retry, or /verify racing the webhook) changes nothing and returns
+ * that same record. Transactions need MongoDB running as a replica set, as Atlas does.
+ * @param {Object} payment - { paymentId, source, loanId, amount (paise), emiIds, by, notify, record, onApplied }
+ *   emiIds limits the payment to those EMIs; without it the loan's unpaid EMIs are paid oldest
+ *   first. Money beyond what they owe goes to the borrower's wallet. Wallet payments debit the
+ *   wallet in the same transaction. notify: false skips the admin notification.
+ *   record: gateway details for the Payment record - { gateway, orderId, gatewayPaymentId, method, gatewayResponse }
+ *   onApplied(application, session): writes of the caller's own that must commit with the payment;
+ *   like the rest of the transaction it may run more than once
+ * @returns {Object} { application, replayed }
+ */
+const applyPayment = async ({ paymentId, source, loanId, amount, emiIds = null, by = null, notify = true, record = {}, onApplied = null }) => {
+  const existing = await findPaymentApplication(paymentId);
+  if (existing) return { application: existing, replayed: true };
+
+  let application;
+  let replayed;
+  let loan;
+  let paidEmis;
+
+  const session = await mongoose.startSession();
+  try {
+    // The callback can be retried on a write conflict, so it starts from scratch each time
+    await session.withTransaction(async () => {
+      application = await PaymentApplication.findOne({ paymentId }).session(session);
+      replayed = Boolean(application);
+      if (replayed) return;
+
+      loan = await Loan.findById(loanId).session(session);
+      if (!loan) throw new Error(`Loan ${loanId} not found`);
+
+      const filter = { loanId: loan._id, status: { $in: PAYABLE_EMI_STATUSES } };
+      if (emiIds) filter._id = { $in: emiIds };
+      const emis = await EMI.find(filter).sort({ installmentNumber: 1 }).session(session);
+
+      if (source === 'wallet') {
+        const txn = await debitWallet(loan.userId, amount, {
+          source: 'auto_apply',
+          paymentId,
+          loanId: loan._id,
+          note: `Applied to ${emis.length} due EMI(s)`,
+          session
+        });
+        if (!txn) throw new Error('Wallet balance is too low');
+      }
+
+      const wasActive = loan.status === 'active';
+      const result = await recordLoanPayment(emis, loan, amount, {
+        paymentId,
+        by,
+        fromWallet: source === 'wallet'
+      });
+      paidEmis = result.emis;
+
+      [application] = await PaymentApplication.create([{
+        paymentId,
+        source,
+        loanId: loan._id,
+        userId: loan.userId,
+        amount,
+        applied: result.applied,
+        excess: result.excess,
+        allocation: result.allocation,
+        emiIds: result.emis.map(e => e._id),
+        emiAmounts: result.emiAmounts,
+        loanClosed: wasActive && loan.status === 'closed',
+        appliedBy: by?._id || null
+      }], { session });
+
+      await recordCapture({
+        userId: loan.userId,
+        loanId: loan._id,
+        purpose: source === 'autopay' ? 'autopay' : (emis.length > 1 ? 'multi_emi' : 'emi'),
+        gateway: SOURCE_GATEWAYS[source],
+        amount,
+        paymentId,
+        applicationId: application._id,
+        emiIds: application.emiIds,
+        recordedBy: ['admin', 'collector'].includes(source) ? by : null,
+        ...record
+      }, { session });
+
+      if (onApplied) await onApplied(application, session);
+    });
+  } catch (error) {
+    // Another request applied the same payment between our check and our commit
+    if (error.code === 11000) {
+      const winner = await findPaymentApplication(paymentId);
+      if (winner) return { application: winner, replayed: true };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  // The payment is already committed, so a failed notification must not fail the request
+  if (!replayed && notify) {
+    try {
+      await notifyPaymentApplied(application, loan, paidEmis, by);
+    } catch (err) {
+      console.error('Payment notification error for', paymentId, err);
+    }
+  }
+  return { application, replayed };
+};
+
+/**
+ * Daily job: use wallet balances to pay EMIs falling due today (and any still unpaid
+ * from before), oldest first. Runs before processOverdueEMIs so a covered EMI is never
+ * marked overdue. Each loan's share is one wallet payment, applied under paymentId wallet_<id>.
+ * @returns {Number} Paise applied across all wallets
+ */
+const applyWalletToDueEMIs = async () => {
+  const tomorrow = new Date();
+  tomorrow.setHours(0, 0, 0, 0);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+
+  const wallets = await Wallet.find({ balance: { $gt: 0 } });
+  let total = 0;
+
+  for (const wallet of wallets) {
+    try {
+      const dueEmis = await EMI.find({
+        userId: wallet.userId,
+        status: { $in: PAYABLE_EMI_STATUSES },
+        dueDate: { $lt: tomorrow }
+      }).sort({ dueDate: 1, installmentNumber: 1 });
+
+      const byLoan = {};
+      dueEmis.forEach(emi => {
+        const key = emi.loanId.toString();
+        (byLoan[key] = byLoan[key] || []).push(emi);
+      });
+
+      let balance = wallet.balance;
+      for (const [loanId, emis] of Object.entries(byLoan)) {
+        if (balance <= 0) break;
+
+        const loan = await Loan.findById(loanId).select('status');
+        if (!loan || loan.status !== 'active') continue;
+
+        const owed = emis.reduce((sum, e) => sum + getOutstanding(e), 0);
+        const amount = Math.min(balance, owed);
+        if (amount <= 0) continue;
+
+        const { application } = await applyPayment({
+          paymentId: `wallet_${new mongoose.Types.ObjectId()}`,
+          source: 'wallet',
+          loanId,
+          amount,
+          emiIds: emis.map(e => e._id),
+          notify: false,
+          record: { method: 'wallet' }
+        });
+        balance -= amount;
+        total += application.applied;
+
+        const notif = await Notification.create({
+          type: 'emi_paid',
+          forAdmin: false,
+          userId: wallet.userId,
+          loanId: application.loanId,
+          title: 'EMI Paid from Wallet',
+          body: `${formatINR(application.applied)} from your wallet was used to pay your due EMI.`,
+        });
+
+        const { emitNotification } = require('../socket');
+        await emitNotification(notif);
+      }
+    } catch (err) {
+      console.error('Wallet auto-apply error for user', wallet.userId, err);
+    }
+  }
+
+  console.log(`Applied ${formatINR(total)} from wallets to due EMIs`);
+  return total;
+};
+
+module.exports = {
+  findPaymentApplication,
+  applyPayment,
+  applyWalletToDueEMIs
+};
@@ -0,0 +1,134 @@
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+
+/**
+ * Record a gateway order before the borrower pays it
+ * @param {Object} details - { userId, loanId, purpose, emiIds, gateway: its name, order: from gateway.createOrder, mandateId }
+ * @returns {Object} Payment
+ */
+const recordOrder = ({ userId, loanId, purpose, emiIds = [], gateway, order, mandateId = null }) => Payment.create({
+  userId,
+  loanId,
+  purpose,
+  mandateId,
+  gateway,
+  amount: order.amount,
+  currency: order.currency || 'INR',
+  orderId: order.id,
+  emiIds,
+  gatewayResponse: order.raw
+});
+
+/**
+ * Record a failed attempt against an order. A captured payment stays captured.
+ * @param {String} orderId - Gateway order id
+ * @param {Object} attempt - { gatewayPaymentId, method, errorCode, errorDescription, response }
+ * @returns {Object|null} Payment, or null if the order is unknown
+ */
+const recordFailedAttempt = async (orderId, { gatewayPaymentId = null, method = null, errorCode = null, errorDescription = null, response = null }) => {
+  const payment = await Payment.findOne({ orderId });
+  if (!payment) return null;
+
+  // The gateway can report the same failure twice (checkout callback and webhook)
+  const seen = gatewayPaymentId && payment.attempts.some(a => a.gatewayPaymentId === gatewayPaymentId && a.status === 'failed');
+  if (!seen) {
+    payment.attempts.push({ gatewayPaymentId, status: 'failed', method, errorCode, errorDescription });
+  }
+  if (payment.status !== 'captured') {
+    payment.status = 'failed';
+    payment.failureReason = errorDescription || errorCode || 'Payment failed';
+    payment.method = method || payment.method;
+    if (response) payment.gatewayResponse = response;
+  }
+  await payment.save();
+  return payment;
+};
+
+/**
+ * Record money received. Updates the order's Payment when there is one, otherwise creates it.
+ * @param {Object} details - { userId, loanId, purpose, gateway, amount, orderId, gatewayPaymentId,
+ *   paymentId, method, gatewayResponse, emiIds, applicationId, recordedBy }
+ * @param {Object} options - { session }
+ * @returns {Object} Payment
+ */
+const recordCapture = async (details, { session = null } = {}) => {
+  const { orderId = null, gatewayPaymentId = null, method = null } = details;
+
+  let payment = orderId ? await Payment.findOne({ orderId }).session(session) : null;
+  if (!payment) {
+    payment = new Payment({
+      userId: details.userId,
+      loanId: details.loanId,
+      purpose: details.purpose,
+      gateway: details.gateway,
+      amount: details.amount,
+      orderId
+    });
+  }
+
+  payment.status = 'captured';
+  payment.amount = details.amount;
+  payment.gatewayPaymentId = gatewayPaymentId;
+  payment.paymentId = details.paymentId;
+  payment.applicationId = details.applicationId || null;
+  payment.method = method || payment.method;
+  payment.emiIds = details.emiIds || payment.emiIds;
+  payment.recordedBy = details.recordedBy?._id || details.recordedBy || null;
+  payment.capturedAt = new Date();
+  payment.failureReason = null;
+  if (details.gatewayResponse) payment.gatewayResponse = details.gatewayResponse;
+  payment.attempts.push({ gatewayPaymentId, status: 'captured', method });
+
+  await payment.save({ session });
+  return payment;
+};
+
+/**
+ * Build a Payment query from admin search filters
+ * search matches order, gateway payment and payment ids, or the borrower's name, email or mobile
+ * @param {Object} filters - { search, status, gateway, purpose, loanId, userId, startDate, endDate }
+ * @returns {Object} Mongo query
+ */
+const buildPaymentQuery = async ({ search, status, gateway, purpose, loanId, userId, startDate, endDate }) => {
+  const query = {};
+  if (status) query.status = status;
+  if (gateway) query.gateway = gateway;
+  if (purpose) query.purpose = purpose;
+  if (loanId) query.loanId = loanId;
+  if (userId) query.userId = userId;
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) {
+      const start = new Date(startDate);
+      start.setHours(0, 0, 0, 0);
+      query.createdAt.$gte = start;
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+
+  if (search && String(search).trim()) {
+    const term = String(search).trim();
+    const pattern = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    const users = await User.find({ $or: [{ name: pattern }, { email: pattern }, { mobile: pattern }] }).select('_id');
+    query.$or = [
+      { orderId: term },
+      { gatewayPaymentId: term },
+      { paymentId: term },
+      { userId: { $in: users.map(u => u._id) } }
+    ];
+  }
+
+  return query;
+};
+
+module.exports = {
+  recordOrder,
+  recordFailedAttempt,
+  recordCapture,
+  buildPaymentQuery
+};
@@ -0,0 +1,33 @@
+// Payout providers send loan money to borrowers. Each provider exposes:
+//   createPayout({ amount, mode, beneficiary, referenceId, notes })
+//     -> { id, status: 'processing' | 'processed' | 'failed', utr, failureReason }
+//   fetchPayout(id) -> same shape as createPayout
+// Pick one with PAYOUT_PROVIDER - there is no default. The mock sends no money, so it is
+// refused when NODE_ENV=production.
+
+const mockProvider = require('./mock');
+
+const providers = {
+  mock: mockProvider
+};
+
+/**
+ * Get the configured payout provider
+ * @returns {Object} Provider with a name and the createPayout/fetchPayout functions
+ */
+const getPayoutProvider = () => {
+  const name = process.env.PAYOUT_PROVIDER;
+  if (!name) {
+    throw new Error('PAYOUT_PROVIDER not configured');
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payout provider: ${name}`);
+  }
+  if (provider === mockProvider && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payout provider cannot be used in production');
+  }
+  return provider;
+};
+
+module.exports = { getPayoutProvider };
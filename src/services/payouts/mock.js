@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Local stand-in for a real payout API, for development and staging.
+// Payouts settle immediately unless the beneficiary account number (or VPA) ends in "0000",
+// which fails, or "1111", which stays processing until fetched again. Payouts live in memory;
+// one forgotten on a restart is reported failed, since the mock never sent any money.
+const payouts = new Map();
+
+const randomDigits = (length) => {
+  let digits = '';
+  while (digits.length < length) digits += crypto.randomInt(0, 10);
+  return digits;
+};
+
+const createPayout = async ({ amount, mode, beneficiary = {}, referenceId }) => {
+  const target = beneficiary.accountNumber || beneficiary.vpa || '';
+  const payout = {
+    id: `mockpout_${crypto.randomBytes(8).toString('hex')}`,
+    amount,
+    mode,
+    referenceId,
+    status: 'processed',
+    utr: `MOCK${randomDigits(12)}`,
+    failureReason: ''
+  };
+
+  if (target.endsWith('0000')) {
+    payout.status = 'failed';
+    payout.utr = '';
+    payout.failureReason = 'Beneficiary account is invalid (mock)';
+  } else if (target.endsWith('1111')) {
+    payout.status = 'processing';
+  }
+
+  payouts.set(payout.id, payout);
+  console.log(`Mock payout ${payout.id}: ${payout.status} for ${amount} paise`);
+  return { ...payout };
+};
+
+const fetchPayout = async (id) => {
+  const payout = payouts.get(id);
+  if (!payout) {
+    return { id, status: 'failed', utr: '', failureReason: 'Payout was lost when the mock provider restarted' };
+  }
+  // A processing payout settles the next time it is checked
+  if (payout.status === 'processing') {
+    payout.status = 'processed';
+  }
+  return { ...payout };
+};
+
+module.exports = {
+  name: 'mock',
+  createPayout,
+  fetchPayout
+};
@@ -0,0 +1,124 @@
+// Late-payment penalties. Every penalty figure (the overdue cron, admin previews and
+// foreclosure quotes) comes from calculatePenalty so they always agree.
+//   mode 'flat': rate paise per day late
+//   mode 'percentage': rate percent of the installment (principal + interest) per day late;
+//     with compounding on, each day's percentage also applies to the penalty accrued so far
+// graceDays are free; perEmiCap and perLoanCap (paise, 0 = no cap) limit the total.
+
+const PENALTY_MODES = ['flat', 'percentage'];
+
+// The penalty charged before policies were configurable - one day's interest per day late -
+// as a percentage of the installment on the standard 20% daily loan (20 / 120), as
+// scripts/migrate-penalty-policy.js converts it
+const DEFAULT_PENALTY_RATE = 16.6667;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a penalty policy before saving it on a loan
+ * @param {Object} policy - { graceDays, mode, rate, perEmiCap, perLoanCap, compounding }
+ * @returns {String|null} Error message, or null if valid
+ */
+const validatePenaltyPolicy = (policy) => {
+  if (!policy || typeof policy !== 'object') {
+    return 'A penalty policy is required';
+  }
+  if (!PENALTY_MODES.includes(policy.mode)) {
+    return `Penalty mode must be one of: ${PENALTY_MODES.join(', ')}`;
+  }
+  for (const field of ['graceDays', 'rate', 'perEmiCap', 'perLoanCap']) {
+    if (policy[field] != null && !(Number(policy[field]) >= 0)) {
+      return `${field} must be zero or more`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Whole days between an EMI's due date and a date (0 if not yet late)
+ * If due 12th and asOf is 13th -> 1 day overdue
+ * @param {Date} dueDate - EMI due date
+ * @param {Date} asOf - Date to measure to (time of day is ignored)
+ * @returns {Number}
+ */
+const getDaysOverdue = (dueDate, asOf = new Date()) => {
+  const day = new Date(asOf);
+  day.setHours(0, 0, 0, 0);
+  return Math.max(0, Math.round((day.getTime() - new Date(dueDate).getTime()) / DAY_MS));
+};
+
+/**
+ * Penalty an EMI should carry as of a date
+ * @param {Object} emi - EMI document (principalAmount, interestAmount, dueDate)
+ * @param {Object} policy - Loan's penaltyPolicy
+ * @param {Object} options - { asOf, otherPenalties: penalties on the loan's other EMIs, for perLoanCap }
+ * @returns {Number} Penalty in paise
+ */
+const calculatePenalty = (emi, policy = {}, { asOf = new Date(), otherPenalties = 0 } = {}) => {
+  const penaltyDays = Math.max(0, getDaysOverdue(emi.dueDate, asOf) - (policy.graceDays || 0));
+  if (penaltyDays === 0) return 0;
+
+  const rate = policy.rate || 0;
+  const installment = emi.principalAmount + emi.interestAmount;
+  let penalty;
+  if (policy.mode === 'flat') {
+    penalty = rate * penaltyDays;
+  } else if (policy.compounding) {
+    penalty = installment * (Math.pow(1 + rate / 100, penaltyDays) - 1);
+  } else {
+    penalty = installment * (rate / 100) * penaltyDays;
+  }
+  penalty = Math.ceil(penalty);
+
+  if (policy.perEmiCap > 0) {
+    penalty = Math.min(penalty, policy.perEmiCap);
+  }
+  if (policy.perLoanCap > 0) {
+    penalty = Math.min(penalty, Math.max(0, policy.perLoanCap - otherPenalties));
+  }
+  return penalty;
+};
+
+/**
+ * Penalty an EMI has accrued so far, before waivers
+ * (EMIs from before waivers existed only have penaltyAmount)
+ * @param {Object} emi - EMI document
+ * @returns {Number} Paise
+ */
+const getAccruedPenalty = (emi) =>
+  Math.max(emi.penaltyAccrued || 0, (emi.penaltyAmount || 0) + (emi.penaltyWaived || 0));
+
+/**
+ * Work out the penalty on each of a loan's unpaid EMIs, oldest first so the
+ * per-loan cap is used up by the EMIs that went overdue first. Accrued penalties are
+ * never reduced, and waived amounts stay waived: only new accrual is added on top.
+ * @param {Object} loan - Loan document (penaltyPolicy, penaltyAmount, penaltyWaived)
+ * @param {Array} emis - The loan's unpaid EMIs
+ * @param {Date} asOf - Date to calculate to
+ * @returns {Array} [{ emi, accrued, penalty, delta }] - penalty is what is payable after
+ *   waivers, delta the increase over what the EMI already carries
+ */
+const calculateLoanPenalties = (loan, emis, asOf = new Date()) => {
+  // Caps count everything charged, including what was later waived
+  let loanTotal = (loan.penaltyAmount || 0) + (loan.penaltyWaived || 0);
+
+  return [...emis]
+    .sort((a, b) => a.dueDate - b.dueDate)
+    .map(emi => {
+      const current = getAccruedPenalty(emi);
+      const calculated = calculatePenalty(emi, loan.penaltyPolicy, { asOf, otherPenalties: loanTotal - current });
+      const accrued = Math.max(current, calculated);
+      loanTotal += accrued - current;
+      return { emi, accrued, penalty: accrued - (emi.penaltyWaived || 0), delta: accrued - current };
+    });
+};
+
+module.exports = {
+  PENALTY_MODES,
+  DEFAULT_PENALTY_RATE,
+  validatePenaltyPolicy,
+  getDaysOverdue,
+  calculatePenalty,
+  getAccruedPenalty,
+  calculateLoanPenalties
+};
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const EMI = require('../models/EMI');
+const Loan = require('../models/Loan');
+const PenaltyWaiver = require('../models/PenaltyWaiver');
+const Notification = require('../models/Notification');
+const { PAYABLE_EMI_STATUSES, getComponentDue, getOutstanding, closeLoanIfRepaid } = require('./paymentAllocation');
+const { postWaiver } = require('./ledger');
+const { formatINR } = require('../utils/money');
+
+/**
+ * Largest waiver (paise) one admin can apply without a second admin's approval
+ * Set PENALTY_WAIVER_APPROVAL_LIMIT; defaults to ₹500
+ * @returns {Number}
+ */
+const getApprovalLimit = () => {
+  const limit = parseInt(process.env.PENALTY_WAIVER_APPROVAL_LIMIT);
+  return isNaN(limit) ? 50000 : limit;
+};
+
+/**
+ * Check a waiver request against the EMIs it would apply to
+ * @param {Object} options - { amount (paise, omit for a full waiver), reason }
+ * @param {Array} emis - Unpaid EMIs the waiver covers
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateWaiver = ({ amount, reason }, emis) => {
+  if (!reason || !String(reason).trim()) {
+    return 'A reason is required to waive a penalty';
+  }
+  if (amount != null && !(parseInt(amount) > 0)) {
+    return 'Waiver amount must be a positive number of paise';
+  }
+  const penalty = emis.reduce((sum, e) => sum + getComponentDue(e, 'penalty'), 0);
+  if (penalty === 0) {
+    return 'There is no outstanding penalty to waive';
+  }
+  if (amount != null && parseInt(amount) > penalty) {
+    return `Cannot waive more than the outstanding penalty of ${formatINR(penalty)}`;
+  }
+  return null;
+};
+
+/**
+ * Split a waiver across EMIs, oldest due first. A full waiver takes every EMI's whole penalty.
+ * @param {Array} emis - Unpaid EMIs with a penalty
+ * @param {Number|null} amount - Paise to waive, or null for everything
+ * @returns {Array} [{ emiId, amount }]
+ */
+const allocateWaiver = (emis, amount) => {
+  let left = amount == null ? Infinity : amount;
+  const items = [];
+  [...emis].sort((a, b) => a.dueDate - b.dueDate).forEach(emi => {
+    const share = Math.min(left, getComponentDue(emi, 'penalty'));
+    if (share > 0) {
+      items.push({ emiId: emi._id, amount: share });
+      left -= share;
+    }
+  });
+  return items;
+};
+
+/**
+ * Take an approved waiver off the EMIs and the loan, in one MongoDB transaction - a payment
+ * applied at the same moment (applyPayment) conflicts with it and is retried, so neither
+ * overwrites the other. EMIs paid (or closed) since the request are skipped, and no EMI goes
+ * below zero penalty.
+ * @param {Object} waiver - PenaltyWaiver document
+ * @returns {Object} The waiver, marked applied
+ */
+const applyWaiver = async (waiver) => {
+  let current;
+  let applied;
+
+  const session = await mongoose.startSession();
+  try {
+    // The callback can be retried on a write conflict, so it starts from scratch each time
+    await session.withTransaction(async () => {
+      applied = 0;
+      current = await PenaltyWaiver.findById(waiver._id).session(session);
+      if (current.status === 'applied') return;
+
+      for (const item of current.items) {
+        const emi = await EMI.findById(item.emiId).session(session);
+        if (!emi || !PAYABLE_EMI_STATUSES.includes(emi.status)) continue;
+
+        // Penalty the borrower has already paid cannot be waived
+        const amount = Math.min(item.amount, getComponentDue(emi, 'penalty'));
+        if (amount <= 0) continue;
+
+        // Pin down what has accrued so the overdue job only adds new penalty on top
+        emi.penaltyAccrued = Math.max(emi.penaltyAccrued || 0, (emi.penaltyAmount || 0) + (emi.penaltyWaived || 0));
+        emi.penaltyWaived = (emi.penaltyWaived || 0) + amount;
+        emi.penaltyAmount -= amount;
+        emi.totalAmount -= amount;
+        // A part-paid EMI that only owed penalty is now settled
+        if (getOutstanding(emi) === 0) {
+          emi.status = 'paid';
+          emi.paidAt = new Date();
+        }
+        await emi.save();
+
+        item.appliedAmount = amount;
+        applied += amount;
+      }
+
+      const loan = await Loan.findById(current.loanId).session(session);
+      if (loan) {
+        loan.penaltyAmount -= applied;
+        loan.penaltyWaived = (loan.penaltyWaived || 0) + applied;
+        await closeLoanIfRepaid(loan, current.decidedBy);
+        await loan.save();
+        await postWaiver(loan, applied, { reference: current._id, by: current.decidedBy, session });
+      }
+
+      current.status = 'applied';
+      current.appliedAt = new Date();
+      await current.save();
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (applied > 0) {
+    const notif = await Notification.create({
+      type: 'penalty_waived',
+      forAdmin: false,
+      userId: waiver.userId,
+      loanId: waiver.loanId,
+      emiId: waiver.scope === 'emi' ? waiver.items[0].emiId : undefined,
+      title: 'Penalty Waived',
+      body: `${formatINR(applied)} of late-payment penalty has been waived on your loan.`,
+    });
+
+    const { emitNotification } = require('../socket');
+    await emitNotification(notif);
+  }
+
+  return current;
+};
+
+/**
+ * Record a waiver request and apply it if it is within the approval limit
+ * @param {Object} loan - Loan document
+ * @param {Array} emis - Unpaid EMIs to waive (one for an EMI waiver, all for a loan waiver)
+ * @param {Object} options - Validated { scope, amount (paise, omit for full), reason }
+ * @param {Object} admin - Admin requesting the waiver
+ * @returns {Object} The waiver
+ */
+const requestWaiver = async (loan, emis, { scope, amount, reason }, admin) => {
+  const requested = amount != null ? parseInt(amount) : null;
+  const penalty = emis.reduce((sum, e) => sum + getComponentDue(e, 'penalty'), 0);
+
+  const items = allocateWaiver(emis, requested);
+  const waiver = await PenaltyWaiver.create({
+    loanId: loan._id,
+    userId: loan.userId,
+    scope,
+    items,
+    amount: items.reduce((sum, i) => sum + i.amount, 0),
+    full: requested == null || requested === penalty,
+    reason: String(reason).trim(),
+    requestedBy: admin._id
+  });
+
+  if (waiver.amount <= getApprovalLimit()) {
+    waiver.decidedBy = admin._id;
+    waiver.decidedAt = new Date();
+    return applyWaiver(waiver);
+  }
+  return waiver;
+};
+
+/**
+ * Approve or reject a waiver that is waiting for a second admin. The decision is claimed on
+ * the waiver first, so two admins deciding at once cannot both apply it.
+ * @param {Object} waiver - PenaltyWaiver document in pending_approval
+ * @param {Boolean} approve - true to apply it
+ * @param {Object} admin - Deciding admin (not the requester)
+ * @param {String} rejectionReason - Required when rejecting
+ * @returns {Object|null} The waiver, or null if it was decided by someone else meanwhile
+ */
+const decideWaiver = async (waiver, approve, admin, rejectionReason) => {
+  const decision = { decidedBy: admin._id, decidedAt: new Date() };
+  if (!approve) {
+    decision.status = 'rejected';
+    decision.rejectionReason = String(rejectionReason || '').trim();
+  }
+
+  const claimed = await PenaltyWaiver.findOneAndUpdate(
+    { _id: waiver._id, status: 'pending_approval', decidedBy: null },
+    decision,
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  return approve ? applyWaiver(claimed) : claimed;
+};
+
+module.exports = {
+  getApprovalLimit,
+  validateWaiver,
+  requestWaiver,
+  decideWaiver
+};
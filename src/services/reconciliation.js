@@ -0,0 +1,264 @@
+const Payment = require('../models/Payment');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const Notification = require('../models/Notification');
+const { handlePaymentCaptured } = require('./webhookEvents');
+const { getPaymentGateway, isPaymentGateway } = require('./gateways');
+const { formatINR } = require('../utils/money');
+
+// Gateway payment statuses that mean the money was collected (a refunded payment was collected first)
+const COLLECTED_STATUSES = ['captured', 'refunded'];
+
+// Order purposes an auto-fix can settle, the way the payment.captured webhook would have.
+// Subscription charges have no order of ours to say which loan they were for.
+const FIXABLE_PURPOSES = ['emi', 'multi_emi', 'foreclosure', 'mandate', 'autopay'];
+
+// Longest range one run covers; each gateway payment in it is looked up locally
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * The range the daily job reconciles: all of yesterday
+ * @returns {Object} { from, to }
+ */
+const getPreviousDay = () => {
+  const to = new Date();
+  to.setHours(0, 0, 0, 0);
+  const from = new Date(to);
+  from.setDate(from.getDate() - 1);
+  return { from, to };
+};
+
+/**
+ * Check a reconciliation request
+ * @param {Object} options - { from, to, gateway } (dates as strings; both or neither)
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateReconciliationRequest = ({ from, to, gateway }) => {
+  if (gateway && !isPaymentGateway(gateway)) {
+    return `Unknown payment gateway: ${gateway}`;
+  }
+  if (!from && !to) return null;
+
+  const start = new Date(from);
+  const end = new Date(to);
+  if (isNaN(start) || isNaN(end)) {
+    return 'from and to must both be valid dates';
+  }
+  if (start >= end) {
+    return 'from must be before to';
+  }
+  if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return `A reconciliation can cover at most ${MAX_RANGE_DAYS} days`;
+  }
+  return null;
+};
+
+const countDiscrepancies = (report) => {
+  report.summary.discrepancies = report.discrepancies.length;
+  report.summary.unresolved = report.discrepancies.filter(d => !d.resolved).length;
+};
+
+const localFields = (payment) => ({
+  orderId: payment.orderId,
+  paymentRecordId: payment._id,
+  loanId: payment.loanId,
+  emiIds: payment.emiIds,
+  localAmount: payment.amount,
+  localStatus: payment.status
+});
+
+const notifyDiscrepancies = async (report) => {
+  const notif = await Notification.create({
+    type: 'reconciliation_discrepancies',
+    forAdmin: true,
+    title: 'Payment Reconciliation',
+    body: `${report.summary.discrepancies} payment discrepancies found with ${report.gateway} for ` +
+      `${report.from.toDateString()} - ${report.summary.matched} of ${report.summary.gatewayPayments} gateway payments matched`,
+  });
+
+  const { emitNotification } = require('../socket');
+  await emitNotification(notif);
+};
+
+/**
+ * Compare a gateway's collected payments for a date range with the Payment collection and
+ * store the differences as a ReconciliationReport. Gateway payments are matched to captured
+ * Payments by gateway payment id (and to their checkout order by order id); captured Payments
+ * the gateway's list does not include are looked up one by one before being reported, since
+ * they may have been created just outside the range.
+ * @param {Object} options - { gateway (default: the configured one), from, to (default: yesterday), by }
+ * @returns {Object} The ReconciliationReport (status completed, or failed with error)
+ */
+const runReconciliation = async ({ gateway: name = null, from = null, to = null, by = null } = {}) => {
+  const range = from && to ? { from: new Date(from), to: new Date(to) } : getPreviousDay();
+  const gateway = getPaymentGateway(name);
+
+  const report = await ReconciliationReport.create({
+    gateway: gateway.name,
+    ...range,
+    triggeredBy: by?._id || null
+  });
+
+  try {
+    const gatewayPayments = (await gateway.listPayments(range))
+      .filter(payment => COLLECTED_STATUSES.includes(payment.status));
+    const localPayments = await Payment.find({
+      gateway: gateway.name,
+      status: 'captured',
+      capturedAt: { $gte: range.from, $lt: range.to }
+    });
+
+    let matched = 0;
+    const seen = new Set();
+
+    for (const collected of gatewayPayments) {
+      seen.add(collected.id);
+      const local = await Payment.findOne({ gatewayPaymentId: collected.id, status: 'captured' });
+
+      if (local) {
+        if (local.amount === collected.amount) {
+          matched++;
+        } else {
+          report.discrepancies.push({
+            type: 'amount_mismatch',
+            gatewayPaymentId: collected.id,
+            gatewayAmount: collected.amount,
+            gatewayStatus: collected.status,
+            ...localFields(local)
+          });
+        }
+        continue;
+      }
+
+      const order = collected.orderId ? await Payment.findOne({ orderId: collected.orderId }) : null;
+      report.discrepancies.push({
+        type: 'pending_locally',
+        gatewayPaymentId: collected.id,
+        gatewayAmount: collected.amount,
+        gatewayStatus: collected.status,
+        ...(order ? localFields(order) : { orderId: collected.orderId }),
+        localAmount: null,
+        fixable: Boolean(collected.status === 'captured' && order?.loanId && FIXABLE_PURPOSES.includes(order.purpose) &&
+          (order.purpose !== 'autopay' || order.mandateId))
+      });
+    }
+
+    for (const local of localPayments) {
+      if (seen.has(local.gatewayPaymentId)) continue;
+
+      let found = null;
+      if (local.gatewayPaymentId) {
+        try {
+          found = await gateway.fetchPayment(local.gatewayPaymentId);
+        } catch (error) {
+          found = null;
+        }
+      }
+
+      if (found && COLLECTED_STATUSES.includes(found.status) && found.amount === local.amount) {
+        matched++;
+        continue;
+      }
+      report.discrepancies.push({
+        type: found && COLLECTED_STATUSES.includes(found.status) ? 'amount_mismatch' : 'missing_at_gateway',
+        gatewayPaymentId: local.gatewayPaymentId,
+        gatewayAmount: found ? found.amount : null,
+        gatewayStatus: found ? found.status : null,
+        ...localFields(local)
+      });
+    }
+
+    report.summary.gatewayPayments = gatewayPayments.length;
+    report.summary.localPayments = localPayments.length;
+    report.summary.matched = matched;
+    countDiscrepancies(report);
+    report.status = 'completed';
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    report.status = 'failed';
+    report.error = error.message;
+  }
+
+  report.completedAt = new Date();
+  await report.save();
+
+  if (report.summary.discrepancies > 0) {
+    await notifyDiscrepancies(report);
+  }
+  console.log(`Reconciled ${report.gateway} payments for ${range.from.toISOString()} - ${range.to.toISOString()}: ` +
+    `${report.summary.matched} matched, ${report.summary.discrepancies} discrepancies`);
+  return report;
+};
+
+/**
+ * Auto-fix a report's fixable discrepancies: payments the gateway collected for our checkout
+ * orders are applied (or settle the foreclosure) just as the payment.captured webhook would.
+ * Amount mismatches and payments missing at the gateway need an admin to look at them.
+ * @param {Object} report - ReconciliationReport document
+ * @param {Object} by - Admin triggering the fix
+ * @param {Array} discrepancyIds - Limit the fix to these discrepancies (default: all fixable)
+ * @returns {Object} { fixed, failed }
+ */
+const fixDiscrepancies = async (report, by, discrepancyIds = null) => {
+  const gateway = getPaymentGateway(report.gateway);
+  let fixed = 0;
+  let failed = 0;
+
+  for (const discrepancy of report.discrepancies) {
+    if (discrepancy.resolved || !discrepancy.fixable) continue;
+    if (discrepancyIds && !discrepancyIds.map(String).includes(String(discrepancy._id))) continue;
+
+    try {
+      // Fetched again so the fix acts on what the gateway says now
+      const payment = await gateway.fetchPayment(discrepancy.gatewayPaymentId);
+      if (payment.status !== 'captured') {
+        throw new Error(`Gateway payment is now ${payment.status}`);
+      }
+
+      // Every way of settling a payment marks its order captured
+      await handlePaymentCaptured({ payment }, gateway.name);
+      if (!(await Payment.exists({ orderId: discrepancy.orderId, status: 'captured' }))) {
+        throw new Error('Payment was not applied');
+      }
+
+      discrepancy.resolved = true;
+      discrepancy.resolution = `Applied ${formatINR(payment.amount)} to the loan`;
+      discrepancy.resolvedBy = by._id;
+      discrepancy.resolvedAt = new Date();
+      fixed++;
+    } catch (error) {
+      console.error('Reconciliation fix error for', discrepancy.gatewayPaymentId, error);
+      discrepancy.resolution = `Auto-fix failed: ${error.message}`;
+      failed++;
+    }
+  }
+
+  countDiscrepancies(report);
+  await report.save();
+  return { fixed, failed };
+};
+
+/**
+ * Mark a discrepancy handled by hand (e.g. an amount mismatch settled with the borrower)
+ * @param {Object} report - ReconciliationReport document
+ * @param {Object} discrepancy - One of its discrepancies, not yet resolved
+ * @param {String} note - What was done
+ * @param {Object} by - Admin resolving it
+ * @returns {Object} The report
+ */
+const resolveDiscrepancy = async (report, discrepancy, note, by) => {
+  discrepancy.resolved = true;
+  discrepancy.resolution = String(note).trim();
+  discrepancy.resolvedBy = by._id;
+  discrepancy.resolvedAt = new Date();
+
+  countDiscrepancies(report);
+  await report.save();
+  return report;
+};
+
+module.exports = {
+  validateReconciliationRequest,
+  runReconciliation,
+  fixDiscrepancies,
+  resolveDiscrepancy
+};
@@ -0,0 +1,378 @@
+const mongoose = require('mongoose');
+const EMI = require('../models/EMI');
+const Loan = require('../models/Loan');
+const Wallet = require('../models/Wallet');
+const Payment = require('../models/Payment');
+const PaymentApplication = require('../models/PaymentApplication');
+const Refund = require('../models/Refund');
+const Notification = require('../models/Notification');
+const { reverseFromEMI } = require('./paymentAllocation');
+const { transitionLoan } = require('./loanStatus');
+const { postRefund } = require('./ledger');
+const { creditWallet, debitWallet } = require('./wallet');
+const { getPaymentGateway, isPaymentGateway } = require('./gateways');
+const { formatINR } = require('../utils/money');
+
+/**
+ * What is left to refund on a payment. Refunds made on the gateway's own dashboard (recorded
+ * from the refund.processed webhook) count against it too, though they reverse nothing.
+ * @param {Object} payment - Payment document
+ * @param {Object} application - Its PaymentApplication
+ * @returns {Object} { amount, excess: paise of the overpayment not yet refunded }
+ */
+const getRefundable = async (payment, application) => {
+  const refunds = await Refund.find({ paymentRecordId: payment._id, status: { $in: ['pending', 'processed'] } });
+  const requested = refunds.reduce((sum, r) => sum + r.amount, 0);
+  const excessRefunded = refunds.reduce((sum, r) => sum + r.excessAmount, 0);
+
+  return {
+    amount: Math.max(0, payment.amount - Math.max(payment.refundedAmount || 0, requested)),
+    excess: Math.max(0, application.excess - excessRefunded)
+  };
+};
+
+// How the money goes back: through the gateway that took it, into the wallet it came from,
+// or (admin-recorded and simulated payments) nowhere - the loan is only corrected
+const getRefundMethod = (payment) => {
+  if (payment.gateway === 'wallet') return 'wallet';
+  if (isPaymentGateway(payment.gateway) && payment.gatewayPaymentId) return 'gateway';
+  return 'manual';
+};
+
+// Paise a payment paid on each EMI (by EMI id) that earlier refunds of it have not taken back.
+// Payments applied before per-EMI amounts were recorded have none; null means the whole amount
+// paid on each of their EMIs may be reversed.
+const getReversibleByEMI = async (application, refundId, session) => {
+  if (!application.emiAmounts?.length) return null;
+
+  const reversible = new Map(application.emiAmounts.map(a => [String(a.emiId), a.amount]));
+  const earlier = await Refund.find({ applicationId: application._id, status: 'processed', _id: { $ne: refundId } })
+    .session(session);
+  earlier.forEach(r => r.emiAmounts.forEach(a => {
+    const key = String(a.emiId);
+    if (reversible.has(key)) reversible.set(key, reversible.get(key) - a.amount);
+  }));
+  return reversible;
+};
+
+// Paise that can still be taken back off the EMIs a payment paid. Only EMIs still paid or
+// partially_paid count - a restructure supersedes the rest.
+const getReversibleTotal = async (application) => {
+  const emis = await EMI.find({ _id: { $in: application.emiIds }, status: { $in: ['paid', 'partially_paid'] } });
+  const reversible = await getReversibleByEMI(application, null, null);
+  return emis.reduce((sum, emi) => {
+    const paid = emi.paidAmount || 0;
+    return sum + (reversible ? Math.min(paid, Math.max(0, reversible.get(String(emi._id)) || 0)) : paid);
+  }, 0);
+};
+
+/**
+ * Check a refund request against the payment
+ * @param {Object} payment - Payment document
+ * @param {Object} options - { amount (paise, omit to refund everything left), reason }
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateRefund = async (payment, { amount, reason }) => {
+  if (!reason || !String(reason).trim()) {
+    return 'A reason is required to refund a payment';
+  }
+  if (amount != null && !(parseInt(amount) > 0)) {
+    return 'Refund amount must be a positive number of paise';
+  }
+  if (payment.status !== 'captured') {
+    return 'Only captured payments can be refunded';
+  }
+  if (payment.purpose === 'foreclosure') {
+    return 'Foreclosure payments cannot be refunded';
+  }
+
+  const application = payment.applicationId ? await PaymentApplication.findById(payment.applicationId) : null;
+  if (!application) {
+    return 'There is no record of how this payment was applied';
+  }
+
+  const loan = await Loan.findById(application.loanId).select('status closureReason');
+  if (!loan || !(loan.status === 'active' || (loan.status === 'closed' && loan.closureReason === 'repaid'))) {
+    return `Payments on a ${loan?.closureReason || loan?.status || 'missing'} loan cannot be refunded`;
+  }
+
+  if (await Refund.exists({ paymentRecordId: payment._id, status: 'pending' })) {
+    return 'A refund of this payment is still pending - complete it first';
+  }
+
+  const refundable = await getRefundable(payment, application);
+  if (refundable.amount === 0) {
+    return 'This payment has already been refunded in full';
+  }
+  const value = amount != null ? parseInt(amount) : refundable.amount;
+  if (value > refundable.amount) {
+    return `Cannot refund more than the ${formatINR(refundable.amount)} left on this payment`;
+  }
+
+  // The overpayment sits in the wallet and comes back first; it may have been spent since
+  const excess = Math.min(value, refundable.excess);
+  if (excess > 0) {
+    const wallet = await Wallet.findOne({ userId: payment.userId });
+    if (!wallet || wallet.balance < excess) {
+      return `${formatINR(excess)} of this payment was credited to the wallet and has since been used`;
+    }
+  }
+
+  // Checked before any money goes back through the gateway, as completeRefund would refuse it
+  if (value - excess > await getReversibleTotal(application)) {
+    return 'The EMIs this payment paid have changed since and cannot be reversed';
+  }
+  return null;
+};
+
+// Let another refund be made from the payment
+const releasePayment = (paymentRecordId, refundId, session = null) =>
+  Payment.updateOne({ _id: paymentRecordId, refundingId: refundId }, { refundingId: null }, { session });
+
+const notifyRefund = async (refund) => {
+  const amount = formatINR(refund.amount);
+  let body = {
+    gateway: `${amount} of your payment has been refunded to your original payment method.`,
+    wallet: `${amount} of your wallet payment has been returned to your wallet.`,
+    manual: `${amount} of a payment recorded on your loan has been reversed.`
+  }[refund.method];
+  if (refund.reversedAmount > 0) {
+    body += ' The EMIs it paid are due again.';
+  }
+  if (refund.loanReopened) {
+    body += ' Your loan has been re-opened.';
+  }
+
+  const notif = await Notification.create({
+    type: 'payment_refunded',
+    forAdmin: false,
+    userId: refund.userId,
+    loanId: refund.loanId,
+    emiId: refund.emiIds.length === 1 ? refund.emiIds[0] : undefined,
+    title: 'Payment Refunded',
+    body,
+  });
+
+  const { emitNotification } = require('../socket');
+  await emitNotification(notif);
+};
+
+/**
+ * Reverse a requested refund on the loan, in one MongoDB transaction: the overpayment comes out
+ * of the wallet, then the rest comes back off the EMIs the payment paid, latest first - never
+ * more from an EMI than this payment put on it, so a later payment on the same EMI stays. EMIs go
+ * back to pending/overdue (or partially_paid), the loan's totalPaid and remainingBalance are
+ * restored, a repaid loan is re-opened, and the reversal is posted to the ledger. Safe to call
+ * again for a refund left pending (e.g. the gateway refunded but the reversal failed).
+ * @param {Object} refund - Pending Refund document
+ * @param {Object} by - Admin completing it
+ * @returns {Object} The Refund
+ */
+const completeRefund = async (refund, by) => {
+  let completed;
+  let processed;
+
+  const session = await mongoose.startSession();
+  try {
+    // The callback can be retried on a write conflict, so it starts from scratch each time
+    await session.withTransaction(async () => {
+      processed = false;
+      completed = await Refund.findById(refund._id).session(session);
+      if (completed.status !== 'pending') return;
+
+      const loan = await Loan.findById(completed.loanId).session(session);
+      const application = await PaymentApplication.findById(completed.applicationId).session(session);
+
+      if (completed.excessAmount > 0) {
+        const txn = await debitWallet(completed.userId, completed.excessAmount, {
+          source: 'refund',
+          paymentId: completed.paymentId,
+          loanId: loan._id,
+          note: 'Overpayment refunded',
+          session
+        });
+        if (!txn) throw new Error('Wallet balance is too low to take back the overpayment');
+      }
+
+      const emis = await EMI.find({ _id: { $in: application.emiIds } })
+        .sort({ installmentNumber: -1 })
+        .session(session);
+
+      const reversible = await getReversibleByEMI(application, completed._id, session);
+      let left = completed.reversedAmount;
+      const totals = { penalty: 0, fee: 0, interest: 0, principal: 0 };
+      const reversedEmis = [];
+      const reversedAmounts = [];
+      for (const emi of emis) {
+        if (left <= 0) break;
+        if (!['paid', 'partially_paid'].includes(emi.status)) continue;
+        const share = reversible ? Math.min(left, reversible.get(String(emi._id)) || 0) : left;
+        if (share <= 0) continue;
+        const reversal = reverseFromEMI(emi, share);
+        if (reversal.reversed === 0) continue;
+        await emi.save();
+        reversedEmis.push(emi._id);
+        reversedAmounts.push({ emiId: emi._id, amount: reversal.reversed });
+        Object.keys(totals).forEach(c => { totals[c] += reversal[c]; });
+        left -= reversal.reversed;
+      }
+      if (left > 0) {
+        throw new Error('The EMIs this payment paid have changed since and cannot be reversed');
+      }
+
+      loan.totalPaid -= completed.reversedAmount;
+      loan.remainingBalance += totals.principal + totals.interest;
+      if (completed.reversedAmount > 0 && loan.status === 'closed' && loan.closureReason === 'repaid') {
+        transitionLoan(loan, 'active', { by, reason: `Payment ${completed.paymentId} refunded`, reopen: true });
+        loan.closureReason = null;
+        loan.closedAt = null;
+        completed.loanReopened = true;
+      }
+      await loan.save();
+
+      await postRefund(loan, { ...totals, excess: completed.excessAmount }, {
+        reference: completed._id,
+        paymentId: completed.paymentId,
+        toWallet: completed.method === 'wallet',
+        by,
+        session
+      });
+
+      if (completed.method === 'wallet') {
+        await creditWallet(completed.userId, completed.reversedAmount, {
+          source: 'refund',
+          paymentId: completed.paymentId,
+          loanId: loan._id,
+          note: 'Wallet payment reversed',
+          session
+        });
+      }
+
+      // The refund.processed webhook records gateway refunds the same way; whichever gets
+      // here first counts it
+      const refundKey = completed.gatewayRefundId || String(completed._id);
+      await Payment.updateOne(
+        { _id: completed.paymentRecordId, 'refunds.gatewayRefundId': { $ne: refundKey } },
+        {
+          $push: { refunds: { gatewayRefundId: refundKey, amount: completed.amount, status: 'processed' } },
+          $inc: { refundedAmount: completed.amount }
+        },
+        { session }
+      );
+
+      await releasePayment(completed.paymentRecordId, completed._id, session);
+
+      completed.reversal = totals;
+      completed.emiIds = reversedEmis;
+      completed.emiAmounts = reversedAmounts;
+      completed.status = 'processed';
+      completed.processedAt = new Date();
+      await completed.save({ session });
+      processed = true;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (processed) {
+    await notifyRefund(completed);
+  }
+  return completed;
+};
+
+/**
+ * Refund (gateway payments) or reverse (everything else) all or part of a payment. The payment
+ * is claimed for the refund (payment.refundingId) first and checked again, so two requests at
+ * once cannot both reverse it. Gateway refunds are sent next; if the gateway refuses, the refund
+ * is marked failed and the loan is left alone.
+ * @param {Object} payment - Payment document, checked with validateRefund
+ * @param {Object} options - Validated { amount (paise, omit for everything left), reason }
+ * @param {Object} admin - Admin requesting the refund
+ * @returns {Object|null} The Refund (status processed, or failed with failureReason), or null
+ *   if another refund of the payment got there first
+ */
+const refundPayment = async (payment, { amount, reason }, admin) => {
+  const refundId = new mongoose.Types.ObjectId();
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: 'captured',
+      refundingId: null,
+      $expr: { $lt: [{ $ifNull: ['$refundedAmount', 0] }, '$amount'] }
+    },
+    { refundingId: refundId },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let refund;
+  try {
+    // What was checked before the claim may have changed under a refund that has just finished
+    if (await validateRefund(claimed, { amount, reason })) {
+      await releasePayment(claimed._id, refundId);
+      return null;
+    }
+
+    const application = await PaymentApplication.findById(claimed.applicationId);
+    const refundable = await getRefundable(claimed, application);
+    const total = amount != null ? parseInt(amount) : refundable.amount;
+    const excessAmount = Math.min(total, refundable.excess);
+    const method = getRefundMethod(claimed);
+
+    refund = await Refund.create({
+      _id: refundId,
+      paymentRecordId: claimed._id,
+      paymentId: application.paymentId,
+      applicationId: application._id,
+      loanId: application.loanId,
+      userId: application.userId,
+      method,
+      gateway: method === 'gateway' ? claimed.gateway : null,
+      amount: total,
+      excessAmount,
+      reversedAmount: total - excessAmount,
+      reason: String(reason).trim(),
+      refundedBy: admin._id
+    });
+  } catch (error) {
+    await releasePayment(claimed._id, refundId);
+    throw error;
+  }
+
+  if (refund.method === 'gateway') {
+    try {
+      const result = await getPaymentGateway(claimed.gateway).refund(claimed.gatewayPaymentId, {
+        amount: refund.amount,
+        notes: { refundId: String(refund._id), loanId: String(refund.loanId) }
+      });
+      refund.gatewayRefundId = result.id;
+      await refund.save();
+    } catch (error) {
+      refund.status = 'failed';
+      refund.failureReason = error.error?.description || error.message;
+      await refund.save();
+      await releasePayment(claimed._id, refund._id);
+      return refund;
+    }
+    // The money has gone back; a reversal that fails now leaves the refund pending, and the
+    // payment claimed, until it is retried
+    return completeRefund(refund, admin);
+  }
+
+  try {
+    return await completeRefund(refund, admin);
+  } catch (error) {
+    // Nothing has moved yet, so the refund can simply be given up
+    refund.status = 'failed';
+    refund.failureReason = error.message;
+    await refund.save();
+    await releasePayment(claimed._id, refund._id);
+    throw error;
+  }
+};
+
+module.exports = {
+  validateRefund,
+  refundPayment,
+  completeRefund
+};
@@ -0,0 +1,118 @@
+// Calendar and amortization helpers for repayment schedules. Pure functions - no database access,
+// so models and services can both use them.
+const { splitEvenly, percentOf } = require('../utils/money');
+
+const FREQUENCIES = ['daily', 'weekly', 'fortnightly', 'monthly'];
+const INTEREST_METHODS = ['flat', 'reducing_balance'];
+
+// Nominal length of one installment period, used to size installment counts and per-day penalties
+const PERIOD_DAYS = {
+  daily: 1,
+  weekly: 7,
+  fortnightly: 14,
+  monthly: 30
+};
+
+/**
+ * Get the nominal number of days in one installment period
+ * @param {String} frequency - Repayment frequency
+ * @returns {Number} Days per period
+ */
+const getPeriodDays = (frequency = 'daily') => PERIOD_DAYS[frequency] || 1;
+
+/**
+ * Number of installments needed to cover a tenure
+ * @param {Number} totalDays - Loan tenure in days
+ * @param {String} frequency - Repayment frequency
+ * @returns {Number} Installment count (at least 1)
+ */
+const getInstallmentCount = (totalDays, frequency = 'daily') => {
+  return Math.max(1, Math.ceil(totalDays / getPeriodDays(frequency)));
+};
+
+/**
+ * Add months to a date, clamping to the last day of the target month
+ * (Jan 31 + 1 month = Feb 28/29, Jan 31 + 2 months = Mar 31)
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const anchorDay = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(anchorDay, lastDay));
+  return result;
+};
+
+/**
+ * Due date of an installment
+ * @param {Date} baseDate - Date the schedule starts from (installment 1 falls one period later)
+ * @param {String} frequency - Repayment frequency
+ * @param {Number} installmentNumber - 1-based installment number
+ * @returns {Date} Due date at midnight
+ */
+const getDueDate = (baseDate, frequency, installmentNumber) => {
+  const base = new Date(baseDate);
+  base.setHours(0, 0, 0, 0);
+
+  if (frequency === 'monthly') {
+    return addMonths(base, installmentNumber);
+  }
+
+  const dueDate = new Date(base);
+  dueDate.setDate(base.getDate() + installmentNumber * getPeriodDays(frequency));
+  return dueDate;
+};
+
+/**
+ * Split a loan into installments. All amounts are integer paise.
+ * interestRate is the rate for the whole tenure. Flat loans charge it on the full principal,
+ * spread evenly. Reducing-balance loans apply interestRate / installmentCount per period to the
+ * outstanding principal, with an equal installment amount (standard amortization).
+ * The last installment absorbs rounding, so principals always sum to the loan amount.
+ * @param {Object} terms - { amount, interestRate, installmentCount, interestMethod }
+ * @returns {Array} [{ principal, interest, total }] in installment order
+ */
+const buildInstallments = ({ amount, interestRate, installmentCount, interestMethod = 'flat' }) => {
+  if (interestMethod === 'reducing_balance') {
+    const installments = [];
+    const periodRate = interestRate / 100 / installmentCount;
+    const payment = Math.round(periodRate === 0
+      ? amount / installmentCount
+      : amount * periodRate / (1 - Math.pow(1 + periodRate, -installmentCount)));
+
+    let balance = amount;
+    for (let n = 1; n <= installmentCount; n++) {
+      const interest = Math.round(balance * periodRate);
+      const principal = n === installmentCount ? balance : Math.min(balance, payment - interest);
+      balance -= principal;
+      installments.push({ principal, interest, total: principal + interest });
+    }
+    return installments;
+  }
+
+  const principals = splitEvenly(amount, installmentCount);
+  const interests = splitEvenly(percentOf(amount, interestRate), installmentCount);
+  return principals.map((principal, i) => ({
+    principal,
+    interest: interests[i],
+    total: principal + interests[i]
+  }));
+};
+
+/**
+ * Label used in notifications ("Day 4" for daily loans, "Installment 4" otherwise)
+ */
+const getInstallmentLabel = (frequency, installmentNumber) => {
+  return frequency && frequency !== 'daily' ? `Installment ${installmentNumber}` : `Day ${installmentNumber}`;
+};
+
+module.exports = {
+  FREQUENCIES,
+  INTEREST_METHODS,
+  getPeriodDays,
+  getInstallmentCount,
+  getDueDate,
+  buildInstallments,
+  getInstallmentLabel
+};
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const EMI = require('../models/EMI');
+const Notification = require('../models/Notification');
+const { FREQUENCIES, getDueDate, buildInstallments } = require('./repaymentSchedule');
+const { PAYABLE_EMI_STATUSES, getComponentDue } = require('./paymentAllocation');
+const { spreadScheduledCharges, getLateFee } = require('./charges');
+const { postInterestAdjustment } = require('./ledger');
+const { splitEvenly, formatINR } = require('../utils/money');
+
+const RESTRUCTURE_TYPES = ['extend_tenure', 'payment_holiday', 'respread'];
+
+/**
+ * Check restructure options before touching the schedule
+ * @param {Object} options - { type, reason, days, additionalInstallments, installmentCount, frequency }
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateRestructure = (options) => {
+  const { type, reason, days, additionalInstallments, installmentCount, frequency } = options;
+
+  if (!RESTRUCTURE_TYPES.includes(type)) {
+    return `Restructure type must be one of: ${RESTRUCTURE_TYPES.join(', ')}`;
+  }
+  if (!reason || !String(reason).trim()) {
+    return 'A reason is required to restructure a loan';
+  }
+  if (type === 'payment_holiday' && !(parseInt(days) >= 1 && parseInt(days) <= 180)) {
+    return 'Payment holiday must be between 1 and 180 days';
+  }
+  if (type === 'extend_tenure' && !(parseInt(additionalInstallments) >= 1)) {
+    return 'additionalInstallments must be at least 1';
+  }
+  if (type === 'respread' && !(parseInt(installmentCount) >= 1 && parseInt(installmentCount) <= 365)) {
+    return 'installmentCount must be between 1 and 365';
+  }
+  if (frequency && !FREQUENCIES.includes(frequency)) {
+    return `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Spread outstanding principal across a new number of installments.
+ * Flat loans keep the outstanding interest and spread it evenly. Reducing-balance loans are
+ * re-amortized on the outstanding principal at the loan's per-installment rate.
+ */
+const respreadAmounts = (loan, principal, interest, count) => {
+  if (loan.interestMethod === 'reducing_balance') {
+    const periodRatePercent = loan.interestRate / loan.installmentCount;
+    return buildInstallments({
+      amount: principal,
+      interestRate: periodRatePercent * count,
+      installmentCount: count,
+      interestMethod: 'reducing_balance'
+    });
+  }
+
+  const principals = splitEvenly(principal, count);
+  const interests = splitEvenly(interest, count);
+  return principals.map((p, i) => ({ principal: p, interest: interests[i], total: p + interests[i] }));
+};
+
+/**
+ * Restructure an active loan. Unpaid EMIs of the current schedule are marked superseded
+ * (kept for audit) and a new schedule version is created for the outstanding balance, in one
+ * MongoDB transaction with the loan and ledger updates so the loan is never left without
+ * payable EMIs.
+ * Penalties and late-payment fees already charged on the superseded EMIs carry over to the
+ * first new EMI; scheduled fees still owed are spread across the new EMIs as they were before.
+ *   - payment_holiday: same installments, next one falls due `days` days from today
+ *   - extend_tenure: outstanding balance re-spread over unpaid + additionalInstallments
+ *   - respread: outstanding balance re-spread over installmentCount (optionally a new frequency)
+ * @param {Object} loan - Approved loan document
+ * @param {Object} options - Validated restructure options
+ * @param {Object} admin - Admin user performing the restructure
+ * @returns {Object} { loan, emis } with the new schedule's EMIs
+ */
+const restructureLoan = async (loan, options, admin) => {
+  const { type, reason } = options;
+  const unpaid = await EMI.find({
+    loanId: loan._id,
+    status: { $in: PAYABLE_EMI_STATUSES }
+  }).sort({ installmentNumber: 1 });
+
+  if (unpaid.length === 0) {
+    throw new Error('Loan has no unpaid EMIs to restructure');
+  }
+
+  // Money already received on part-paid EMIs stays on them; only what is owed moves
+  const outstandingPrincipal = unpaid.reduce((sum, e) => sum + getComponentDue(e, 'principal'), 0);
+  const outstandingInterest = unpaid.reduce((sum, e) => sum + getComponentDue(e, 'interest'), 0);
+  const carriedPenalty = unpaid.reduce((sum, e) => sum + getComponentDue(e, 'penalty'), 0);
+  const carriedFees = unpaid.reduce((sum, e) => sum + getComponentDue(e, 'fee'), 0);
+  // Late-payment fees are owed already, like penalties; the rest of the fees are scheduled ones
+  const carriedLateFees = unpaid
+    .filter(e => e.lateFeeChargedAt)
+    .reduce((sum, e) => sum + Math.min(getComponentDue(e, 'fee'), getLateFee(loan, e)), 0);
+  // Only a respread can change how often the borrower pays
+  const frequency = (type === 'respread' && options.frequency) || loan.repaymentFrequency || 'daily';
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  // Installment n falls due getDueDate(baseDate, frequency, n + offset)
+  let amounts;
+  let baseDate = today;
+  let offset = 1;
+  if (type === 'payment_holiday') {
+    // Keep the installments as they are; the first one falls due the day the holiday ends.
+    // EMIs with only penalty or fees left are dropped; their charges carry over as above.
+    amounts = unpaid
+      .map(e => ({ principal: getComponentDue(e, 'principal'), interest: getComponentDue(e, 'interest') }))
+      .filter(a => a.principal + a.interest > 0);
+    if (amounts.length === 0) amounts = [{ principal: 0, interest: 0 }];
+    baseDate = new Date(today);
+    baseDate.setDate(today.getDate() + parseInt(options.days));
+    offset = 0;
+  } else {
+    const count = type === 'extend_tenure'
+      ? unpaid.length + parseInt(options.additionalInstallments)
+      : parseInt(options.installmentCount);
+    amounts = respreadAmounts(loan, outstandingPrincipal, outstandingInterest, count);
+  }
+
+  const version = (loan.scheduleVersion || 1) + 1;
+  const firstNumber = unpaid[0].installmentNumber;
+  const scheduledFees = spreadScheduledCharges(loan, amounts.length, carriedFees - carriedLateFees);
+  const newEMIs = amounts.map((a, i) => {
+    const penalty = i === 0 ? carriedPenalty : 0;
+    const fee = scheduledFees[i] + (i === 0 ? carriedLateFees : 0);
+    return new EMI({
+      loanId: loan._id,
+      userId: loan.userId,
+      installmentNumber: firstNumber + i,
+      principalAmount: a.principal,
+      interestAmount: a.interest,
+      feeAmount: fee,
+      penaltyAmount: penalty,
+      totalAmount: a.principal + a.interest + fee + penalty,
+      dueDate: getDueDate(baseDate, frequency, i + offset),
+      scheduleVersion: version,
+      status: 'pending'
+    });
+  });
+
+  const newInterest = newEMIs.reduce((sum, e) => sum + e.interestAmount, 0);
+  const previousEndDate = loan.endDate;
+
+  loan.restructures.push({
+    version,
+    type,
+    params: {
+      days: options.days,
+      additionalInstallments: options.additionalInstallments,
+      installmentCount: options.installmentCount,
+      frequency: options.frequency
+    },
+    reason: String(reason).trim(),
+    outstandingPrincipal,
+    outstandingInterest,
+    carriedPenalty,
+    carriedFees,
+    supersededEMIs: unpaid.length,
+    newEMIs: newEMIs.length,
+    previousEndDate,
+    newEndDate: newEMIs[newEMIs.length - 1].dueDate,
+    restructuredBy: admin._id
+  });
+  loan.scheduleVersion = version;
+  loan.repaymentFrequency = frequency;
+  loan.installmentCount = (loan.installmentCount - unpaid.length) + newEMIs.length;
+  loan.installmentAmount = newEMIs[0].principalAmount + newEMIs[0].interestAmount;
+  loan.installmentInterest = newEMIs[0].interestAmount;
+  loan.dailyEMI = loan.installmentAmount;
+  loan.dailyInterest = loan.installmentInterest;
+  loan.totalInterest += newInterest - outstandingInterest;
+  loan.remainingBalance = outstandingPrincipal + newInterest;
+  loan.endDate = newEMIs[newEMIs.length - 1].dueDate;
+
+  const session = await mongoose.startSession();
+  try {
+    // The callback can be retried on a write conflict, so it only writes what was worked out above
+    await session.withTransaction(async () => {
+      const { modifiedCount } = await EMI.updateMany(
+        { _id: { $in: unpaid.map(e => e._id) }, status: { $in: PAYABLE_EMI_STATUSES } },
+        { status: 'superseded', supersededAt: new Date() },
+        { session }
+      );
+      // A payment landed on the old schedule meanwhile - what is outstanding has changed
+      if (modifiedCount !== unpaid.length) {
+        throw new Error('The loan\'s EMIs changed while restructuring - please try again');
+      }
+      await EMI.insertMany(newEMIs, { session });
+      await loan.save({ session });
+
+      await postInterestAdjustment(loan, newInterest - outstandingInterest, {
+        reference: `restructure_v${version}`,
+        by: admin,
+        session
+      });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  const notif = await Notification.create({
+    type: 'loan_restructured',
+    forAdmin: false,
+    userId: loan.userId,
+    loanId: loan._id,
+    title: 'Loan Restructured',
+    body: type === 'payment_holiday'
+      ? `Your repayments are paused for ${options.days} day(s). Next EMI of ${formatINR(newEMIs[0].totalAmount)} is due on ${newEMIs[0].dueDate.toDateString()}.`
+      : `Your loan has been rescheduled into ${newEMIs.length} installment(s). Next EMI of ${formatINR(newEMIs[0].totalAmount)} is due on ${newEMIs[0].dueDate.toDateString()}.`,
+  });
+
+  const { emitNotification } = require('../socket');
+  await emitNotification(notif);
+
+  return { loan, emis: newEMIs };
+};
+
+module.exports = {
+  RESTRUCTURE_TYPES,
+  validateRestructure,
+  restructureLoan
+};
@@ -0,0 +1,65 @@
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+
+/**
+ * Add money to a borrower's wallet
+ * @param {String} userId - User ID
+ * @param {Number} amount - Paise (must be positive)
+ * @param {Object} details - { source, paymentId, loanId, note, session }
+ * @returns {Object} The WalletTransaction
+ */
+const creditWallet = async (userId, amount, { source, paymentId = null, loanId = null, note = '', session = null }) => {
+  const wallet = await Wallet.findOneAndUpdate(
+    { userId },
+    { $inc: { balance: amount }, $set: { updatedAt: new Date() } },
+    { upsert: true, new: true, session }
+  );
+
+  const [txn] = await WalletTransaction.create([{
+    walletId: wallet._id,
+    userId,
+    type: 'credit',
+    amount,
+    balanceAfter: wallet.balance,
+    source,
+    paymentId,
+    loanId,
+    note
+  }], { session });
+  return txn;
+};
+
+/**
+ * Take money out of a borrower's wallet. The balance check and the debit are one atomic
+ * update, so two debits can never overdraw the wallet.
+ * @param {String} userId - User ID
+ * @param {Number} amount - Paise (must be positive)
+ * @param {Object} details - { source, paymentId, loanId, note, session }
+ * @returns {Object|null} The WalletTransaction, or null if the balance is too low
+ */
+const debitWallet = async (userId, amount, { source, paymentId = null, loanId = null, note = '', session = null }) => {
+  const wallet = await Wallet.findOneAndUpdate(
+    { userId, balance: { $gte: amount } },
+    { $inc: { balance: -amount }, $set: { updatedAt: new Date() } },
+    { new: true, session }
+  );
+  if (!wallet) return null;
+
+  const [txn] = await WalletTransaction.create([{
+    walletId: wallet._id,
+    userId,
+    type: 'debit',
+    amount,
+    balanceAfter: wallet.balance,
+    source,
+    paymentId,
+    loanId,
+    note
+  }], { session });
+  return txn;
+};
+
+module.exports = {
+  creditWallet,
+  debitWallet
+};
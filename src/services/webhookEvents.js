@@ -0,0 +1,432 @@
+const crypto = require('crypto');
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Mandate = require('../models/Mandate');
+const WebhookEvent = require('../models/WebhookEvent');
+const Notification = require('../models/Notification');
+const { applyPayment } = require('./paymentApplication');
+const { getAmountDue } = require('./paymentAllocation');
+const { recordFailedAttempt } = require('./paymentRecords');
+const { getCurrentQuote, isForeclosureOrder, settleForeclosure, cancelAutopayAfterClosure } = require('./foreclosure');
+const { activateMandate, findMandateDebit, settleMandateDebit, failMandateDebit, syncMandateStatus, refreshMandate } = require('./mandates');
+const { getPaymentGateway } = require('./gateways');
+const { formatINR } = require('../utils/money');
+
+// An event still received/processing after this long was cut off (e.g. by a restart)
+const STALE_MINUTES = 10;
+
+const notifyAdmin = async (type, loan, title, body) => {
+  const notif = await Notification.create({
+    type,
+    forAdmin: true,
+    userId: loan.userId,
+    loanId: loan._id,
+    title,
+    body,
+  });
+
+  const { emitNotification } = require('../socket');
+  await emitNotification(notif);
+};
+
+// Handlers get the event normalized by its gateway (see services/gateways) and the gateway's name.
+// An event only acts on orders, subscriptions and mandates that gateway created - another
+// gateway's (e.g. a mock webhook naming a Razorpay order) is ignored.
+
+const fromOtherGateway = (type, id, gateway, provider) => {
+  if (gateway === provider) return false;
+  console.log(`Webhook: ignoring ${type} from ${provider} for ${id} (created with ${gateway})`);
+  return true;
+};
+
+async function handleSubscriptionCharged({ subscription, payment }, provider) {
+  if (!subscription || !payment) {
+    throw new Error('Invalid subscription.charged payload');
+  }
+
+  const { loanId } = subscription;
+  console.log('Subscription charged - LoanId:', loanId, 'PaymentId:', payment.id, 'Amount:', payment.amount);
+
+  if (!loanId) {
+    throw new Error('No loanId in subscription notes');
+  }
+
+  const loan = await Loan.findById(loanId);
+  if (!loan) throw new Error(`Loan ${loanId} not found`);
+  if (fromOtherGateway('subscription.charged', subscription.id, loan.autopayGateway, provider)) return;
+
+  // Apply the charge to the oldest EMIs first - a charge normally covers emisPerCharge
+  // EMIs (7 for daily loans, 1 otherwise), less if some were part-paid already. Anything
+  // beyond what is owed goes to the wallet. A charge already applied by /verify-autopay
+  // (or a redelivered webhook) is not applied again.
+  const { application, replayed } = await applyPayment({
+    paymentId: payment.id,
+    source: 'autopay',
+    loanId,
+    amount: payment.amount,
+    record: {
+      gateway: provider,
+      orderId: payment.orderId,
+      gatewayPaymentId: payment.id,
+      method: payment.method,
+      gatewayResponse: payment.raw
+    }
+  });
+
+  if (replayed) {
+    console.log('Webhook: payment', payment.id, 'already applied, Loan:', loanId);
+    return;
+  }
+  console.log('Webhook: charge applied to', application.emiIds.length, 'EMIs, Loan:', loanId);
+  if (application.excess > 0) {
+    console.log(`Webhook: ${formatINR(application.excess)} from ${payment.id} credited to wallet, Loan:`, loanId);
+  }
+}
+
+// Closes a loan whose foreclosure checkout never reached /foreclosure/verify
+async function settleForeclosureOrder(order, payment) {
+  const loan = await Loan.findById(order.loanId);
+  if (!loan) throw new Error(`Loan ${order.loanId} not found`);
+
+  if (loan.foreclosure.paymentId === payment.id) {
+    console.log('Webhook: foreclosure payment', payment.id, 'already settled, Loan:', loan._id);
+    return;
+  }
+  if (loan.status !== 'active' || !isForeclosureOrder(loan, order.orderId)) {
+    // Money was taken for a quote that no longer applies - leave it to an admin
+    throw new Error(`Foreclosure payment ${payment.id} does not match loan ${loan._id} (status ${loan.status})`);
+  }
+  // A payment on an EMI since the quote changes what closing the loan costs
+  const quote = await getCurrentQuote(loan);
+  if (payment.amount < quote.totalAmount) {
+    throw new Error(`Foreclosure payment ${payment.id} of ${formatINR(payment.amount)} is less than the quote, loan ${loan._id}`);
+  }
+  loan.foreclosure.quote = quote;
+
+  const settled = await settleForeclosure(loan, {
+    paymentId: payment.id,
+    amount: quote.totalAmount,
+    paidBy: loan.applicantName,
+    paidById: loan.userId,
+    gateway: order.gateway,
+    orderId: order.orderId,
+    method: payment.method,
+    gatewayResponse: payment.raw
+  });
+  if (!settled) {
+    // The client's /foreclosure/verify got there first
+    const current = await Loan.findById(loan._id).select('foreclosure.paymentId');
+    if (current?.foreclosure.paymentId === payment.id) {
+      console.log('Webhook: foreclosure payment', payment.id, 'already settled, Loan:', loan._id);
+      return;
+    }
+    throw new Error(`Foreclosure payment ${payment.id} could not settle loan ${loan._id}: already settled by another payment`);
+  }
+  await cancelAutopayAfterClosure(loan);
+  console.log('Webhook: loan', loan._id, 'foreclosed by payment', payment.id);
+}
+
+// Completes checkouts whose client never called /verify, /verify-multiple, /foreclosure/verify
+// or /verify-autopay (closed tab, dropped connection), and settles mandate debits. Both
+// payment.captured and order.paid arrive for the same payment; applying is keyed by the
+// payment id, so whichever comes second changes nothing.
+async function handlePaymentCaptured({ payment }, provider) {
+  if (!payment?.orderId) return;
+
+  // Subscription charges (autopay orders without a mandate) are applied from subscription.charged
+  const order = await Payment.findOne({ orderId: payment.orderId }) || await findMandateDebit(payment);
+  if (!order?.loanId || (order.purpose === 'autopay' && !order.mandateId)) {
+    console.log('Payment captured for an order with no checkout:', payment.id);
+    return;
+  }
+  if (fromOtherGateway('payment.captured', order.orderId, order.gateway, provider)) return;
+
+  if (order.purpose === 'foreclosure') {
+    await settleForeclosureOrder(order, payment);
+    return;
+  }
+
+  if (order.purpose === 'mandate') {
+    const mandate = await activateMandate(await Mandate.findById(order.mandateId), payment.id);
+    console.log('Webhook: mandate', mandate._id, 'is', mandate.status, 'for loan', order.loanId);
+    return;
+  }
+
+  if (order.purpose === 'autopay') {
+    const { application, replayed } = await settleMandateDebit(order, payment);
+    console.log('Webhook: autopay debit', payment.id, replayed ? 'already applied' : `applied to ${application.emiIds.length} EMIs`, 'Loan:', order.loanId);
+    return;
+  }
+
+  const amountDue = await getAmountDue(order.emiIds);
+  if (amountDue !== payment.amount) {
+    console.log(`Webhook: order ${order.orderId} paid ${formatINR(payment.amount)}, now due ${formatINR(amountDue)}`);
+  }
+
+  const { application, replayed } = await applyPayment({
+    paymentId: payment.id,
+    source: 'checkout',
+    loanId: order.loanId,
+    amount: payment.amount,
+    emiIds: order.emiIds,
+    record: {
+      gateway: order.gateway,
+      orderId: order.orderId,
+      gatewayPaymentId: payment.id,
+      method: payment.method,
+      gatewayResponse: payment.raw
+    }
+  });
+
+  if (replayed) {
+    console.log('Webhook: payment', payment.id, 'already applied, Order:', order.orderId);
+    return;
+  }
+  console.log('Webhook: payment', payment.id, 'applied to', application.emiIds.length, 'EMIs, Order:', order.orderId);
+}
+
+async function handlePaymentFailed({ payment }, provider) {
+  if (!payment?.orderId) return;
+
+  // Failed mandate debits also count towards halting the mandate
+  const order = await Payment.findOne({ orderId: payment.orderId }).select('purpose mandateId gateway') ||
+    await findMandateDebit(payment);
+  if (order && fromOtherGateway('payment.failed', order.orderId, order.gateway, provider)) return;
+  const record = order?.purpose === 'autopay' && order.mandateId
+    ? await failMandateDebit(payment)
+    : await recordFailedAttempt(payment.orderId, {
+      gatewayPaymentId: payment.id,
+      method: payment.method,
+      errorCode: payment.errorCode,
+      errorDescription: payment.errorDescription,
+      response: payment.raw
+    });
+
+  if (!record) {
+    console.log('Webhook: payment.failed for unknown order', payment.orderId);
+    return;
+  }
+  console.log('Webhook: payment', payment.id, 'failed -', record.failureReason);
+}
+
+async function handleRefundProcessed({ refund }, provider) {
+  if (!refund) throw new Error('Invalid refund.processed payload');
+
+  const payment = await Payment.findOne({ gatewayPaymentId: refund.paymentId });
+  if (!payment) {
+    console.log('Webhook: refund', refund.id, 'for unknown payment', refund.paymentId);
+    return;
+  }
+  if (fromOtherGateway('refund.processed', payment.gatewayPaymentId, payment.gateway, provider)) return;
+
+  // Admin refunds (services/refunds) record themselves the same way; whichever gets here
+  // first counts the refund
+  const { modifiedCount } = await Payment.updateOne(
+    { _id: payment._id, 'refunds.gatewayRefundId': { $ne: refund.id } },
+    {
+      $push: { refunds: { gatewayRefundId: refund.id, amount: refund.amount, status: refund.status || 'processed' } },
+      $inc: { refundedAmount: refund.amount }
+    }
+  );
+  if (modifiedCount === 0) return;
+
+  // Only refunds made outside the app (e.g. on the gateway's dashboard) need an admin's attention
+  const initiatedHere = await Refund.exists({ gatewayRefundId: refund.id });
+  const loan = payment.loanId && !initiatedHere ? await Loan.findById(payment.loanId) : null;
+  if (loan) {
+    await notifyAdmin(
+      'payment_refunded',
+      loan,
+      'Payment Refunded',
+      `${formatINR(refund.amount)} of payment ${payment.gatewayPaymentId} refunded to ${loan.applicantName}`
+    );
+  }
+  console.log('Webhook: refund', refund.id, 'recorded on payment', payment.gatewayPaymentId);
+}
+
+// Loan autopay state for each subscription event
+const SUBSCRIPTION_STATES = {
+  'subscription.activated': { autopayEnabled: true, autopayStatus: 'active' },
+  'subscription.resumed': { autopayEnabled: true, autopayStatus: 'active' },
+  'subscription.pending': { autopayStatus: 'pending' }, // a charge failed; the gateway is retrying
+  'subscription.paused': { autopayEnabled: false, autopayStatus: 'paused' },
+  'subscription.halted': { autopayEnabled: false, autopayStatus: 'halted' }, // retries used up
+  'subscription.cancelled': { autopayEnabled: false, autopayStatus: 'cancelled' }
+};
+
+async function handleSubscriptionStatus({ type, subscription }, provider) {
+  const loanId = subscription?.loanId;
+  if (!loanId) return;
+
+  const loan = await Loan.findById(loanId);
+  if (!loan) return;
+
+  // Ignore events for a subscription the loan has since replaced (or swapped for a mandate),
+  // and late events for one already cancelled
+  if (loan.razorpaySubscriptionId !== subscription.id) {
+    console.log('Webhook: ignoring', type, 'for old subscription', subscription.id);
+    return;
+  }
+  if (fromOtherGateway(type, subscription.id, loan.autopayGateway, provider)) return;
+  if (loan.autopayStatus === 'cancelled' && type !== 'subscription.cancelled') return;
+
+  Object.assign(loan, SUBSCRIPTION_STATES[type]);
+  await loan.save();
+  console.log('Webhook: autopay', loan.autopayStatus, 'for loan', loanId);
+
+  if (type === 'subscription.halted') {
+    await notifyAdmin(
+      'autopay_updated',
+      loan,
+      'Autopay Halted',
+      `Autopay for ${loan.applicantName} stopped after repeated failed charges`
+    );
+  }
+}
+
+// A mandate's bank confirmed, rejected, paused or cancelled it (the borrower can pause or
+// revoke UPI AutoPay from their UPI app)
+async function handleTokenStatus({ type, token }, provider) {
+  if (!token?.id) return;
+
+  const mandate = await Mandate.findOne({ token: token.id });
+  if (!mandate) {
+    console.log('Webhook:', type, 'for unknown token', token.id);
+    return;
+  }
+  if (fromOtherGateway(type, token.id, mandate.gateway, provider)) return;
+
+  if (token.status) {
+    await syncMandateStatus(mandate, token.status);
+  } else {
+    await refreshMandate(mandate);
+  }
+  console.log('Webhook:', type, '- mandate', mandate._id, 'is', mandate.status);
+}
+
+const TOKEN_EVENTS = ['token.confirmed', 'token.rejected', 'token.paused', 'token.cancelled'];
+
+const HANDLERS = {
+  'subscription.charged': handleSubscriptionCharged,
+  'payment.captured': handlePaymentCaptured,
+  'order.paid': handlePaymentCaptured,
+  'payment.failed': handlePaymentFailed,
+  'refund.processed': handleRefundProcessed
+};
+Object.keys(SUBSCRIPTION_STATES).forEach(event => { HANDLERS[event] = handleSubscriptionStatus; });
+TOKEN_EVENTS.forEach(event => { HANDLERS[event] = handleTokenStatus; });
+
+/**
+ * Store an incoming webhook event before processing it
+ * @param {Object} event - { provider: gateway name, eventId, rawBody, payload: the gateway's body };
+ *   eventId falls back to a hash of rawBody
+ * @returns {Object} { webhookEvent, duplicate } - duplicate is true (with the stored event) for a redelivery
+ */
+const recordWebhookEvent = async ({ provider, eventId, rawBody, payload }) => {
+  const id = eventId || crypto.createHash('sha256').update(rawBody).digest('hex');
+  const { type } = getPaymentGateway(provider).normalizeWebhookEvent(payload);
+  try {
+    const webhookEvent = await WebhookEvent.create({ provider, eventId: id, event: type, payload });
+    return { webhookEvent, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const webhookEvent = await WebhookEvent.findOne({ eventId: id });
+    return { webhookEvent, duplicate: true };
+  }
+};
+
+/**
+ * Run a stored event's handler and record the outcome. Never throws: a failure is kept on
+ * the event (status failed, lastError) so it can be replayed.
+ * @param {Object} webhookEvent - WebhookEvent document
+ * @returns {Object} The updated WebhookEvent
+ */
+const processWebhookEvent = async (webhookEvent) => {
+  const handler = HANDLERS[webhookEvent.event];
+  webhookEvent.attempts += 1;
+
+  if (!handler) {
+    console.log('Unhandled webhook event:', webhookEvent.event);
+    webhookEvent.status = 'ignored';
+    await webhookEvent.save();
+    return webhookEvent;
+  }
+
+  webhookEvent.status = 'processing';
+  await webhookEvent.save();
+
+  try {
+    const normalized = getPaymentGateway(webhookEvent.provider).normalizeWebhookEvent(webhookEvent.payload);
+    await handler(normalized, webhookEvent.provider);
+    webhookEvent.status = 'processed';
+    webhookEvent.processedAt = new Date();
+    webhookEvent.lastError = null;
+  } catch (error) {
+    console.error(`Webhook ${webhookEvent.event} (${webhookEvent.eventId}) error:`, error);
+    webhookEvent.status = 'failed';
+    webhookEvent.lastError = error.message;
+  }
+  await webhookEvent.save();
+  return webhookEvent;
+};
+
+/**
+ * Whether an admin may replay an event: anything not processed, except one still being
+ * processed right now
+ * @param {Object} webhookEvent - WebhookEvent document
+ * @returns {String|null} Error message, or null if it can be replayed
+ */
+const validateReplay = (webhookEvent) => {
+  if (webhookEvent.status === 'processed') {
+    return 'Event has already been processed';
+  }
+  const staleBefore = Date.now() - STALE_MINUTES * 60 * 1000;
+  if (['received', 'processing'].includes(webhookEvent.status) && webhookEvent.createdAt > staleBefore) {
+    return 'Event is still being processed';
+  }
+  return null;
+};
+
+/**
+ * Replay one stored event
+ * @param {Object} webhookEvent - WebhookEvent document (check validateReplay first)
+ * @param {Object} admin - Admin user replaying it
+ * @returns {Object} The updated WebhookEvent
+ */
+const replayWebhookEvent = async (webhookEvent, admin) => {
+  webhookEvent.replayedBy = admin._id;
+  return processWebhookEvent(webhookEvent);
+};
+
+/**
+ * Replay every failed event, and any cut off while processing, oldest first
+ * @param {Object} admin - Admin user replaying them
+ * @returns {Object} { replayed, processed, failed }
+ */
+const replayFailedWebhookEvents = async (admin) => {
+  const staleBefore = new Date(Date.now() - STALE_MINUTES * 60 * 1000);
+  const events = await WebhookEvent.find({
+    $or: [
+      { status: 'failed' },
+      { status: { $in: ['received', 'processing'] }, createdAt: { $lt: staleBefore } }
+    ]
+  }).sort({ createdAt: 1 });
+
+  const summary = { replayed: events.length, processed: 0, failed: 0 };
+  for (const webhookEvent of events) {
+    const result = await replayWebhookEvent(webhookEvent, admin);
+    if (result.status === 'failed') summary.failed++;
+    else summary.processed++;
+  }
+  return summary;
+};
+
+module.exports = {
+  handlePaymentCaptured,
+  recordWebhookEvent,
+  processWebhookEvent,
+  validateReplay,
+  replayWebhookEvent,
+  replayFailedWebhookEvents
+};
@@ -0,0 +1,48 @@
+// All money in the database and API is integer paise (₹1 = 100 paise).
+// These helpers keep arithmetic in whole paise so totals never drift.
+
+/**
+ * Convert a rupee value to integer paise
+ * @param {Number|String} rupees
+ * @returns {Number} Paise
+ */
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+
+/**
+ * Percentage of an amount, rounded to the nearest paisa
+ * @param {Number} paise - Base amount in paise
+ * @param {Number} percent - e.g. 20 for 20%
+ * @returns {Number} Paise
+ */
+const percentOf = (paise, percent) => Math.round(paise * percent / 100);
+
+/**
+ * Split an amount into equal parts; the last part absorbs the rounding difference
+ * so the parts always add up to the total exactly
+ * @param {Number} paise - Total in paise
+ * @param {Number} parts - Number of parts
+ * @returns {Array<Number>} Amounts in paise
+ */
+const splitEvenly = (paise, parts) => {
+  const share = Math.floor(paise / parts);
+  const amounts = new Array(parts).fill(share);
+  amounts[parts - 1] = paise - share * (parts - 1);
+  return amounts;
+};
+
+/**
+ * Format paise for display, e.g. 123450 -> "₹1,234.50", 100000 -> "₹1,000"
+ * @param {Number} paise
+ * @returns {String}
+ */
+const formatINR = (paise) => {
+  const rupees = (paise || 0) / 100;
+  return `₹${rupees.toLocaleString('en-IN', { minimumFractionDigits: Number.isInteger(rupees) ? 0 : 2, maximumFractionDigits: 2 })}`;
+};
+
+module.exports = {
+  toPaise,
+  percentOf,
+  splitEvenly,
+  formatINR
+};